@@ -0,0 +1,274 @@
+// Security rule tests. They run against the local Firestore emulator: `npm run test:rules`
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+const {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  collectionGroup,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+} = require('firebase/firestore');
+
+const APP_ID = 'test-app';
+const WORKSPACE = `artifacts/${APP_ID}/workspaces/household`;
+
+const USERS = {
+  owner: { uid: 'owner', email: 'owner@example.com' },
+  editor: { uid: 'editor', email: 'editor@example.com' },
+  viewer: { uid: 'viewer', email: 'viewer@example.com' },
+  invitee: { uid: 'invitee', email: 'Invitee@Example.com' },
+  stranger: { uid: 'stranger', email: 'stranger@example.com' },
+  // Registered with the invitee's address without owning the mailbox
+  impostor: { uid: 'impostor', email: 'invitee@example.com', emailVerified: false },
+};
+
+let testEnv;
+
+const dbFor = (user) => testEnv.authenticatedContext(user.uid, {
+  email: user.email,
+  email_verified: user.emailVerified !== false,
+}).firestore();
+
+const workspaceDoc = {
+  name: 'Household',
+  ownerId: 'owner',
+  members: {
+    owner: { role: 'owner', email: 'owner@example.com' },
+    editor: { role: 'editor', email: 'editor@example.com' },
+    viewer: { role: 'viewer', email: 'viewer@example.com' },
+  },
+  memberIds: ['owner', 'editor', 'viewer'],
+};
+
+const transaction = (createdBy) => ({
+  amount: 42,
+  category: 'Groceries',
+  type: 'expense',
+  status: 'actual',
+  createdBy,
+});
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-budget-rules',
+    firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, WORKSPACE), workspaceDoc);
+    await setDoc(doc(db, `${WORKSPACE}/transactions/existing`), transaction('editor'));
+    await setDoc(doc(db, `${WORKSPACE}/invites/invitee@example.com`), {
+      email: 'invitee@example.com',
+      role: 'editor',
+      workspaceId: 'household',
+      workspaceName: 'Household',
+    });
+    await setDoc(doc(db, `artifacts/${APP_ID}/users/owner/transactions/personal`), transaction('owner'));
+  });
+});
+
+describe('personal data', () => {
+  test('only the owner can read and write their own data', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(USERS.owner), `artifacts/${APP_ID}/users/owner/transactions/personal`)));
+    await assertFails(getDoc(doc(dbFor(USERS.editor), `artifacts/${APP_ID}/users/owner/transactions/personal`)));
+    await assertFails(setDoc(doc(dbFor(USERS.editor), `artifacts/${APP_ID}/users/owner/transactions/new`), transaction('editor')));
+  });
+
+  test('signed-out users are denied', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(db, `artifacts/${APP_ID}/users/owner/transactions/personal`)));
+    await assertFails(getDoc(doc(db, WORKSPACE)));
+  });
+});
+
+describe('workspace documents', () => {
+  test('members can read the workspace, others cannot', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(USERS.viewer), WORKSPACE)));
+    await assertFails(getDoc(doc(dbFor(USERS.stranger), WORKSPACE)));
+  });
+
+  test('members can list their workspaces by memberIds', async () => {
+    const db = dbFor(USERS.editor);
+    const q = query(collection(db, `artifacts/${APP_ID}/workspaces`), where('memberIds', 'array-contains', 'editor'));
+    await assertSucceeds(getDocs(q));
+  });
+
+  test('a user can create a workspace only as its sole owner', async () => {
+    const db = dbFor(USERS.stranger);
+    const own = {
+      name: 'Mine',
+      ownerId: 'stranger',
+      members: { stranger: { role: 'owner', email: 'stranger@example.com' } },
+      memberIds: ['stranger'],
+    };
+    await assertSucceeds(setDoc(doc(db, `artifacts/${APP_ID}/workspaces/mine`), own));
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/workspaces/theirs`), { ...own, ownerId: 'owner' }));
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/workspaces/sneaky`), {
+      ...own,
+      members: { ...own.members, editor: { role: 'editor', email: 'editor@example.com' } },
+      memberIds: ['stranger', 'editor'],
+    }));
+  });
+
+  test('the owner can change roles and remove members', async () => {
+    const db = dbFor(USERS.owner);
+    await assertSucceeds(updateDoc(doc(db, WORKSPACE), { 'members.viewer.role': 'editor' }));
+    await assertSucceeds(updateDoc(doc(db, WORKSPACE), { 'members.editor': deleteField(), memberIds: arrayRemove('editor') }));
+  });
+
+  test('the owner cannot demote themselves', async () => {
+    await assertFails(updateDoc(doc(dbFor(USERS.owner), WORKSPACE), { 'members.owner.role': 'viewer' }));
+  });
+
+  test('editors and viewers cannot change roles', async () => {
+    await assertFails(updateDoc(doc(dbFor(USERS.editor), WORKSPACE), { 'members.viewer.role': 'editor' }));
+    await assertFails(updateDoc(doc(dbFor(USERS.viewer), WORKSPACE), { 'members.viewer.role': 'owner' }));
+  });
+
+  test('members other than the owner can leave', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor(USERS.viewer), WORKSPACE), {
+      'members.viewer': deleteField(),
+      memberIds: arrayRemove('viewer'),
+    }));
+    await assertFails(updateDoc(doc(dbFor(USERS.editor), WORKSPACE), {
+      'members.owner': deleteField(),
+      memberIds: arrayRemove('owner'),
+    }));
+  });
+
+  test('only the owner can delete the workspace', async () => {
+    await assertFails(deleteDoc(doc(dbFor(USERS.editor), WORKSPACE)));
+    await assertSucceeds(deleteDoc(doc(dbFor(USERS.owner), WORKSPACE)));
+  });
+});
+
+describe('invitations', () => {
+  const acceptBatch = (db, role, uid = 'invitee') => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, WORKSPACE), {
+      [`members.${uid}`]: { role, email: 'invitee@example.com' },
+      memberIds: arrayUnion(uid),
+    });
+    batch.delete(doc(db, `${WORKSPACE}/invites/invitee@example.com`));
+    return batch.commit();
+  };
+
+  test('the owner can invite editors and viewers but not owners', async () => {
+    const db = dbFor(USERS.owner);
+    const invite = { email: 'new@example.com', role: 'viewer', workspaceId: 'household', workspaceName: 'Household' };
+    await assertSucceeds(setDoc(doc(db, `${WORKSPACE}/invites/new@example.com`), invite));
+    await assertFails(setDoc(doc(db, `${WORKSPACE}/invites/new@example.com`), { ...invite, role: 'owner' }));
+  });
+
+  test('editors cannot invite', async () => {
+    await assertFails(setDoc(doc(dbFor(USERS.editor), `${WORKSPACE}/invites/new@example.com`), {
+      email: 'new@example.com', role: 'viewer', workspaceId: 'household', workspaceName: 'Household',
+    }));
+  });
+
+  test('invitees find their invitations with a collection group query', async () => {
+    const db = dbFor(USERS.invitee);
+    await assertSucceeds(getDocs(query(collectionGroup(db, 'invites'), where('email', '==', 'invitee@example.com'))));
+    await assertFails(getDocs(query(collectionGroup(db, 'invites'), where('email', '==', 'someone@example.com'))));
+  });
+
+  test('an invitee can join with the invited role', async () => {
+    await assertSucceeds(acceptBatch(dbFor(USERS.invitee), 'editor'));
+  });
+
+  test('an invitee cannot join with a different role', async () => {
+    await assertFails(acceptBatch(dbFor(USERS.invitee), 'owner'));
+  });
+
+  test('an unverified account with the invited address can neither see nor accept the invitation', async () => {
+    const db = dbFor(USERS.impostor);
+    await assertFails(getDoc(doc(db, `${WORKSPACE}/invites/invitee@example.com`)));
+    await assertFails(getDocs(query(collectionGroup(db, 'invites'), where('email', '==', 'invitee@example.com'))));
+    await assertFails(acceptBatch(db, 'editor', 'impostor'));
+    await assertFails(deleteDoc(doc(db, `${WORKSPACE}/invites/invitee@example.com`)));
+  });
+
+  test('users without an invitation cannot join', async () => {
+    const db = dbFor(USERS.stranger);
+    await assertFails(updateDoc(doc(db, WORKSPACE), {
+      'members.stranger': { role: 'viewer', email: 'stranger@example.com' },
+      memberIds: arrayUnion('stranger'),
+    }));
+  });
+
+  test('an invitee can decline', async () => {
+    await assertSucceeds(deleteDoc(doc(dbFor(USERS.invitee), `${WORKSPACE}/invites/invitee@example.com`)));
+  });
+});
+
+describe('workspace data', () => {
+  const newTransaction = (user) => doc(dbFor(user), `${WORKSPACE}/transactions/new-${user.uid}`);
+
+  test('every member can read, strangers cannot', async () => {
+    await assertSucceeds(getDoc(doc(dbFor(USERS.viewer), `${WORKSPACE}/transactions/existing`)));
+    await assertFails(getDoc(doc(dbFor(USERS.stranger), `${WORKSPACE}/transactions/existing`)));
+  });
+
+  test('owners and editors can add transactions recorded under their own id', async () => {
+    await assertSucceeds(setDoc(newTransaction(USERS.owner), transaction('owner')));
+    await assertSucceeds(setDoc(newTransaction(USERS.editor), transaction('editor')));
+    await assertFails(setDoc(newTransaction(USERS.editor), transaction('owner')));
+  });
+
+  test('viewers cannot write', async () => {
+    const db = dbFor(USERS.viewer);
+    await assertFails(setDoc(newTransaction(USERS.viewer), transaction('viewer')));
+    await assertFails(updateDoc(doc(db, `${WORKSPACE}/transactions/existing`), { amount: 1 }));
+    await assertFails(deleteDoc(doc(db, `${WORKSPACE}/transactions/existing`)));
+    await assertFails(setDoc(doc(db, `${WORKSPACE}/budgets/food`), { category: 'Groceries', limit: 100 }));
+  });
+
+  test('editors can edit but not reassign who added a transaction', async () => {
+    const db = dbFor(USERS.editor);
+    await assertSucceeds(updateDoc(doc(db, `${WORKSPACE}/transactions/existing`), { amount: 10 }));
+    await assertFails(updateDoc(doc(db, `${WORKSPACE}/transactions/existing`), { createdBy: 'owner' }));
+  });
+
+  test('editors can write budgets and other collections', async () => {
+    await assertSucceeds(setDoc(doc(dbFor(USERS.editor), `${WORKSPACE}/budgets/food`), { category: 'Groceries', limit: 100 }));
+  });
+
+  test('members record history under their own id and cannot rewrite it', async () => {
+    const entry = (changedBy) => ({ transactionId: 'existing', action: 'updated', changes: [], changedBy });
+    const editorDb = dbFor(USERS.editor);
+    await assertSucceeds(setDoc(doc(editorDb, `${WORKSPACE}/transactionHistory/mine`), entry('editor')));
+    await assertFails(setDoc(doc(editorDb, `${WORKSPACE}/transactionHistory/forged`), entry('owner')));
+    await assertFails(setDoc(doc(dbFor(USERS.viewer), `${WORKSPACE}/transactionHistory/viewer`), entry('viewer')));
+    await assertFails(updateDoc(doc(editorDb, `${WORKSPACE}/transactionHistory/mine`), { changes: [] }));
+    await assertFails(deleteDoc(doc(editorDb, `${WORKSPACE}/transactionHistory/mine`)));
+    await assertSucceeds(deleteDoc(doc(dbFor(USERS.owner), `${WORKSPACE}/transactionHistory/mine`)));
+  });
+
+  test('editors cannot write invitations through the data rules', async () => {
+    await assertFails(setDoc(doc(dbFor(USERS.editor), `${WORKSPACE}/invites/friend@example.com`), {
+      email: 'friend@example.com', role: 'editor', workspaceId: 'household',
+    }));
+  });
+});
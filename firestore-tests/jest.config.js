@@ -0,0 +1,5 @@
+// The rules tests have their own config, so the app's jest settings in package.json (run by react-scripts) don't
+// apply to them
+module.exports = {
+  testEnvironment: '<rootDir>/jest.environment.js',
+};
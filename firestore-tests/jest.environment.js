@@ -0,0 +1,15 @@
+const NodeEnvironment = require('jest-environment-node');
+
+// Jest's node environment predates Node's web globals, which the firebase SDK's node build (through undici) needs
+const WEB_GLOBALS = ['ReadableStream', 'WritableStream', 'TransformStream'];
+
+class RulesTestEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    WEB_GLOBALS.forEach(name => {
+      if (this.global[name] === undefined && globalThis[name] !== undefined) this.global[name] = globalThis[name];
+    });
+  }
+}
+
+module.exports = RulesTestEnvironment;
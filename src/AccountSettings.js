@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import {
+  EmailAuthProvider,
+  linkWithCredential,
+  reauthenticateWithCredential,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  deleteUser,
+} from 'firebase/auth';
+import { authErrorMessage } from './authErrors';
+import { deleteAllUserData } from './accountDeletion';
+
+// Firebase only deletes users who signed in within the last five minutes. Sessions that can't confirm a password are
+// held to a minute less, which leaves time to delete their data first.
+const RECENT_SIGN_IN_MS = 4 * 60 * 1000;
+
+const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all";
+
+// Account management for the signed-in user: turning a guest (anonymous) session into an email account without losing
+// its data, email verification, password reset, and deleting the account along with everything it stored.
+// onUserUpdated(user) is called after changes that onAuthStateChanged doesn't report, such as linking or verifying.
+const AccountSettings = ({
+  auth, db, storage, appId, userId, userEmail, isAnonymous, emailVerified, workspaces, onUserUpdated, showCustomModal,
+}) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [deletePassword, setDeletePassword] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null); // { text, isError }
+  const [progress, setProgress] = useState('');
+
+  // Custom-token sessions have no email or password, so like guests they can't reset, verify or re-enter one
+  const hasPassword = !isAnonymous && !!userEmail;
+
+  // Linking keeps the same user ID, so everything stored under it stays with the new account
+  const handleCreateAccount = async () => {
+    if (!email || !password) {
+      setMessage({ text: "Please enter an email and password.", isError: true });
+      return;
+    }
+    setWorking(true);
+    setMessage(null);
+    try {
+      const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+      try {
+        await sendEmailVerification(user);
+      } catch (verificationError) {
+        console.error("Error sending verification email:", verificationError);
+      }
+      setEmail('');
+      setPassword('');
+      onUserUpdated(user);
+      setMessage({ text: `Account created. We've sent a verification link to ${user.email}.`, isError: false });
+    } catch (err) {
+      console.error("Account linking error:", err);
+      setMessage({ text: authErrorMessage(err), isError: true });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setWorking(true);
+    setMessage(null);
+    try {
+      await sendEmailVerification(auth.currentUser);
+      setMessage({ text: `Verification link sent to ${userEmail}.`, isError: false });
+    } catch (err) {
+      console.error("Error sending verification email:", err);
+      setMessage({ text: authErrorMessage(err), isError: true });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // The ID token doesn't learn about verification on its own, so the user is reloaded on request. The token is
+  // refreshed too, since the security rules only let verified addresses accept invitations.
+  const handleCheckVerification = async () => {
+    setWorking(true);
+    setMessage(null);
+    try {
+      await auth.currentUser.reload();
+      if (auth.currentUser.emailVerified) await auth.currentUser.getIdToken(true);
+      onUserUpdated(auth.currentUser);
+      if (!auth.currentUser.emailVerified) {
+        setMessage({ text: "Your email isn't verified yet. Please use the link we emailed you.", isError: true });
+      }
+    } catch (err) {
+      console.error("Error reloading user:", err);
+      setMessage({ text: authErrorMessage(err), isError: true });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSendPasswordReset = async () => {
+    setWorking(true);
+    setMessage(null);
+    try {
+      await sendPasswordResetEmail(auth, userEmail);
+      setMessage({ text: `Password reset link sent to ${userEmail}.`, isError: false });
+    } catch (err) {
+      console.error("Password reset error:", err);
+      setMessage({ text: authErrorMessage(err), isError: true });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Firebase only deletes users who signed in recently, so that is made sure of before any data is removed: otherwise
+  // the data could be gone from under an account that then can't be deleted. Email accounts confirm their password,
+  // and again before the account goes, in case deleting the data took a while. Guest and custom-token sessions have no
+  // password to confirm, so they must have signed in recently.
+  const runDeleteAccount = async () => {
+    const user = auth.currentUser;
+    if (!hasPassword && Date.now() - new Date(user.metadata.lastSignInTime).getTime() > RECENT_SIGN_IN_MS) {
+      setMessage({ text: "For your security, please sign out and sign in again before deleting your account.", isError: true });
+      return;
+    }
+    setWorking(true);
+    setMessage(null);
+    try {
+      const reauthenticate = () => reauthenticateWithCredential(user, EmailAuthProvider.credential(userEmail, deletePassword));
+      if (hasPassword) await reauthenticate();
+      await deleteAllUserData({ db, storage, appId, userId, workspaces, onProgress: setProgress });
+      setProgress('Deleting your account...');
+      if (hasPassword) await reauthenticate();
+      await deleteUser(user);
+      // onAuthStateChanged takes the app back to the login screen
+    } catch (err) {
+      console.error("Account deletion error:", err);
+      setProgress('');
+      setMessage({
+        text: err.code && err.code.startsWith('auth/') ? authErrorMessage(err)
+          : "Failed to delete all of your data. Your account was kept so you can try again.",
+        isError: true,
+      });
+      setWorking(false);
+    }
+  };
+
+  const handleDeleteAccount = () => {
+    if (hasPassword && !deletePassword) {
+      setMessage({ text: "Please enter your password to delete your account.", isError: true });
+      return;
+    }
+    showCustomModal(
+      "Permanently delete your account, your budget and any shared budgets you own? This can't be undone.",
+      runDeleteAccount
+    );
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Account</h2>
+
+      {message && (
+        <p className={`text-sm mb-3 ${message.isError ? 'text-red-600' : 'text-green-700'}`} role="status">{message.text}</p>
+      )}
+
+      {isAnonymous ? (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-3">
+            You're using a guest session, so your data is only reachable from this browser. Create an account to keep it.
+          </p>
+          <div className="grid grid-cols-2 gap-3 mb-3">
+            <input
+              type="email"
+              aria-label="Account email"
+              className={inputClassName}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="your@email.com"
+            />
+            <input
+              type="password"
+              aria-label="Account password"
+              className={inputClassName}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+            />
+          </div>
+          <button
+            onClick={handleCreateAccount}
+            className="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition-all"
+            disabled={working}
+          >
+            Create Account and Keep My Data
+          </button>
+        </div>
+      ) : hasPassword && (
+        <div className="mb-4">
+          {!emailVerified && (
+            <div className="p-3 mb-3 rounded-lg bg-yellow-50 border border-yellow-300 text-sm">
+              <p className="text-gray-800 mb-2">Please verify {userEmail} using the link we emailed you.</p>
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={handleResendVerification}
+                  className="px-3 py-1 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all"
+                  disabled={working}
+                >
+                  Resend Link
+                </button>
+                <button
+                  onClick={handleCheckVerification}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all"
+                  disabled={working}
+                >
+                  I've Verified It
+                </button>
+              </div>
+            </div>
+          )}
+          <button
+            onClick={handleSendPasswordReset}
+            className="w-full bg-gray-200 text-gray-800 py-2 rounded-lg hover:bg-gray-300 transition-all"
+            disabled={working}
+          >
+            Email Me a Password Reset Link
+          </button>
+        </div>
+      )}
+
+      {confirmingDelete ? (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-300">
+          <p className="text-sm text-red-800 mb-3">
+            This deletes your account, every transaction, rule, budget, goal and receipt in your budget, and any shared
+            budgets you own. You'll be removed from shared budgets owned by others.
+          </p>
+          {hasPassword && (
+            <input
+              type="password"
+              aria-label="Confirm password"
+              className={`${inputClassName} mb-3`}
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              placeholder="Your password"
+            />
+          )}
+          {progress && <p className="text-sm text-gray-600 mb-2">{progress}</p>}
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setConfirmingDelete(false)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all"
+              disabled={working}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleDeleteAccount}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-all"
+              disabled={working}
+            >
+              Delete Everything
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setConfirmingDelete(true)}
+          className="w-full text-sm text-red-600 hover:underline"
+        >
+          Delete my account and data
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AccountSettings;
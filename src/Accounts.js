@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { ACCOUNT_KINDS, isLiability, accountKindLabel } from './accountBalances';
+import { currencyOf, formatMoney, knownCurrencies } from './currency';
+import { parseMoney, fromMinor } from './money';
+
+// Checking, savings, credit card and cash accounts with their balances and the net-worth total.
+// balances comes from getAccountBalances; unassigned is the balance of transactions recorded without an account.
+// Each balance is shown in the account's currency; unassigned and net worth are in the base currency.
+const Accounts = ({
+  store, readOnly, balances, unassigned, netWorth, transactions, currencySettings, showCustomModal, setError,
+}) => {
+  const [name, setName] = useState('');
+  const [kind, setKind] = useState('checking');
+  const [currency, setCurrency] = useState(''); // Empty means the base currency
+  const [openingBalance, setOpeningBalance] = useState('');
+  const [saving, setSaving] = useState(false);
+
+
+  const handleAddAccount = async () => {
+    if (!store) {
+      showCustomModal("Please log in to add accounts.");
+      return;
+    }
+    if (!name.trim()) {
+      showCustomModal("Please enter an account name.");
+      return;
+    }
+    if (balances.some(a => a.name.trim().toLowerCase() === name.trim().toLowerCase())) {
+      showCustomModal(`An account named "${name.trim()}" already exists.`);
+      return;
+    }
+    const accountCurrency = currency || currencySettings.baseCurrency;
+    const openingMinor = openingBalance === '' ? 0 : parseMoney(openingBalance, accountCurrency, { allowNegative: true });
+    if (openingMinor === null) {
+      showCustomModal("Please enter a valid opening balance, like 1,234.56.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const opening = fromMinor(openingMinor, accountCurrency);
+      await store.add('accounts', {
+        name: name.trim(),
+        kind,
+        currency: accountCurrency,
+        // For credit cards the form asks for the amount owed, which is stored as a negative balance
+        openingBalance: isLiability(kind) ? -Math.abs(opening) : opening,
+        createdAt: store.timestamp(),
+      });
+      setName('');
+      setKind('checking');
+      setCurrency('');
+      setOpeningBalance('');
+    } catch (err) {
+      console.error("Error adding account:", err);
+      setError("Failed to add account. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deleting an account that still has transactions would silently change every other balance
+  const handleDeleteAccount = (account) => {
+    const inUse = transactions.some(t => t.accountId === account.id || t.toAccountId === account.id);
+    if (inUse) {
+      showCustomModal(`"${account.name}" still has transactions. Move or delete them before deleting the account.`);
+      return;
+    }
+    showCustomModal(`Are you sure you want to delete the account "${account.name}"?`, async () => {
+      setError(null);
+      try {
+        await store.remove('accounts', account.id);
+      } catch (err) {
+        console.error("Error deleting account:", err);
+        setError("Failed to delete account. Please try again.");
+      }
+    });
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Accounts</h2>
+
+      {balances.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm mb-4">{readOnly ? 'No accounts yet.' : 'No accounts yet. Add your checking, savings, credit card or cash accounts below.'}</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {balances.map(a => (
+            <li key={a.id} className="flex justify-between items-center p-2 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+              <span>
+                <span className="font-medium text-gray-800">{a.name}</span>
+                <span className="text-xs text-gray-500 ml-2">{accountKindLabel(a.kind)}</span>
+              </span>
+              <span className="flex items-center">
+                <span className={`font-semibold ${a.balance >= 0 ? 'text-green-700' : 'text-orange-700'}`}>
+                  {isLiability(a.kind) && a.balance < 0
+                    ? `Owed ${formatMoney(Math.abs(a.balance), currencyOf(a))}`
+                    : formatMoney(a.balance, currencyOf(a))}
+                </span>
+                {!readOnly && (
+                  <button
+                    onClick={() => handleDeleteAccount(a)}
+                    className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                    aria-label={`Delete ${a.name} account`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </span>
+            </li>
+          ))}
+          {unassigned !== 0 && (
+            <li className="flex justify-between items-center p-2 rounded-lg bg-gray-50 border border-dashed border-gray-300 text-sm">
+              <span className="text-gray-600">No account</span>
+              <span className="font-semibold text-gray-700">{formatMoney(unassigned, currencySettings.baseCurrency)}</span>
+            </li>
+          )}
+        </ul>
+      )}
+
+      <div className={`p-3 rounded-lg shadow-sm mb-4 text-center ${netWorth >= 0 ? 'bg-green-100' : 'bg-orange-100'}`}>
+        <p className="text-sm text-gray-700">Net Worth</p>
+        <p className={`text-lg font-semibold ${netWorth >= 0 ? 'text-green-800' : 'text-orange-800'}`}>{formatMoney(netWorth, currencySettings.baseCurrency)}</p>
+      </div>
+
+      {!readOnly && (
+        <>
+          <div className="grid grid-cols-2 gap-3 mb-3">
+            <div>
+              <label htmlFor="accountName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                id="accountName"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g., Main Checking"
+              />
+            </div>
+            <div>
+              <label htmlFor="accountKind" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                id="accountKind"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={kind}
+                onChange={(e) => setKind(e.target.value)}
+              >
+                {ACCOUNT_KINDS.map(k => (
+                  <option key={k.value} value={k.value}>{k.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="accountOpeningBalance" className="block text-sm font-medium text-gray-700 mb-1">
+                {isLiability(kind) ? 'Amount Owed' : 'Opening Balance'}
+              </label>
+              <input
+                type="text"
+                inputMode="decimal"
+                id="accountOpeningBalance"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={openingBalance}
+                onChange={(e) => setOpeningBalance(e.target.value)}
+                placeholder="0.00"
+              />
+            </div>
+            <div>
+              <label htmlFor="accountCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+              <select
+                id="accountCurrency"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={currency || currencySettings.baseCurrency}
+                onChange={(e) => setCurrency(e.target.value)}
+              >
+                {knownCurrencies(currencySettings).map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <button
+            onClick={handleAddAccount}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Add Account'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Accounts;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { needsAmountMigration, migratedAmountFields } from './money';
+
+// Offers to rewrite transactions and recurring rules saved before amounts were stored in minor units. Their totals
+// are already right, since older amounts are rounded on read, but converting them stores the exact value once and
+// for all. transactions includes those in the trash, so restoring one later doesn't bring back a decimal amount.
+// Hidden when there is nothing to convert. A failure is reported here, under the button.
+const AmountMigration = ({ store, transactions, recurringRules, trackWrite }) => {
+  const [failure, setFailure] = useState('');
+
+  const pending = [
+    ...transactions.filter(needsAmountMigration).map(item => ({ item, collectionName: 'transactions' })),
+    ...recurringRules.filter(needsAmountMigration).map(item => ({ item, collectionName: 'recurringRules' })),
+  ];
+  if (pending.length === 0) return null;
+
+  // The converted amounts are applied locally straight away, which hides this banner; the server's acknowledgement is
+  // tracked like any other write, and a rejection brings the banner back with the failure under the button
+  const handleMigrate = () => {
+    setFailure('');
+    const write = store.batch(
+      pending,
+      (batch, { item, collectionName }) => batch.update(collectionName, item.id, migratedAmountFields(item))
+    ).catch((err) => {
+      console.error("Error converting amounts:", err);
+      setFailure(err.written > 0
+        ? `${err.failed.length} of ${pending.length} amounts weren't converted. Please try again.`
+        : "Failed to convert amounts. Please try again.");
+      throw err;
+    });
+    trackWrite(write, null, pending.length);
+  };
+
+  return (
+    <div className="mb-6 p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm">
+      <div className="flex justify-between items-center">
+        <p className="text-blue-800">
+          {pending.length} older item{pending.length === 1 ? '' : 's'} still store amounts as decimals. Convert them so
+          they are stored exactly?
+        </p>
+        <button
+          onClick={handleMigrate}
+          className="ml-3 px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all whitespace-nowrap"
+        >
+          Convert Now
+        </button>
+      </div>
+      {failure && <p className="mt-2 text-red-700">{failure}</p>}
+    </div>
+  );
+};
+
+export default AmountMigration;
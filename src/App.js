@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { initializeApp, getApps, getApp } from 'firebase/app';
 import {
   getAuth,
   signInAnonymously,
@@ -7,55 +7,165 @@ import {
   onAuthStateChanged,
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
+  sendEmailVerification,
+  sendPasswordResetEmail,
   signOut
 } from 'firebase/auth';
 import {
   getFirestore,
-  collection,
-  addDoc,
-  query,
-  onSnapshot,
-  orderBy,
-  serverTimestamp,
-  deleteDoc,
-  doc,
-  updateDoc,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   Timestamp // Import Timestamp for date comparisons
 } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+import { formatDate, toDateInputValue, toDateKey, parseDateInput } from './dateUtils';
+import RecurringRules from './RecurringRules';
+import ForecastReview from './ForecastReview';
+import ImportTransactions from './ImportTransactions';
+import ExportData from './ExportData';
+import Budgets from './Budgets';
+import useBudgetCollection from './useBudgetCollection';
+import { createFirestoreStore } from './firestoreStore';
+import { localStore } from './localStore';
+import { loadStorageMode, saveStorageMode } from './storageMode';
+import LocalDataMigration from './LocalDataMigration';
+import { isTrashed, recordTransactionChanges, revertChanges } from './transactionHistory';
+import ChangeHistory from './ChangeHistory';
+import TransactionTrash from './TransactionTrash';
+import UndoToast from './UndoToast';
+import BulkActions from './BulkActions';
+import useOnlineStatus from './useOnlineStatus';
+import usePendingWrites from './usePendingWrites';
+import CategoryManager from './CategoryManager';
+import Accounts from './Accounts';
+import { findAccount } from './accountBalances';
+import CurrencySettings from './CurrencySettings';
+import {
+  loadCurrencySettings,
+  saveCurrencySettings,
+  knownCurrencies,
+  currencyOf,
+  formatMoney,
+} from './currency';
+import ChartsDashboard from './ChartsDashboard';
+import BalanceProjection from './BalanceProjection';
+import PeriodSelector from './PeriodSelector';
+import { percentChange, DEFAULT_ROLLING_DAYS } from './periods';
+import TransactionFilters from './TransactionFilters';
+import usePaginatedCollection from './usePaginatedCollection';
+import {
+  TRANSACTION_PAGE_SIZE,
+  EMPTY_FILTERS,
+  buildTransactionConstraints,
+  matchesClientFilters,
+  compareTransactions,
+  hasActiveFilters,
+} from './transactionQuery';
+import { findCategory, canonicalCategoryName, categoriesForType, collectCategoryNames, normalizeCategory } from './categories';
+import WorkspaceManager from './WorkspaceManager';
+import useWorkspaces from './useWorkspaces';
+import { roleOf, canEdit, workspaceMembers, memberLabel } from './workspaceRoles';
+import SplitEditor from './SplitEditor';
+import { SPLIT_CATEGORY, isSplit, newSplitLines, validateSplits, scaleSplits } from './splits';
+import Goals from './Goals';
+import { summarizeBudget } from './budgetSummary';
+import CategoryRules from './CategoryRules';
+import { categorizeByRules } from './categorizationRules';
+import { parseTags, formatTags, transactionTags, collectTagNames } from './tags';
+import { RECEIPT_ACCEPT, validateReceipt, uploadReceipts, deleteReceipts } from './receipts';
+import ReceiptAttachments from './ReceiptAttachments';
+import AccountSettings from './AccountSettings';
+import { authErrorMessage } from './authErrors';
+import AmountMigration from './AmountMigration';
+import { parseMoney, moneyFields, amountMinorOf, formatAmountInput, minorDigits, fromMinor } from './money';
 
 // Global variables provided by the Canvas environment
 const appId = window.hasOwnProperty('__app_id') ? window.__app_id : 'default-app-id';
 const firebaseConfig = window.hasOwnProperty('__firebase_config') ? JSON.parse(window.__firebase_config) : {};
 const initialAuthToken = window.hasOwnProperty('__initial_auth_token') ? window.__initial_auth_token : null;
+// Without a Firebase project the app still runs, keeping the budget in this browser (see localStore.js)
+const firebaseAvailable = Object.keys(firebaseConfig).length > 0;
+
+
+// Colored dot and optional icon shown before a managed category's name
+const CategoryMarker = ({ category }) => {
+  if (!category) return null;
+  return (
+    <>
+      <span className="inline-block h-3 w-3 rounded-full mr-2" style={{ backgroundColor: category.color }} />
+      {category.icon && <span className="mr-1">{category.icon}</span>}
+    </>
+  );
+};
 
+// Change against the previous period. For expenses a rise is bad news, so the colors flip.
+const TrendIndicator = ({ current, previous, higherIsBetter }) => {
+  const change = percentChange(current, previous);
+  if (change === null) {
+    return <p className="text-xs text-gray-500">No previous data</p>;
+  }
+  const good = higherIsBetter ? change >= 0 : change <= 0;
+  return (
+    <p className={`text-xs ${good ? 'text-green-700' : 'text-orange-700'}`}>
+      {change >= 0 ? '▲' : '▼'} {Math.abs(change).toFixed(1)}% vs previous
+    </p>
+  );
+};
 
-// Utility function to convert Firebase timestamp or Date object to readable date string
-const formatDate = (dateValue) => {
-  if (dateValue && dateValue.toDate) { // Firebase Timestamp
-    return dateValue.toDate().toLocaleDateString();
+// Validation shared by the add and edit forms. Returns an error message, or null if the input is valid.
+// splits holds the category lines of a split transaction; empty or missing when it has a single category.
+// Amounts are as typed, in `currency`.
+const validateTransactionInput = ({ amount, currency, category, type, status, date, accountId, toAccountId, splits }) => {
+  if (!(parseMoney(amount, currency) > 0)) {
+    const digits = minorDigits(currency);
+    return digits > 0
+      ? `Please enter a valid positive amount with up to ${digits} decimal places, like 1,234.56.`
+      : `Please enter a valid positive whole amount for ${currency}, like 1,234.`;
   }
-  if (dateValue instanceof Date) { // JavaScript Date object
-    return dateValue.toLocaleDateString();
+  if (type === 'transfer') {
+    if (!accountId || !toAccountId) {
+      return "Please choose the accounts to transfer from and to.";
+    }
+    if (accountId === toAccountId) {
+      return "Please choose two different accounts for a transfer.";
+    }
+  } else if (splits && splits.length > 0) {
+    const splitError = validateSplits(splits, amount, currency);
+    if (splitError) return splitError;
+  } else if (!category.trim()) {
+    return "Please enter a category.";
   }
-  // If it's a string in YYYY-MM-DD format, parse it
-  if (typeof dateValue === 'string' && dateValue.match(/^\d{4}-\d{2}-\d{2}$/)) {
-    const [year, month, day] = dateValue.split('-').map(Number);
-    return new Date(year, month - 1, day).toLocaleDateString();
+  if (status === 'forecasted' && !date) {
+    return "Please select a date for forecasted transactions.";
   }
-  return 'N/A';
+  return null;
 };
 
 // Main App component
 const App = () => {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
+  const [storage, setStorage] = useState(null); // Firebase Storage, for receipt attachments
   const [userId, setUserId] = useState(null);
   const [userEmail, setUserEmail] = useState(null); // To display logged-in email
+  const [isAnonymous, setIsAnonymous] = useState(false); // Guest session from signInAnonymously
+  const [emailVerified, setEmailVerified] = useState(false);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [transactions, setTransactions] = useState([]);
+  const [storageMode, setStorageMode] = useState(() => loadStorageMode(firebaseAvailable)); // 'firebase' or 'local'
   const [amount, setAmount] = useState('');
+  const [payee, setPayee] = useState(''); // Merchant or payer
+  const [description, setDescription] = useState(''); // Free text such as a statement line, matched by rules
+  const [notes, setNotes] = useState('');
+  const [tagsInput, setTagsInput] = useState(''); // Comma-separated, see parseTags
+  const [receiptFiles, setReceiptFiles] = useState([]); // Receipts to upload once the transaction is added
   const [category, setCategory] = useState('');
-  const [type, setType] = useState('expense'); // 'expense' or 'income'
+  const [splitLines, setSplitLines] = useState([]); // Category lines when splitting; empty for a single category
+  const [type, setType] = useState('expense'); // 'expense', 'income' or 'transfer'
+  const [accountId, setAccountId] = useState(''); // Account the money comes from (or goes into, for income)
+  const [toAccountId, setToAccountId] = useState(''); // Destination account, transfers only
+  const [transactionCurrency, setTransactionCurrency] = useState(''); // Empty follows the account's currency
+  const [goalId, setGoalId] = useState(''); // Savings goal the transaction contributes to, if any
   const [transactionStatus, setTransactionStatus] = useState('actual'); // 'actual' or 'forecasted'
   const [transactionDate, setTransactionDate] = useState(''); // For user-selected date for forecasted items
   const [loading, setLoading] = useState(true);
@@ -63,27 +173,80 @@ const App = () => {
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
   const [modalAction, setModalAction] = useState(null);
-  const [authMode, setAuthMode] = useState('login'); // 'login' or 'register'
+  const [authMode, setAuthMode] = useState('login'); // 'login', 'register' or 'reset' (forgot password)
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [authError, setAuthError] = useState(null);
+  const [authNotice, setAuthNotice] = useState(null); // Confirmation shown on the auth screen, e.g. reset email sent
+  const [editingId, setEditingId] = useState(null); // ID of the transaction being edited in place
+  const [editValues, setEditValues] = useState({
+    amount: '', category: '', type: 'expense', status: 'actual', date: '', accountId: '', toAccountId: '', currency: '', splits: [],
+    goalId: '', description: '', payee: '', notes: '', tags: '',
+  });
+  const [reconcileTarget, setReconcileTarget] = useState(null); // Forecast being marked as paid/received
+  const [reconcileValues, setReconcileValues] = useState({ amount: '', date: '' });
+  const [periodSelection, setPeriodSelection] = useState({
+    period: 'rolling', // Rolling 30 days matches the original "last/next 30 days" cards
+    customStart: '',
+    customEnd: '',
+    rollingDays: DEFAULT_ROLLING_DAYS,
+  });
+  const [listFilters, setListFilters] = useState(EMPTY_FILTERS);
+  const [listSort, setListSort] = useState('createdAt-desc');
+  const [listLimit, setListLimit] = useState(TRANSACTION_PAGE_SIZE); // How many transactions local mode shows
+  const [currencySettings, setCurrencySettings] = useState(loadCurrencySettings); // Base currency and exchange rates
+  const [workspaceId, setWorkspaceId] = useState(''); // Shared workspace being shown; empty for the personal budget
+  const [undoAction, setUndoAction] = useState(null); // { message, changes, onFinal } for the undo toast, see offerUndo
+  const undoActionRef = useRef(null);
+  const [selectedIds, setSelectedIds] = useState({}); // Transactions ticked in the list for a batch action, by id
+
+  const isOnline = useOnlineStatus();
+  const { pendingCount, trackWrite } = usePendingWrites(setError);
 
   const isInitialAuthAttempt = useRef(true); // Flag to ensure sign-in logic only runs once initially
+  const receiptInputRef = useRef(null); // Cleared after adding, since file inputs can't be controlled
 
-  // Initialize Firebase and set up authentication listener
+  // Initialize Firebase and set up authentication listener. In local mode there is no sign-in: the one budget kept
+  // in this browser is open straight away.
   useEffect(() => {
+    if (storageMode === 'local') {
+      setDb(null);
+      setAuth(null);
+      setStorage(null);
+      setUserId('local');
+      setUserEmail(null);
+      setIsAnonymous(false);
+      setEmailVerified(false);
+      setIsAuthReady(true);
+      setLoading(false);
+      return;
+    }
     try {
-      const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      // Switching back from local mode runs this again, and initializeApp throws for an app that already exists
+      const app = getApps().length > 0 ? getApp() : initializeApp(firebaseConfig);
+      // IndexedDB persistence keeps the data readable and writable offline, shared across open tabs.
+      // initializeFirestore throws if Firestore was already set up (e.g. the effect re-running in development).
+      let firestore;
+      try {
+        firestore = initializeFirestore(app, {
+          localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+        });
+      } catch (persistenceError) {
+        console.error("Offline persistence unavailable:", persistenceError);
+        firestore = getFirestore(app);
+      }
       const authentication = getAuth(app);
 
       setDb(firestore);
       setAuth(authentication);
+      setStorage(getStorage(app));
 
       const unsubscribe = onAuthStateChanged(authentication, async (user) => {
         if (user) {
           setUserId(user.uid);
           setUserEmail(user.email);
+          setIsAnonymous(user.isAnonymous);
+          setEmailVerified(user.emailVerified);
           setIsAuthReady(true);
           setLoading(false); // Stop loading once authenticated
           setAuthError(null); // Clear any auth errors
@@ -121,39 +284,90 @@ const App = () => {
       setError("Failed to initialize the app. Please check console for details.");
       setLoading(false);
     }
-  }, []);
+  }, [storageMode]);
+
+  // Every collection lives under dataPath: the user's own data, or the shared workspace they have switched to.
+  // If the active workspace goes away (the user left or was removed) the personal budget is shown again.
+  // Invitations are only shown for a verified address; the rules don't let anyone else read them
+  const { workspaces, invites: workspaceInvites } = useWorkspaces(db, appId, isAuthReady ? userId : null, emailVerified ? userEmail : null,
+    () => setError("Failed to load shared budgets. Please try again."));
+  const activeWorkspace = workspaces.find(w => w.id === workspaceId) || null;
+  const workspaceRole = activeWorkspace ? roleOf(activeWorkspace, userId) : 'owner';
+  const readOnly = !canEdit(workspaceRole);
+  const members = workspaceMembers(activeWorkspace);
+  const dataPath = storageMode === 'local' || !isAuthReady || !userId ? null
+    : activeWorkspace ? `/artifacts/${appId}/workspaces/${activeWorkspace.id}`
+      : `/artifacts/${appId}/users/${userId}`;
+
+  // Where the open budget is read and written (see budgetStore.js): this browser in local mode, otherwise Firestore
+  // under dataPath
+  const isLocal = storageMode === 'local';
+  const store = useMemo(() => {
+    if (isLocal) return isAuthReady ? localStore : null;
+    return db && dataPath ? createFirestoreStore(db, dataPath) : null;
+  }, [isLocal, isAuthReady, db, dataPath]);
+
+  // Deleted transactions stay in the collection until the trash is emptied; everything else only sees the rest
+  const budgetTransactions = useBudgetCollection(store, 'transactions',
+    () => setError("Failed to load transactions. Please try again."));
+  const transactions = useMemo(() => budgetTransactions.filter(t => !isTrashed(t)), [budgetTransactions]);
+  const trashedTransactions = useMemo(() => budgetTransactions.filter(isTrashed), [budgetTransactions]);
 
-  // Fetch transactions when auth is ready and db/userId are available
+  // Exchange rates are per device, so they are kept in localStorage rather than Firestore
   useEffect(() => {
-    if (isAuthReady && db && userId) {
-      const fetchTransactions = () => {
-        const path = `/artifacts/${appId}/users/${userId}/transactions`;
-        // Order by createdAt to show most recently added items at top
-        const q = query(collection(db, path), orderBy('createdAt', 'desc'));
-
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-          const fetchedTransactions = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
-          setTransactions(fetchedTransactions);
-        }, (err) => {
-          console.error("Error fetching transactions:", err);
-          setError("Failed to load transactions. Please try again.");
-        });
+    saveCurrencySettings(currencySettings);
+  }, [currencySettings]);
 
-        // Cleanup subscription on unmount or when dependencies change
-        return () => unsubscribe();
-      };
+  // Recurring rules and budgets live in their own collections next to the transactions
+  const recurringRules = useBudgetCollection(store, 'recurringRules',
+    () => setError("Failed to load recurring transactions. Please try again."));
+  const budgets = useBudgetCollection(store, 'budgets',
+    () => setError("Failed to load budgets. Please try again."));
+  const categories = useBudgetCollection(store, 'categories',
+    () => setError("Failed to load categories. Please try again."));
+  const accounts = useBudgetCollection(store, 'accounts',
+    () => setError("Failed to load accounts. Please try again."));
+  const goals = useBudgetCollection(store, 'goals',
+    () => setError("Failed to load savings goals. Please try again."));
+  const categoryRules = useBudgetCollection(store, 'categoryRules',
+    () => setError("Failed to load categorization rules. Please try again."));
+  // Once accounts exist every new transaction belongs to one; the first account is preselected
+  const selectedAccountId = accountId || (accounts[0] ? accounts[0].id : '');
+  const baseCurrency = currencySettings.baseCurrency;
+  const selectedAccount = findAccount(selectedAccountId, accounts);
+  const selectedCurrency = transactionCurrency || (selectedAccount ? currencyOf(selectedAccount) : baseCurrency);
 
-      fetchTransactions();
-    } else if (!isAuthReady && !userId && !loading) {
-      // If auth not ready and not logged in, ensure transactions are cleared
-      setTransactions([]);
-    }
-  }, [isAuthReady, db, userId, appId, loading]);
+  // The transaction list pages through its own filtered, sorted query instead of rendering every document.
+  // Text search and the amount range aren't part of the key: they are applied in the browser and shouldn't restart
+  // the query.
+  const listQueryKey = JSON.stringify({ ...listFilters, search: '', minAmount: '', maxAmount: '', sort: listSort });
+  const listConstraints = useMemo(
+    () => buildTransactionConstraints(JSON.parse(listQueryKey), listSort),
+    [listQueryKey, listSort]
+  );
+  // The local store has no query engine, so in local mode the whole collection is filtered and sorted in the browser
+  const transactionPages = usePaginatedCollection(
+    db,
+    !isLocal && dataPath && `${dataPath}/transactions`,
+    listConstraints,
+    listQueryKey,
+    TRANSACTION_PAGE_SIZE,
+    () => setError("Failed to load transactions. Please try again.")
+  );
+
+  // The local list starts again from its first page whenever what it shows changes
+  useEffect(() => {
+    setListLimit(TRANSACTION_PAGE_SIZE);
+  }, [listFilters, listSort, dataPath, isLocal]);
 
   // --- Authentication Handlers ---
+  // Account linking and email verification change the user without onAuthStateChanged firing
+  const handleUserUpdated = (user) => {
+    setUserEmail(user.email);
+    setIsAnonymous(user.isAnonymous);
+    setEmailVerified(user.emailVerified);
+  };
+
   const handleRegister = async () => {
     if (!auth || !email || !password) {
       setAuthError("Please enter email and password.");
@@ -161,13 +375,20 @@ const App = () => {
     }
     setLoading(true);
     setAuthError(null);
+    setAuthNotice(null);
     try {
-      await createUserWithEmailAndPassword(auth, email, password);
+      const { user } = await createUserWithEmailAndPassword(auth, email, password);
       setEmail('');
       setPassword('');
+      try {
+        await sendEmailVerification(user);
+      } catch (verificationError) {
+        // The account works without it; the Account section offers to send the link again
+        console.error("Error sending verification email:", verificationError);
+      }
     } catch (err) {
       console.error("Registration error:", err);
-      setAuthError(err.message);
+      setAuthError(authErrorMessage(err));
     } finally {
       setLoading(false);
     }
@@ -180,25 +401,61 @@ const App = () => {
     }
     setLoading(true);
     setAuthError(null);
+    setAuthNotice(null);
     try {
       await signInWithEmailAndPassword(auth, email, password);
       setEmail('');
       setPassword('');
     } catch (err) {
       console.error("Login error:", err);
-      setAuthError(err.message);
+      setAuthError(authErrorMessage(err));
     } finally {
       setLoading(false);
     }
   };
 
-  const handleLogout = async () => {
+  // Firebase doesn't say whether the address has an account, so neither does the confirmation
+  const handlePasswordReset = async () => {
+    if (!auth || !email) {
+      setAuthError("Please enter your email address.");
+      return;
+    }
+    setLoading(true);
+    setAuthError(null);
+    setAuthNotice(null);
+    try {
+      await sendPasswordResetEmail(auth, email.trim());
+      setAuthNotice(`If there's an account for ${email.trim()}, we've sent it a password reset link.`);
+      setAuthMode('login');
+    } catch (err) {
+      console.error("Password reset error:", err);
+      setAuthError(authErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSwitchAuthMode = (mode) => {
+    setAuthMode(mode);
+    setAuthError(null);
+    setAuthNotice(null);
+  };
+
+  // A guest session can't be signed back into, so its data would be out of reach
+  const handleLogout = () => {
+    if (isAnonymous) {
+      showCustomModal("You're using a guest session. Logging out will lose access to its data for good. Create an account in the Account section first to keep it. Log out anyway?", runLogout);
+      return;
+    }
+    runLogout();
+  };
+
+  const runLogout = async () => {
     if (!auth) return;
     setLoading(true);
     setError(null);
     try {
       await signOut(auth);
-      setTransactions([]); // Clear transactions on logout
       setAuthMode('login'); // Go back to login screen
     } catch (err) {
       console.error("Logout error:", err);
@@ -208,6 +465,57 @@ const App = () => {
     }
   };
 
+  // Leaves Firebase for a budget kept only in this browser, from the sign-in screen
+  const handleUseLocal = () => {
+    saveStorageMode('local');
+    setAuthError(null);
+    setAuthNotice(null);
+    setWorkspaceId('');
+    setStorageMode('local');
+  };
+
+  // From local mode, to sign in (or register) and copy the local budget into the account. The automatic guest
+  // session is skipped: the user came here to use an account.
+  const handleUseFirebase = () => {
+    saveStorageMode('firebase');
+    isInitialAuthAttempt.current = false;
+    setUserId(null);
+    setIsAuthReady(false);
+    setLoading(true);
+    setStorageMode('firebase');
+  };
+
+  // Filters, edits and account choices belong to the budget being left, so they are reset on switching
+  const handleSelectWorkspace = (id) => {
+    setWorkspaceId(id);
+    setListFilters(prev => ({ ...prev, member: '', category: '', tag: '' }));
+    setEditingId(null);
+    setReconcileTarget(null);
+    setAccountId('');
+    setToAccountId('');
+    setGoalId('');
+    setSelectedIds({});
+  };
+
+  const handleToggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const { [id]: selected, ...rest } = prev;
+      return selected ? rest : { ...prev, [id]: true };
+    });
+  };
+
+  const handleSelect = (ids) => {
+    setSelectedIds(prev => ({ ...prev, ...Object.fromEntries(ids.map(id => [id, true])) }));
+  };
+
+  const handleDeselect = (ids) => {
+    setSelectedIds(prev => {
+      const next = { ...prev };
+      ids.forEach(id => { delete next[id]; });
+      return next;
+    });
+  };
+
   // --- Modal Functions ---
   const showCustomModal = (message, action = null) => {
     setModalMessage(message);
@@ -228,135 +536,393 @@ const App = () => {
     hideCustomModal();
   };
 
+  // --- Undo ---
+  // Changes to existing transactions go through recordTransactionChanges, which keeps their history, and can be
+  // taken back from the toast until the next change replaces it. onFinal, if given, runs once the change can no longer
+  // be undone from the toast, e.g. to delete a removed receipt's file.
+  const replaceUndo = useCallback((action, undone = false) => {
+    const previous = undoActionRef.current;
+    undoActionRef.current = action;
+    setUndoAction(action);
+    if (previous && previous.onFinal && !undone) previous.onFinal();
+  }, []);
+
+  const offerUndo = (message, changes, onFinal) => replaceUndo({ message, changes, onFinal });
+
+  const dismissUndo = useCallback(() => replaceUndo(null), [replaceUndo]);
+
+  const handleUndo = () => {
+    const { changes } = undoAction;
+    replaceUndo(null, true);
+    setError(null);
+    trackWrite(recordTransactionChanges(store, userId, revertChanges(changes)), "Failed to undo the change. Please try again.",
+      changes.length);
+  };
+
+  const applyTransactionChanges = (changes, message, failureMessage) => {
+    trackWrite(recordTransactionChanges(store, userId, changes), failureMessage, changes.length);
+    offerUndo(message, changes);
+  };
+
   // --- Transaction Management Functions ---
-  const handleAddTransaction = async () => {
-    if (!db || !userId) {
+  // Split lines as stored: category names snapped to the managed spelling, amounts in minor units
+  const toStoredSplits = (lines, currency) => lines.map(line => ({
+    category: canonicalCategoryName(line.category, categories),
+    ...moneyFields(parseMoney(line.amount, currency), currency),
+  }));
+
+  // Writes are handed to trackWrite rather than awaited: Firestore applies them to the local cache immediately and
+  // only settles the promise once the server confirms, which may be much later when offline.
+  const handleAddTransaction = () => {
+    if (!store) {
       showCustomModal("Please log in to add transactions.");
       return;
     }
-    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
-      showCustomModal("Please enter a valid positive amount.");
-      return;
-    }
-    if (!category.trim()) {
-      showCustomModal("Please enter a category.");
+    const validationError = validateTransactionInput({
+      amount,
+      currency: selectedCurrency,
+      category,
+      type,
+      status: transactionStatus,
+      date: transactionDate,
+      accountId: selectedAccountId,
+      toAccountId,
+      splits: splitLines,
+    });
+    if (validationError) {
+      showCustomModal(validationError);
       return;
     }
-    if (transactionStatus === 'forecasted' && !transactionDate) {
-      showCustomModal("Please select a date for forecasted transactions.");
+    const receiptError = receiptFiles.map(validateReceipt).find(Boolean);
+    if (receiptError) {
+      showCustomModal(receiptError);
       return;
     }
 
-    setLoading(true);
     setError(null);
 
     try {
       // Determine the effective date for the transaction based on its status
       const effectiveDate = transactionStatus === 'forecasted' && transactionDate ?
-        Timestamp.fromDate(new Date(transactionDate + 'T12:00:00')) : // Add T12:00:00 to avoid timezone issues for simple date input
-        serverTimestamp(); // For actual transactions, use server timestamp
+        Timestamp.fromDate(parseDateInput(transactionDate)) : // Local noon, so the day survives time zone and DST shifts
+        store.timestamp(); // For actual transactions, use the time it was saved
 
+      const splitting = type !== 'transfer' && splitLines.length > 0;
       const transactionData = {
-        amount: parseFloat(amount),
-        category: category.trim(),
-        type: type, // 'expense' or 'income'
+        ...moneyFields(parseMoney(amount, selectedCurrency), selectedCurrency),
+        // Transfers aren't spending or earning, so they get a fixed category instead of a user-picked one
+        category: type === 'transfer' ? 'Transfer' : splitting ? SPLIT_CATEGORY : canonicalCategoryName(category, categories),
+        type: type, // 'expense', 'income' or 'transfer'
+        payee: payee.trim() || null,
+        description: description.trim() || null,
+        notes: notes.trim() || null,
+        tags: parseTags(tagsInput),
+        attachments: [],
         status: transactionStatus, // 'actual' or 'forecasted'
         date: effectiveDate, // This is the date the transaction happens or is expected
-        createdAt: serverTimestamp(), // This is when the record was added to the database, for list ordering
+        accountId: selectedAccountId || null,
+        toAccountId: type === 'transfer' ? toAccountId : null,
+        currency: selectedCurrency,
+        goalId: goalId || null,
+        createdBy: userId, // Who added it, shown and filterable in shared workspaces
+        createdAt: store.timestamp(), // This is when the record was added to the database, for list ordering
       };
-      const path = `/artifacts/${appId}/users/${userId}/transactions`;
-      await addDoc(collection(db, path), transactionData);
+      if (splitting) {
+        transactionData.splits = toStoredSplits(splitLines, selectedCurrency);
+      }
+      // The ID is generated up front so receipts can be uploaded under it while the transaction is still syncing.
+      // Receipts need Firebase Storage, so local mode has no receipt picker.
+      const transactionId = store.newId('transactions');
+      trackWrite(store.set('transactions', transactionId, transactionData), "Failed to add transaction. Please try again.");
+      if (receiptFiles.length > 0) {
+        trackWrite(
+          uploadReceipts(storage, dataPath, transactionId, receiptFiles)
+            .then(attachments => store.update('transactions', transactionId, { attachments: store.arrayUnion(...attachments) })),
+          "Failed to upload receipt. Please try again."
+        );
+      }
       setAmount('');
+      setPayee('');
+      setDescription('');
+      setNotes('');
+      setTagsInput('');
+      setReceiptFiles([]);
+      if (receiptInputRef.current) receiptInputRef.current.value = '';
       setCategory('');
+      setSplitLines([]);
       setType('expense');
+      setToAccountId('');
+      setTransactionCurrency('');
+      setGoalId('');
       setTransactionStatus('actual'); // Reset to actual after adding
       setTransactionDate(''); // Clear date input
     } catch (err) {
         console.error("Error adding transaction:", err);
         setError("Failed to add transaction. Please try again.");
-    } finally {
-      setLoading(false);
     }
   };
 
-  const handleDeleteTransaction = (id) => {
-    showCustomModal("Are you sure you want to delete this transaction?", async () => {
-      if (!db || !userId) {
-        setError("Database or user not ready for deletion.");
-        return;
-      }
-      setLoading(true);
-      setError(null);
-      try {
-        const path = `/artifacts/${appId}/users/${userId}/transactions`;
-        await deleteDoc(doc(db, path, id));
-      } catch (err) {
-        console.error("Error deleting transaction:", err);
-        setError("Failed to delete transaction. Please try again.");
-      } finally {
-        setLoading(false);
-      }
+  // The add form offers what the categorization rules would pick instead of filling it in over the user's typing
+  const typedAmountMinor = parseMoney(amount, selectedCurrency);
+  const ruleSuggestion = type === 'transfer' || splitLines.length > 0 ? null
+    : categorizeByRules(categoryRules, {
+      payee,
+      description,
+      amount: typedAmountMinor === null ? null : fromMinor(typedAmountMinor, selectedCurrency),
+      type,
     });
+  const showRuleSuggestion = ruleSuggestion
+    && (normalizeCategory(ruleSuggestion.category) !== normalizeCategory(category) || ruleSuggestion.type !== type);
+
+  const handleApplyRuleSuggestion = () => {
+    setCategory(ruleSuggestion.category);
+    setType(ruleSuggestion.type);
   };
 
-  // --- Summary Calculations ---
-  const totalIncome = transactions
-    .filter(t => t.type === 'income' && t.status === 'actual')
-    .reduce((acc, t) => acc + (t.amount || 0), 0);
-
-  const totalExpenses = transactions
-    .filter(t => t.type === 'expense' && t.status === 'actual')
-    .reduce((acc, t) => acc + (t.amount || 0), 0);
-
-  const balance = totalIncome - totalExpenses;
-
-  // --- Cash Flow for last 30 days (Actual) ---
-  const getActualCashFlowForLast30Days = () => {
-    const thirtyDaysAgo = Timestamp.fromDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
-    let incomeLast30Days = 0;
-    let expensesLast30Days = 0;
-
-    transactions.forEach(t => {
-      if (t.status === 'actual' && t.date && t.date.toDate && t.date.toDate() >= thirtyDaysAgo.toDate()) {
-        if (t.type === 'income') {
-          incomeLast30Days += (t.amount || 0);
-        } else if (t.type === 'expense') {
-          expensesLast30Days += (t.amount || 0);
-        }
-      }
+  // Deleting only moves the transaction to the trash, so there's no confirmation: the toast offers to undo it and
+  // the trash to restore it later
+  const handleDeleteTransaction = (t) => {
+    if (!store) {
+      setError("Database or user not ready for deletion.");
+      return;
+    }
+    setError(null);
+    try {
+      applyTransactionChanges(
+        [{ transaction: t, data: { deletedAt: store.timestamp(), deletedBy: userId }, action: 'deleted' }],
+        "Transaction moved to the trash.",
+        "Failed to delete transaction. Please try again."
+      );
+    } catch (err) {
+      console.error("Error deleting transaction:", err);
+      setError("Failed to delete transaction. Please try again.");
+    }
+  };
+
+  const handleRestoreTransactions = (list) => {
+    setError(null);
+    applyTransactionChanges(
+      list.map(t => ({ transaction: t, data: { deletedAt: null, deletedBy: null }, action: 'restored' })),
+      `Restored ${list.length} transaction${list.length === 1 ? '' : 's'}.`,
+      "Failed to restore transactions. Please try again."
+    );
+  };
+
+  // The one way to really delete: from the trash, receipts included. Their change history is kept.
+  const handleDeleteForever = (list) => {
+    setError(null);
+    trackWrite(store.batch(list, (batch, t) => batch.remove('transactions', t.id)),
+      "Failed to delete transactions. Please try again.", list.length);
+    const attachments = list.flatMap(t => t.attachments || []);
+    if (attachments.length > 0) {
+      trackWrite(deleteReceipts(storage, attachments), "Failed to delete receipts. Please try again.");
+    }
+  };
+
+  const handleStartEdit = (t) => {
+    setEditingId(t.id);
+    setEditValues({
+      amount: formatAmountInput(amountMinorOf(t), currencyOf(t)),
+      category: t.category || '',
+      type: t.type || 'expense',
+      status: t.status || 'actual',
+      date: toDateInputValue(t.date),
+      accountId: t.accountId || '',
+      toAccountId: t.toAccountId || '',
+      currency: currencyOf(t),
+      splits: isSplit(t)
+        ? t.splits.map(s => ({ category: s.category, amount: formatAmountInput(amountMinorOf({ ...s, currency: currencyOf(t) }), currencyOf(t)) }))
+        : [],
+      goalId: t.goalId || '',
+      description: t.description || '',
+      payee: t.payee || '',
+      notes: t.notes || '',
+      tags: formatTags(t.tags),
     });
-    return { income: incomeLast30Days, expenses: expensesLast30Days, net: incomeLast30Days - expensesLast30Days };
   };
 
-  const actualCashFlow30Days = getActualCashFlowForLast30Days();
-
-  // --- Cash Flow Forecast for next 30 days ---
-  const getForecastCashFlowForNext30Days = () => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Normalize to start of today
-    const thirtyDaysFromNow = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-    thirtyDaysFromNow.setHours(23, 59, 59, 999); // Normalize to end of 30 days from now
-
-    let anticipatedIncome = 0;
-    let anticipatedExpenses = 0;
-
-    transactions.forEach(t => {
-      if (t.status === 'forecasted' && t.date && t.date.toDate) {
-        const forecastDate = t.date.toDate();
-        // Check if forecastDate is between today (inclusive) and 30 days from now (inclusive)
-        if (forecastDate >= today && forecastDate <= thirtyDaysFromNow) {
-          if (t.type === 'income') {
-            anticipatedIncome += (t.amount || 0);
-          } else if (t.type === 'expense') {
-            anticipatedExpenses += (t.amount || 0);
-          }
-        }
+  const handleCancelEdit = () => {
+    setEditingId(null);
+  };
+
+  const handleEditChange = (field, value) => {
+    setEditValues(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Turning a split back into a single category keeps the first line's category as a starting point
+  const handleToggleEditSplit = (splitting) => {
+    setEditValues(prev => (splitting
+      ? { ...prev, splits: newSplitLines(prev.category === SPLIT_CATEGORY ? '' : prev.category) }
+      : { ...prev, splits: [], category: prev.category === SPLIT_CATEGORY && prev.splits[0] ? prev.splits[0].category : prev.category }));
+  };
+
+  const handleUpdateTransaction = () => {
+    if (!store || !editingId) {
+      showCustomModal("Please log in to edit transactions.");
+      return;
+    }
+    const validationError = validateTransactionInput(editValues);
+    if (validationError) {
+      showCustomModal(validationError);
+      return;
+    }
+
+    setError(null);
+
+    try {
+      const splitting = editValues.type !== 'transfer' && editValues.splits.length > 0;
+      const updatedData = {
+        ...moneyFields(parseMoney(editValues.amount, editValues.currency), editValues.currency),
+        category: editValues.type === 'transfer' ? 'Transfer'
+          : splitting ? SPLIT_CATEGORY : canonicalCategoryName(editValues.category, categories),
+        type: editValues.type,
+        status: editValues.status,
+        accountId: editValues.accountId || null,
+        toAccountId: editValues.type === 'transfer' ? editValues.toAccountId : null,
+        currency: editValues.currency,
+        splits: splitting ? toStoredSplits(editValues.splits, editValues.currency) : null,
+        goalId: editValues.goalId || null,
+        payee: editValues.payee.trim() || null,
+        description: editValues.description.trim() || null,
+        notes: editValues.notes.trim() || null,
+        tags: parseTags(editValues.tags),
+      };
+      // Only touch the date if one was picked; an actual transaction without a picked date keeps its original date.
+      // createdAt is never rewritten so the list ordering is preserved.
+      if (editValues.date) {
+        updatedData.date = Timestamp.fromDate(parseDateInput(editValues.date));
       }
+      const original = transactions.find(t => t.id === editingId) || { id: editingId };
+      applyTransactionChanges([{ transaction: original, data: updatedData }], "Transaction updated.",
+        "Failed to update transaction. Please try again.");
+      setEditingId(null);
+    } catch (err) {
+      console.error("Error updating transaction:", err);
+      setError("Failed to update transaction. Please try again.");
+    }
+  };
+
+  // --- Forecast Reconciliation ---
+  const handleStartReconcile = (t) => {
+    setReconcileTarget(t);
+    setReconcileValues({
+      amount: formatAmountInput(amountMinorOf(t), currencyOf(t)),
+      date: toDateKey(new Date()), // Most forecasts are reconciled on the day the money moves
     });
-    return { income: anticipatedIncome, expenses: anticipatedExpenses, net: anticipatedIncome - anticipatedExpenses };
   };
 
-  const forecastCashFlow30Days = getForecastCashFlowForNext30Days();
+  const handleCancelReconcile = () => {
+    setReconcileTarget(null);
+  };
+
+  const handleReconcileTransaction = () => {
+    if (!store || !reconcileTarget) {
+      showCustomModal("Please log in to reconcile transactions.");
+      return;
+    }
+    const reconcileCurrency = currencyOf(reconcileTarget);
+    const validationError = validateTransactionInput({
+      amount: reconcileValues.amount,
+      currency: reconcileCurrency,
+      category: reconcileTarget.category,
+      type: reconcileTarget.type,
+      status: 'actual',
+      date: reconcileValues.date,
+      accountId: reconcileTarget.accountId,
+      toAccountId: reconcileTarget.toAccountId,
+    });
+    if (validationError) {
+      showCustomModal(validationError);
+      return;
+    }
+    if (!reconcileValues.date) {
+      showCustomModal("Please select the date the transaction actually happened.");
+      return;
+    }
+
+    setError(null);
+
+    try {
+      // The original forecast is kept on the actual transaction for variance reporting
+      const actualMinor = parseMoney(reconcileValues.amount, reconcileCurrency);
+      const actualData = {
+        ...moneyFields(actualMinor, reconcileCurrency),
+        status: 'actual',
+        date: Timestamp.fromDate(parseDateInput(reconcileValues.date)),
+        ...moneyFields(amountMinorOf(reconcileTarget), reconcileCurrency, 'forecastAmount'),
+        forecastDate: reconcileTarget.date,
+        reconciledAt: store.timestamp(),
+      };
+      // Split lines follow the actual amount so they still add up to the total
+      if (isSplit(reconcileTarget)) {
+        actualData.splits = scaleSplits(reconcileTarget.splits, actualMinor, reconcileCurrency);
+      }
+      if (reconcileTarget.isRecurring) {
+        // Recurring occurrences have no document yet, so the actual transaction is created with a link to its rule
+        trackWrite(store.add('transactions', {
+          ...actualData,
+          category: reconcileTarget.category,
+          type: reconcileTarget.type,
+          currency: reconcileCurrency,
+          goalId: reconcileTarget.goalId || null,
+          recurringRuleId: reconcileTarget.recurringRuleId,
+          recurringOccurrence: reconcileTarget.recurringOccurrence,
+          createdBy: userId,
+          createdAt: store.timestamp(),
+        }), "Failed to reconcile transaction. Please try again.");
+      } else {
+        applyTransactionChanges([{ transaction: reconcileTarget, data: actualData }],
+          reconcileTarget.type === 'income' ? "Marked as received." : "Marked as paid.",
+          "Failed to reconcile transaction. Please try again.");
+      }
+      setReconcileTarget(null);
+    } catch (err) {
+      console.error("Error reconciling transaction:", err);
+      setError("Failed to reconcile transaction. Please try again.");
+    }
+  };
+
+  // --- Summary Calculations (in the base currency, see budgetSummary.js) ---
+  const now = new Date();
+  const {
+    baseTransactions,
+    missingCurrencies,
+    totalIncome,
+    totalExpenses,
+    accountBalances,
+    unassignedBalance,
+    netWorth,
+    openingBalance,
+    recurringForecasts,
+    getForecastsBetween,
+    periodWindows,
+    actualCashFlow,
+    previousCashFlow,
+    forecastCashFlow,
+    cashFlowByCurrency,
+    overdueForecasts,
+    reconciledTransactions,
+    budgetProgress,
+    goalProgress,
+  } = summarizeBudget({ transactions, recurringRules, accounts, budgets, goals, currencySettings, periodSelection, now });
+  const balance = netWorth;
+
+  // Every stored transaction the list filters match, not just the pages loaded so far, so a batch action can
+  // cover them all (say, everything from one import)
+  const matchingTransactions = transactions.filter(t => matchesClientFilters(t, listFilters, listSort, { serverFiltered: false, currencySettings }));
+  const allMatchingSelected = matchingTransactions.length > 0 && matchingTransactions.every(t => selectedIds[t.id]);
+  // Selected transactions that still exist; ones deleted meanwhile, here or by someone else, drop out
+  const selectedTransactions = transactions.filter(t => selectedIds[t.id]);
+
+  // Upcoming recurring occurrences are listed ahead of the stored transactions, which are shown a page at a time
+  const storedTransactions = isLocal
+    ? [...matchingTransactions].sort(compareTransactions(listSort)).slice(0, listLimit)
+    : transactionPages.items.filter(t => matchesClientFilters(t, listFilters, listSort, { currencySettings }));
+  const hasMoreTransactions = isLocal ? matchingTransactions.length > listLimit : transactionPages.hasMore;
+  const listedTransactions = [
+    ...recurringForecasts.filter(t => matchesClientFilters(t, listFilters, listSort, { serverFiltered: false, currencySettings })),
+    ...storedTransactions,
+  ];
 
   if (loading && !isAuthReady && !userId) {
     return (
@@ -383,9 +949,10 @@ const App = () => {
         <div className="w-full max-w-sm bg-white rounded-lg shadow-lg p-6">
           <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">Budget Tracker</h1>
           <h2 className="text-xl font-semibold text-gray-700 mb-4 text-center">
-            {authMode === 'login' ? 'Log In' : 'Register'}
+            {authMode === 'login' ? 'Log In' : authMode === 'reset' ? 'Reset Password' : 'Register'}
           </h2>
           {authError && <p className="text-red-600 text-center mb-4">{authError}</p>}
+          {authNotice && <p className="text-green-700 text-center mb-4">{authNotice}</p>}
           <div className="mb-3">
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
             <input
@@ -397,18 +964,35 @@ const App = () => {
               placeholder="your@email.com"
             />
           </div>
-          <div className="mb-4">
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
-            <input
-              type="password"
-              id="password"
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="********"
-            />
-          </div>
-          {authMode === 'login' ? (
+          {authMode !== 'reset' && (
+            <div className="mb-4">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+              <input
+                type="password"
+                id="password"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="********"
+              />
+            </div>
+          )}
+          {authMode === 'reset' ? (
+            <button
+              onClick={handlePasswordReset}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 flex items-center justify-center"
+              disabled={loading}
+            >
+              {loading ? (
+                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+              ) : (
+                'Send Reset Link'
+              )}
+            </button>
+          ) : authMode === 'login' ? (
             <button
               onClick={handleLogin}
               className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 flex items-center justify-center"
@@ -439,12 +1023,26 @@ const App = () => {
               )}
             </button>
           )}
+          {authMode === 'login' && (
+            <button
+              onClick={() => handleSwitchAuthMode('reset')}
+              className="w-full mt-4 text-blue-600 hover:underline text-sm"
+            >
+              Forgot your password?
+            </button>
+          )}
           <button
-            onClick={() => setAuthMode(authMode === 'login' ? 'register' : 'login')}
+            onClick={() => handleSwitchAuthMode(authMode === 'login' ? 'register' : 'login')}
             className="w-full mt-4 text-blue-600 hover:underline text-sm"
           >
             {authMode === 'login' ? 'Need an account? Register' : 'Already have an account? Log In'}
           </button>
+          <button
+            onClick={handleUseLocal}
+            className="w-full mt-4 text-gray-600 hover:underline text-sm"
+          >
+            Use without an account on this device
+          </button>
         </div>
       </div>
     );
@@ -471,176 +1069,612 @@ const App = () => {
       <div className="w-full max-w-md bg-white rounded-lg shadow-lg p-6 mb-6">
         <h1 className="text-3xl font-bold text-gray-800 mb-4 text-center">Budget Tracker</h1>
         {userEmail && (
-          <p className="text-sm text-gray-600 text-center mb-2">Logged in as: <span className="font-medium">{userEmail}</span></p>
+          <p className="text-sm text-gray-600 text-center mb-2">
+            Logged in as: <span className="font-medium">{userEmail}</span>
+            {!emailVerified && <span className="text-yellow-700"> (not verified)</span>}
+          </p>
+        )}
+        {isAnonymous && (
+          <p className="text-sm text-gray-600 text-center mb-2">Guest session: create an account below to keep your data</p>
         )}
-        {userId && (
-            <p className="text-xs text-gray-500 text-center mb-4 truncate" title={userId}>
-              User ID: {userId}
+        {isLocal ? (
+          // Nothing here needs an account, so sign-in, sharing and account settings are left out
+          <div className="mb-6 text-center">
+            <p className="text-sm text-gray-600 mb-2">
+              Stored on this device only. Nothing is synced or backed up, and clearing the browser's data deletes it.
             </p>
-          )}
-        <button
-          onClick={handleLogout}
-          className="w-full bg-red-500 text-white py-2 rounded-lg hover:bg-red-600 transition-all focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2 mb-6"
-          disabled={loading}
-        >
-          Log Out
-        </button>
+            {firebaseAvailable && (
+              <button
+                onClick={handleUseFirebase}
+                className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+              >
+                Sign In to Sync
+              </button>
+            )}
+          </div>
+        ) : (
+          <>
+          {userId && (
+              <p className="text-xs text-gray-500 text-center mb-4 truncate" title={userId}>
+                User ID: {userId}
+              </p>
+            )}
+          {/* Connection status. Changes made offline are kept locally and sync when the connection returns. */}
+          <div className="flex justify-center items-center text-xs mb-4" role="status">
+            <span className={`inline-block h-2 w-2 rounded-full mr-1 ${isOnline ? 'bg-green-500' : 'bg-gray-400'}`} />
+            <span className={isOnline ? 'text-green-700' : 'text-gray-600'}>{isOnline ? 'Online' : 'Offline'}</span>
+            {pendingCount > 0 && (
+              <span className="ml-2 text-yellow-700">
+                {pendingCount} change{pendingCount === 1 ? '' : 's'} waiting to sync
+              </span>
+            )}
+          </div>
+          <button
+            onClick={handleLogout}
+            className="w-full bg-red-500 text-white py-2 rounded-lg hover:bg-red-600 transition-all focus:outline-none focus:ring-2 focus:ring-red-400 focus:ring-offset-2 mb-6"
+            disabled={loading}
+          >
+            Log Out
+          </button>
+
+          <AccountSettings
+            auth={auth}
+            db={db}
+            storage={storage}
+            appId={appId}
+            userId={userId}
+            userEmail={userEmail}
+            isAnonymous={isAnonymous}
+            emailVerified={emailVerified}
+            workspaces={workspaces}
+            onUserUpdated={handleUserUpdated}
+            showCustomModal={showCustomModal}
+          />
+
+          <WorkspaceManager
+            db={db}
+            appId={appId}
+            userId={userId}
+            userEmail={userEmail}
+            workspaces={workspaces}
+            invites={workspaceInvites}
+            activeWorkspace={activeWorkspace}
+            onSelectWorkspace={handleSelectWorkspace}
+            showCustomModal={showCustomModal}
+            setError={setError}
+          />
+          </>
+        )}
 
+        <PeriodSelector selection={periodSelection} onChange={setPeriodSelection} />
 
-        {/* Summary Section */}
+        {/* Summary Section: income and expenses follow the selected period; net worth is always as of today */}
         <div className="grid grid-cols-3 gap-4 text-center mb-6">
           <div className="p-3 bg-blue-100 rounded-lg shadow-sm">
-            <p className="text-sm text-blue-700">Total Income</p>
-            <p className="text-lg font-semibold text-blue-800">${totalIncome.toFixed(2)}</p>
+            <p className="text-sm text-blue-700">Income</p>
+            <p className="text-lg font-semibold text-blue-800">{formatMoney(actualCashFlow.income, baseCurrency)}</p>
+            <TrendIndicator current={actualCashFlow.income} previous={previousCashFlow.income} higherIsBetter />
           </div>
           <div className="p-3 bg-red-100 rounded-lg shadow-sm">
-            <p className="text-sm text-red-700">Total Expenses</p>
-            <p className="text-lg font-semibold text-red-800">${totalExpenses.toFixed(2)}</p>
+            <p className="text-sm text-red-700">Expenses</p>
+            <p className="text-lg font-semibold text-red-800">{formatMoney(actualCashFlow.expenses, baseCurrency)}</p>
+            <TrendIndicator current={actualCashFlow.expenses} previous={previousCashFlow.expenses} />
           </div>
           <div className={`p-3 rounded-lg shadow-sm ${balance >= 0 ? 'bg-green-100' : 'bg-orange-100'}`}>
-            <p className="text-sm text-gray-700">Current Balance</p>
-            <p className={`text-lg font-semibold ${balance >= 0 ? 'text-green-800' : 'text-orange-800'}`}>${balance.toFixed(2)}</p>
+            <p className="text-sm text-gray-700">Net Worth</p>
+            <p className={`text-lg font-semibold ${balance >= 0 ? 'text-green-800' : 'text-orange-800'}`}>{formatMoney(balance, baseCurrency)}</p>
           </div>
         </div>
 
-        {/* Cash Flow for Last 30 Days (Actual) */}
+        {/* Per-currency totals for the period, before conversion */}
+        {cashFlowByCurrency.length > 1 && (
+          <div className="mb-6 p-3 border border-gray-200 rounded-lg text-sm">
+            <p className="font-medium text-gray-700 mb-2">By Currency ({periodWindows.label})</p>
+            <ul className="space-y-1">
+              {cashFlowByCurrency.map(c => (
+                <li key={c.currency} className="flex justify-between">
+                  <span className="font-medium text-gray-800">{c.currency}</span>
+                  <span className="text-gray-600">
+                    <span className="text-green-700">+{formatMoney(c.income, c.currency)}</span>
+                    {' / '}
+                    <span className="text-red-700">-{formatMoney(c.expenses, c.currency)}</span>
+                    {' = '}
+                    <span className="font-semibold">{formatMoney(c.net, c.currency)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Actual Cash Flow for the selected period, compared with the previous period */}
         <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner bg-blue-50">
-          <h2 className="text-xl font-semibold text-blue-800 mb-4 text-center">Actual Cash Flow (Last 30 Days)</h2>
+          <h2 className="text-xl font-semibold text-blue-800 mb-1 text-center">Actual Cash Flow ({periodWindows.label})</h2>
+          <p className="text-xs text-gray-500 mb-4 text-center">Compared with {periodWindows.previousLabel}</p>
           <div className="grid grid-cols-2 gap-4 text-center">
             <div className="p-3 bg-blue-100 rounded-lg shadow-sm">
-              <p className="text-sm text-blue-700">Income</p>
-              <p className="text-lg font-semibold text-blue-800">${actualCashFlow30Days.income.toFixed(2)}</p>
+              <p className="text-sm text-blue-700">Previous Income</p>
+              <p className="text-lg font-semibold text-blue-800">{formatMoney(previousCashFlow.income, baseCurrency)}</p>
             </div>
             <div className="p-3 bg-red-100 rounded-lg shadow-sm">
-              <p className="text-sm text-red-700">Expenses</p>
-              <p className="text-lg font-semibold text-red-800">${actualCashFlow30Days.expenses.toFixed(2)}</p>
+              <p className="text-sm text-red-700">Previous Expenses</p>
+              <p className="text-lg font-semibold text-red-800">{formatMoney(previousCashFlow.expenses, baseCurrency)}</p>
             </div>
           </div>
-          <div className={`p-3 rounded-lg shadow-sm mt-4 text-center ${actualCashFlow30Days.net >= 0 ? 'bg-green-100' : 'bg-orange-100'}`}>
+          <div className={`p-3 rounded-lg shadow-sm mt-4 text-center ${actualCashFlow.net >= 0 ? 'bg-green-100' : 'bg-orange-100'}`}>
             <p className="text-sm text-gray-700">Net Flow</p>
-            <p className={`text-lg font-semibold ${actualCashFlow30Days.net >= 0 ? 'text-green-800' : 'text-orange-800'}`}>${actualCashFlow30Days.net.toFixed(2)}</p>
+            <p className={`text-lg font-semibold ${actualCashFlow.net >= 0 ? 'text-green-800' : 'text-orange-800'}`}>{formatMoney(actualCashFlow.net, baseCurrency)}</p>
+            <p className="text-xs text-gray-500">Previous: {formatMoney(previousCashFlow.net, baseCurrency)}</p>
+            <TrendIndicator current={actualCashFlow.net} previous={previousCashFlow.net} higherIsBetter />
           </div>
         </div>
 
-        {/* Cash Flow Forecast for Next 30 Days */}
-        <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner bg-purple-50">
-          <h2 className="text-xl font-semibold text-purple-800 mb-4 text-center">Forecasted Cash Flow (Next 30 Days)</h2>
-          <div className="grid grid-cols-2 gap-4 text-center">
-            <div className="p-3 bg-purple-100 rounded-lg shadow-sm">
-              <p className="text-sm text-purple-700">Anticipated Income</p>
-              <p className="text-lg font-semibold text-purple-800">${forecastCashFlow30Days.income.toFixed(2)}</p>
+        {/* Cash Flow Forecast for the rest of the selected period */}
+        {forecastCashFlow ? (
+          <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner bg-purple-50">
+            <h2 className="text-xl font-semibold text-purple-800 mb-4 text-center">Forecasted Cash Flow ({periodWindows.forecastLabel})</h2>
+            <div className="grid grid-cols-2 gap-4 text-center">
+              <div className="p-3 bg-purple-100 rounded-lg shadow-sm">
+                <p className="text-sm text-purple-700">Anticipated Income</p>
+                <p className="text-lg font-semibold text-purple-800">{formatMoney(forecastCashFlow.income, baseCurrency)}</p>
+              </div>
+              <div className="p-3 bg-purple-100 rounded-lg shadow-sm">
+                <p className="text-sm text-purple-700">Anticipated Expenses</p>
+                <p className="text-lg font-semibold text-purple-800">{formatMoney(forecastCashFlow.expenses, baseCurrency)}</p>
+              </div>
             </div>
-            <div className="p-3 bg-purple-100 rounded-lg shadow-sm">
-              <p className="text-sm text-purple-700">Anticipated Expenses</p>
-              <p className="text-lg font-semibold text-purple-800">${forecastCashFlow30Days.expenses.toFixed(2)}</p>
+            <div className={`p-3 rounded-lg shadow-sm mt-4 text-center ${forecastCashFlow.net >= 0 ? 'bg-green-100' : 'bg-orange-100'}`}>
+              <p className="text-sm text-gray-700">Net Forecast</p>
+              <p className={`text-lg font-semibold ${forecastCashFlow.net >= 0 ? 'text-green-800' : 'text-orange-800'}`}>{formatMoney(forecastCashFlow.net, baseCurrency)}</p>
             </div>
           </div>
-          <div className={`p-3 rounded-lg shadow-sm mt-4 text-center ${forecastCashFlow30Days.net >= 0 ? 'bg-green-100' : 'bg-orange-100'}`}>
-            <p className="text-sm text-gray-700">Net Forecast</p>
-            <p className={`text-lg font-semibold ${forecastCashFlow30Days.net >= 0 ? 'text-green-800' : 'text-orange-800'}`}>${forecastCashFlow30Days.net.toFixed(2)}</p>
-          </div>
-        </div>
+        ) : (
+          <p className="mb-6 text-sm text-gray-500 text-center">This period has ended, so there is nothing left to forecast.</p>
+        )}
 
+        <BalanceProjection
+          currentBalance={balance}
+          getForecastsBetween={getForecastsBetween}
+          baseCurrency={baseCurrency}
+        />
 
-        {/* Add Transaction Form */}
-        <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
-          <h2 className="text-xl font-semibold text-gray-700 mb-4">Add New Transaction</h2>
-          <div className="mb-3">
-            <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
-            <input
-              type="number"
-              id="amount"
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
-              placeholder="e.g., 50.00"
-            />
-          </div>
-          <div className="mb-3">
-            <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-            <input
-              type="text"
-              id="category"
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
-              value={category}
-              onChange={(e) => setCategory(e.target.value)}
-              placeholder="e.g., Groceries, Salary, Rent"
-            />
-          </div>
-          <div className="mb-4">
-            <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
-            <select
-              id="type"
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
-              value={type}
-              onChange={(e) => setType(e.target.value)}
-            >
-              <option value="expense">Expense</option>
-              <option value="income">Income</option>
-            </select>
-          </div>
-          <div className="mb-4">
-            <label htmlFor="transactionStatus" className="block text-sm font-medium text-gray-700 mb-1">Status</label>
-            <div className="flex space-x-4">
-              <label className="inline-flex items-center">
-                <input
-                  type="radio"
-                  name="transactionStatus"
-                  value="actual"
-                  checked={transactionStatus === 'actual'}
-                  onChange={(e) => setTransactionStatus(e.target.value)}
-                  className="form-radio text-blue-600"
-                />
-                <span className="ml-2 text-gray-700">Actual</span>
-              </label>
-              <label className="inline-flex items-center">
-                <input
-                  type="radio"
-                  name="transactionStatus"
-                  value="forecasted"
-                  checked={transactionStatus === 'forecasted'}
-                  onChange={(e) => setTransactionStatus(e.target.value)}
-                  className="form-radio text-blue-600"
-                />
-                <span className="ml-2 text-gray-700">Forecasted</span>
-              </label>
+        <Accounts
+          store={store}
+          readOnly={readOnly}
+          balances={accountBalances}
+          unassigned={unassignedBalance}
+          netWorth={netWorth}
+          transactions={transactions}
+          currencySettings={currencySettings}
+          showCustomModal={showCustomModal}
+          setError={setError}
+        />
+
+        <CurrencySettings
+          settings={currencySettings}
+          onChange={setCurrencySettings}
+          missingCurrencies={missingCurrencies}
+          showCustomModal={showCustomModal}
+        />
+
+        {!readOnly && (
+          <AmountMigration
+            store={store}
+            transactions={budgetTransactions}
+            recurringRules={recurringRules}
+            trackWrite={trackWrite}
+          />
+        )}
+
+        {/* Offers a budget kept on this device to the personal budget once signed in */}
+        {!isLocal && !activeWorkspace && (
+          <LocalDataMigration
+            store={store}
+            trackWrite={trackWrite}
+            showCustomModal={showCustomModal}
+            setError={setError}
+          />
+        )}
+
+        {/* Add Transaction Form (hidden for viewers of a shared workspace) */}
+        {!readOnly && (
+          <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Add New Transaction</h2>
+            <div className="mb-3">
+              <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+              <input
+                type="text"
+                inputMode="decimal"
+                id="amount"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="e.g., 50.00"
+              />
             </div>
-          </div>
-          {transactionStatus === 'forecasted' && (
+            <div className="mb-3">
+              <label htmlFor="transactionCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+              <select
+                id="transactionCurrency"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={selectedCurrency}
+                onChange={(e) => setTransactionCurrency(e.target.value)}
+              >
+                {knownCurrencies(currencySettings).map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-3">
+              <label htmlFor="payee" className="block text-sm font-medium text-gray-700 mb-1">Payee (optional)</label>
+              <input
+                type="text"
+                id="payee"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={payee}
+                onChange={(e) => setPayee(e.target.value)}
+                placeholder="e.g., Tesco"
+              />
+            </div>
+            <div className="mb-3">
+              <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
+              <input
+                type="text"
+                id="description"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="e.g., Weekly shop"
+              />
+            </div>
+            {type !== 'transfer' && (
+              <div className="mb-3">
+                <div className="flex justify-between items-center mb-1">
+                  <label htmlFor={splitLines.length > 0 ? 'split-category-0' : 'category'} className="block text-sm font-medium text-gray-700">
+                    {splitLines.length > 0 ? 'Categories' : 'Category'}
+                  </label>
+                  <label className="inline-flex items-center text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      className="form-checkbox text-blue-600"
+                      checked={splitLines.length > 0}
+                      onChange={(e) => setSplitLines(e.target.checked ? newSplitLines(category) : [])}
+                    />
+                    <span className="ml-2">Split</span>
+                  </label>
+                </div>
+                {splitLines.length > 0 ? (
+                  <SplitEditor
+                    lines={splitLines}
+                    onChange={setSplitLines}
+                    total={amount}
+                    currency={selectedCurrency}
+                    idPrefix="split"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    id="category"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    placeholder="e.g., Groceries, Salary, Rent"
+                    list="category-options"
+                    autoComplete="off"
+                  />
+                )}
+                {showRuleSuggestion && (
+                  <p className="mt-1 text-sm text-purple-700">
+                    Suggested by your rules: <span className="font-medium">{ruleSuggestion.category}</span>
+                    {ruleSuggestion.type !== type && ` (${ruleSuggestion.type})`}
+                    <button onClick={handleApplyRuleSuggestion} className="ml-2 text-blue-600 hover:underline">Use</button>
+                  </p>
+                )}
+              </div>
+            )}
+            {/* Shared by every category input on the page, so it stays mounted while the add form shows a transfer */}
+            <datalist id="category-options">
+              {categoriesForType(categories, type).map(c => (
+                <option key={c.id} value={c.name}>{c.icon || ''}</option>
+              ))}
+            </datalist>
             <div className="mb-4">
-              <label htmlFor="transactionDate" className="block text-sm font-medium text-gray-700 mb-1">Anticipated Date</label>
+              <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                id="type"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+              >
+                <option value="expense">Expense</option>
+                <option value="income">Income</option>
+                {accounts.length > 1 && <option value="transfer">Transfer</option>}
+              </select>
+            </div>
+            {accounts.length > 0 && (
+              <div className={`mb-4 ${type === 'transfer' ? 'grid grid-cols-2 gap-3' : ''}`}>
+                <div>
+                  <label htmlFor="accountId" className="block text-sm font-medium text-gray-700 mb-1">
+                    {type === 'transfer' ? 'From Account' : 'Account'}
+                  </label>
+                  <select
+                    id="accountId"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    value={selectedAccountId}
+                    onChange={(e) => setAccountId(e.target.value)}
+                  >
+                    {accounts.map(a => (
+                      <option key={a.id} value={a.id}>{a.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {type === 'transfer' && (
+                  <div>
+                    <label htmlFor="toAccountId" className="block text-sm font-medium text-gray-700 mb-1">To Account</label>
+                    <select
+                      id="toAccountId"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={toAccountId}
+                      onChange={(e) => setToAccountId(e.target.value)}
+                    >
+                      <option value="">Select account</option>
+                      {accounts.filter(a => a.id !== selectedAccountId).map(a => (
+                        <option key={a.id} value={a.id}>{a.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+            {goals.length > 0 && (
+              <div className="mb-4">
+                <label htmlFor="goalId" className="block text-sm font-medium text-gray-700 mb-1">Savings Goal (optional)</label>
+                <select
+                  id="goalId"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                  value={goalId}
+                  onChange={(e) => setGoalId(e.target.value)}
+                >
+                  <option value="">None</option>
+                  {goals.map(g => (
+                    <option key={g.id} value={g.id}>{g.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="mb-3">
+              <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">Tags (optional)</label>
               <input
-                type="date"
-                id="transactionDate"
+                type="text"
+                id="tags"
                 className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
-                value={transactionDate}
-                onChange={(e) => setTransactionDate(e.target.value)}
+                value={tagsInput}
+                onChange={(e) => setTagsInput(e.target.value)}
+                placeholder="e.g., vacation, tax-deductible"
               />
             </div>
-          )}
-          <button
-            onClick={handleAddTransaction}
-            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 flex items-center justify-center"
-            disabled={loading}
-          >
-            {loading ? (
-              <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-              </svg>
-            ) : (
-              'Add Transaction'
+            <div className="mb-3">
+              <label htmlFor="notes" className="block text-sm font-medium text-gray-700 mb-1">Notes (optional)</label>
+              <textarea
+                id="notes"
+                rows={2}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+            </div>
+            {!isLocal && (
+              <div className="mb-4">
+                <label htmlFor="receipts" className="block text-sm font-medium text-gray-700 mb-1">Receipts (optional)</label>
+                <input
+                  type="file"
+                  id="receipts"
+                  ref={receiptInputRef}
+                  accept={RECEIPT_ACCEPT}
+                  multiple
+                  className="w-full text-sm text-gray-700"
+                  onChange={(e) => setReceiptFiles(Array.from(e.target.files || []))}
+                />
+              </div>
             )}
-          </button>
-        </div>
+            <div className="mb-4">
+              <label htmlFor="transactionStatus" className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+              <div className="flex space-x-4">
+                <label className="inline-flex items-center">
+                  <input
+                    type="radio"
+                    name="transactionStatus"
+                    value="actual"
+                    checked={transactionStatus === 'actual'}
+                    onChange={(e) => setTransactionStatus(e.target.value)}
+                    className="form-radio text-blue-600"
+                  />
+                  <span className="ml-2 text-gray-700">Actual</span>
+                </label>
+                <label className="inline-flex items-center">
+                  <input
+                    type="radio"
+                    name="transactionStatus"
+                    value="forecasted"
+                    checked={transactionStatus === 'forecasted'}
+                    onChange={(e) => setTransactionStatus(e.target.value)}
+                    className="form-radio text-blue-600"
+                  />
+                  <span className="ml-2 text-gray-700">Forecasted</span>
+                </label>
+              </div>
+            </div>
+            {transactionStatus === 'forecasted' && (
+              <div className="mb-4">
+                <label htmlFor="transactionDate" className="block text-sm font-medium text-gray-700 mb-1">Anticipated Date</label>
+                <input
+                  type="date"
+                  id="transactionDate"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                  value={transactionDate}
+                  onChange={(e) => setTransactionDate(e.target.value)}
+                />
+              </div>
+            )}
+            <button
+              onClick={handleAddTransaction}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 flex items-center justify-center"
+              disabled={loading}
+            >
+              {loading ? (
+                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+              ) : (
+                'Add Transaction'
+              )}
+            </button>
+          </div>
+        )}
+
+        <ChartsDashboard
+          transactions={baseTransactions}
+          categories={categories}
+          startingBalance={openingBalance}
+          baseCurrency={baseCurrency}
+          getForecastsBetween={getForecastsBetween}
+        />
+
+        <Budgets
+          store={store}
+          readOnly={readOnly}
+          budgets={budgets}
+          progress={budgetProgress}
+          monthLabel={now.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+          baseCurrency={baseCurrency}
+          showCustomModal={showCustomModal}
+          setError={setError}
+        />
+
+        <Goals
+          store={store}
+          readOnly={readOnly}
+          progress={goalProgress}
+          baseCurrency={baseCurrency}
+          showCustomModal={showCustomModal}
+          setError={setError}
+        />
+
+        <ForecastReview
+          overdueForecasts={overdueForecasts}
+          reconciledTransactions={reconciledTransactions}
+          baseCurrency={baseCurrency}
+          onReconcile={readOnly ? null : handleStartReconcile}
+        />
+
+        <RecurringRules
+          store={store}
+          readOnly={readOnly}
+          rules={recurringRules}
+          goals={goals}
+          currencySettings={currencySettings}
+          validateTransactionInput={validateTransactionInput}
+          showCustomModal={showCustomModal}
+          setError={setError}
+        />
+
+        {/* Viewers can't change categories or add transactions, so these tools are hidden for them */}
+        {!readOnly && (
+          <>
+            <CategoryManager
+              store={store}
+              categories={categories}
+              transactions={transactions}
+              recurringRules={recurringRules}
+              budgets={budgets}
+              showCustomModal={showCustomModal}
+              setError={setError}
+              trackWrite={trackWrite}
+            />
+
+            <CategoryRules
+              store={store}
+              userId={userId}
+              offerUndo={offerUndo}
+              rules={categoryRules}
+              transactions={transactions}
+              categories={categories}
+              baseCurrency={baseCurrency}
+              showCustomModal={showCustomModal}
+              setError={setError}
+              trackWrite={trackWrite}
+            />
+
+            <ImportTransactions
+              store={store}
+              userId={userId}
+              transactions={transactions}
+              accounts={accounts}
+              rules={categoryRules}
+              baseCurrency={baseCurrency}
+              trackWrite={trackWrite}
+              showCustomModal={showCustomModal}
+              setError={setError}
+            />
+          </>
+        )}
+
+        <ExportData
+          transactions={transactions}
+          reportTransactions={baseTransactions}
+          summary={{ totalIncome, totalExpenses, balance, actualCashFlow, forecastCashFlow, periodWindows, baseCurrency }}
+          showCustomModal={showCustomModal}
+        />
 
         {/* Transaction List */}
         <div>
           <h2 className="text-xl font-semibold text-gray-700 mb-4">Transactions</h2>
-          {transactions.length === 0 && !loading && (
-            <p className="text-gray-500 text-center">No transactions yet. Add one above!</p>
+          <TransactionFilters
+            filters={listFilters}
+            onFiltersChange={setListFilters}
+            sort={listSort}
+            onSortChange={setListSort}
+            categoryNames={collectCategoryNames(categories, transactions)}
+            tagNames={collectTagNames(transactions)}
+            members={members}
+            baseCurrency={baseCurrency}
+          />
+          {matchingTransactions.length > 0 && (
+            <label className="flex items-center mb-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={allMatchingSelected}
+                onChange={() => (allMatchingSelected
+                  ? handleDeselect(matchingTransactions.map(t => t.id))
+                  : handleSelect(matchingTransactions.map(t => t.id)))}
+              />
+              Select all {matchingTransactions.length} matching
+            </label>
+          )}
+          {selectedTransactions.length > 0 && (
+            <BulkActions
+              store={store}
+              userId={userId}
+              selected={selectedTransactions}
+              readOnly={readOnly}
+              categories={categories}
+              onSelect={handleSelect}
+              onDeselect={handleDeselect}
+              offerUndo={offerUndo}
+              trackWrite={trackWrite}
+              showCustomModal={showCustomModal}
+              setError={setError}
+            />
+          )}
+          {listedTransactions.length === 0 && !transactionPages.loading && (
+            <p className="text-gray-500 text-center">
+              {hasActiveFilters(listFilters) ? 'No transactions match these filters.'
+                : readOnly ? 'No transactions yet.' : 'No transactions yet. Add one above!'}
+            </p>
           )}
-          {loading && transactions.length === 0 && (
+          {transactionPages.loading && (
             <div className="flex justify-center items-center">
               <svg className="animate-spin h-6 w-6 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -650,49 +1684,457 @@ const App = () => {
             </div>
           )}
           <ul className="space-y-3">
-            {transactions.map((t) => (
+            {listedTransactions.map((t) => editingId === t.id ? (
+              <li key={t.id} className="p-4 rounded-lg shadow-sm border border-blue-300 bg-blue-50">
+                <div className="grid grid-cols-2 gap-3 mb-3">
+                  <div>
+                    <label htmlFor={`edit-amount-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      id={`edit-amount-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.amount}
+                      onChange={(e) => handleEditChange('amount', e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor={`edit-currency-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                    <select
+                      id={`edit-currency-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.currency}
+                      onChange={(e) => handleEditChange('currency', e.target.value)}
+                    >
+                      {knownCurrencies(currencySettings).map(code => (
+                        <option key={code} value={code}>{code}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor={`edit-payee-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Payee</label>
+                    <input
+                      type="text"
+                      id={`edit-payee-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.payee}
+                      onChange={(e) => handleEditChange('payee', e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor={`edit-description-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                    <input
+                      type="text"
+                      id={`edit-description-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.description}
+                      onChange={(e) => handleEditChange('description', e.target.value)}
+                    />
+                  </div>
+                  {editValues.type !== 'transfer' && editValues.splits.length === 0 && (
+                    <div>
+                      <label htmlFor={`edit-category-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                      <input
+                        type="text"
+                        id={`edit-category-${t.id}`}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                        value={editValues.category}
+                        onChange={(e) => handleEditChange('category', e.target.value)}
+                        list="category-options"
+                        autoComplete="off"
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor={`edit-type-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                      id={`edit-type-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.type}
+                      onChange={(e) => handleEditChange('type', e.target.value)}
+                    >
+                      <option value="expense">Expense</option>
+                      <option value="income">Income</option>
+                      {(accounts.length > 1 || editValues.type === 'transfer') && <option value="transfer">Transfer</option>}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor={`edit-status-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                    <select
+                      id={`edit-status-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.status}
+                      onChange={(e) => handleEditChange('status', e.target.value)}
+                    >
+                      <option value="actual">Actual</option>
+                      <option value="forecasted">Forecasted</option>
+                    </select>
+                  </div>
+                  {accounts.length > 0 && (
+                    <div className={editValues.type === 'transfer' ? '' : 'col-span-2'}>
+                      <label htmlFor={`edit-account-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                        {editValues.type === 'transfer' ? 'From Account' : 'Account'}
+                      </label>
+                      <select
+                        id={`edit-account-${t.id}`}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                        value={editValues.accountId}
+                        onChange={(e) => handleEditChange('accountId', e.target.value)}
+                      >
+                        <option value="">No account</option>
+                        {accounts.map(a => (
+                          <option key={a.id} value={a.id}>{a.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {accounts.length > 0 && editValues.type === 'transfer' && (
+                    <div>
+                      <label htmlFor={`edit-to-account-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">To Account</label>
+                      <select
+                        id={`edit-to-account-${t.id}`}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                        value={editValues.toAccountId}
+                        onChange={(e) => handleEditChange('toAccountId', e.target.value)}
+                      >
+                        <option value="">Select account</option>
+                        {accounts.map(a => (
+                          <option key={a.id} value={a.id}>{a.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {goals.length > 0 && (
+                    <div className="col-span-2">
+                      <label htmlFor={`edit-goal-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Savings Goal</label>
+                      <select
+                        id={`edit-goal-${t.id}`}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                        value={editValues.goalId}
+                        onChange={(e) => handleEditChange('goalId', e.target.value)}
+                      >
+                        <option value="">None</option>
+                        {goals.map(g => (
+                          <option key={g.id} value={g.id}>{g.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {editValues.type !== 'transfer' && (
+                    <div className="col-span-2">
+                      <label className="inline-flex items-center text-sm text-gray-600 mb-1">
+                        <input
+                          type="checkbox"
+                          className="form-checkbox text-blue-600"
+                          checked={editValues.splits.length > 0}
+                          onChange={(e) => handleToggleEditSplit(e.target.checked)}
+                        />
+                        <span className="ml-2">Split across categories</span>
+                      </label>
+                      {editValues.splits.length > 0 && (
+                        <SplitEditor
+                          lines={editValues.splits}
+                          onChange={(lines) => handleEditChange('splits', lines)}
+                          total={editValues.amount}
+                          currency={editValues.currency}
+                          idPrefix={`edit-split-${t.id}`}
+                        />
+                      )}
+                    </div>
+                  )}
+                  <div className="col-span-2">
+                    <label htmlFor={`edit-tags-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                    <input
+                      type="text"
+                      id={`edit-tags-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.tags}
+                      onChange={(e) => handleEditChange('tags', e.target.value)}
+                      placeholder="Comma-separated"
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label htmlFor={`edit-notes-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                    <textarea
+                      id={`edit-notes-${t.id}`}
+                      rows={2}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.notes}
+                      onChange={(e) => handleEditChange('notes', e.target.value)}
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label htmlFor={`edit-date-${t.id}`} className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                    <input
+                      type="date"
+                      id={`edit-date-${t.id}`}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                      value={editValues.date}
+                      onChange={(e) => handleEditChange('date', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="flex justify-end space-x-3">
+                  <button
+                    onClick={handleCancelEdit}
+                    className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleUpdateTransaction}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all"
+                    disabled={loading}
+                  >
+                    Save
+                  </button>
+                </div>
+              </li>
+            ) : (
               <li
                 key={t.id}
                 className={`flex justify-between items-center p-4 rounded-lg shadow-sm transition-all hover:shadow-md ${
-                  t.type === 'income' ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'
+                  t.type === 'income' ? 'bg-green-50 border border-green-200'
+                    : t.type === 'transfer' ? 'bg-blue-50 border border-blue-200'
+                      : 'bg-red-50 border border-red-200'
                 } ${t.status === 'forecasted' ? 'opacity-75 border-dashed border-gray-400' : ''}`}
               >
                 <div>
                   <p className="text-lg font-medium text-gray-800 capitalize">
+                    {!t.isRecurring && (
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        aria-label="Select transaction"
+                        checked={!!selectedIds[t.id]}
+                        onChange={() => handleToggleSelected(t.id)}
+                      />
+                    )}
+                    {!isSplit(t) && <CategoryMarker category={findCategory(t.category, categories)} />}
                     {t.category}
                     {t.status === 'forecasted' && <span className="text-xs text-gray-500 ml-2">(Forecast)</span>}
+                    {t.isRecurring && <span className="text-xs text-purple-600 ml-2">(Recurring)</span>}
+                    {t.pendingSync && <span className="text-xs text-yellow-700 ml-2 normal-case">(Pending sync)</span>}
                   </p>
+                  {isSplit(t) && (
+                    <p className="text-xs text-gray-600">
+                      {t.splits.map((line, index) => (
+                        <span key={index} className="mr-2 capitalize">
+                          <CategoryMarker category={findCategory(line.category, categories)} />
+                          {line.category} {formatMoney(line.amount, currencyOf(t))}
+                        </span>
+                      ))}
+                    </p>
+                  )}
+                  {(t.payee || t.description) && (
+                    <p className="text-sm text-gray-700">
+                      {t.payee && <span className="font-medium">{t.payee}</span>}
+                      {t.payee && t.description && ' · '}
+                      {t.description}
+                    </p>
+                  )}
                   <p className="text-sm text-gray-500">{formatDate(t.date)}</p> {/* Display transaction date */}
+                  {t.type === 'transfer' ? (
+                    <p className="text-xs text-gray-500">
+                      {(findAccount(t.accountId, accounts) || { name: 'Unknown account' }).name}
+                      {' → '}
+                      {(findAccount(t.toAccountId, accounts) || { name: 'Unknown account' }).name}
+                    </p>
+                  ) : findAccount(t.accountId, accounts) && (
+                    <p className="text-xs text-gray-500">{findAccount(t.accountId, accounts).name}</p>
+                  )}
+                  {t.goalId && goals.some(g => g.id === t.goalId) && (
+                    <p className="text-xs text-teal-700">Saving for {goals.find(g => g.id === t.goalId).name}</p>
+                  )}
+                  {transactionTags(t).length > 0 && (
+                    <p className="text-xs">
+                      {transactionTags(t).map(tag => (
+                        <button
+                          key={tag}
+                          onClick={() => setListFilters(prev => ({ ...prev, tag }))}
+                          className="mr-1 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 hover:bg-gray-300"
+                          title={`Show transactions tagged ${tag}`}
+                        >
+                          #{tag}
+                        </button>
+                      ))}
+                    </p>
+                  )}
+                  {t.notes && <p className="text-xs text-gray-600 italic whitespace-pre-line">{t.notes}</p>}
+                  {!t.isRecurring && !isLocal && (
+                    <ReceiptAttachments
+                      store={store}
+                      storage={storage}
+                      dataPath={dataPath}
+                      userId={userId}
+                      transaction={t}
+                      readOnly={readOnly}
+                      showCustomModal={showCustomModal}
+                      setError={setError}
+                      trackWrite={trackWrite}
+                      offerUndo={offerUndo}
+                    />
+                  )}
+                  {activeWorkspace && t.createdBy && (
+                    <p className="text-xs text-gray-400">Added by {memberLabel(members, t.createdBy)}</p>
+                  )}
+                  {!t.isRecurring && (
+                    <ChangeHistory
+                      store={store}
+                      transaction={t}
+                      userId={userId}
+                      members={members}
+                      accounts={accounts}
+                      goals={goals}
+                      setError={setError}
+                    />
+                  )}
                 </div>
                 <div className="flex items-center">
-                  <span className={`text-lg font-semibold ${t.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
-                    {t.type === 'income' ? '+' : '-'}${Math.abs(t.amount || 0).toFixed(2)}
+                  <span className={`text-lg font-semibold ${
+                    t.type === 'income' ? 'text-green-600' : t.type === 'transfer' ? 'text-blue-600' : 'text-red-600'
+                  }`}>
+                    {t.type === 'income' ? '+' : t.type === 'transfer' ? '' : '-'}{formatMoney(Math.abs(t.amount || 0), currencyOf(t))}
                   </span>
-                  <button
-                    onClick={() => handleDeleteTransaction(t.id)}
-                    className="ml-4 p-2 rounded-full bg-gray-200 text-gray-600 hover:bg-gray-300 transition-all focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
-                    aria-label="Delete transaction"
-                  >
-                    <svg
-                      xmlns="http://www.w3.org/2000/svg"
-                      className="h-5 w-5"
-                      viewBox="0 0 20 20"
-                      fill="currentColor"
+                  {/* Recurring occurrences are managed through their rule, not edited one by one */}
+                  {t.status === 'forecasted' && !readOnly && (
+                    <button
+                      onClick={() => handleStartReconcile(t)}
+                      className="ml-4 px-2 py-1 text-xs bg-yellow-200 text-yellow-900 rounded-lg hover:bg-yellow-300 transition-all"
                     >
-                      <path
-                        fillRule="evenodd"
-                        d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z"
-                        clipRule="evenodd"
-                      />
-                    </svg>
-                  </button>
+                      {t.type === 'income' ? 'Mark Received' : 'Mark Paid'}
+                    </button>
+                  )}
+                  {!t.isRecurring && !readOnly && (
+                    <>
+                      <button
+                        onClick={() => handleStartEdit(t)}
+                        className="ml-4 p-2 rounded-full bg-gray-200 text-gray-600 hover:bg-gray-300 transition-all focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
+                        aria-label="Edit transaction"
+                      >
+                        <svg
+                          xmlns="http://www.w3.org/2000/svg"
+                          className="h-5 w-5"
+                          viewBox="0 0 20 20"
+                          fill="currentColor"
+                        >
+                          <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                        </svg>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteTransaction(t)}
+                        className="ml-2 p-2 rounded-full bg-gray-200 text-gray-600 hover:bg-gray-300 transition-all focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2"
+                        aria-label="Delete transaction"
+                      >
+                        <svg
+                          xmlns="http://www.w3.org/2000/svg"
+                          className="h-5 w-5"
+                          viewBox="0 0 20 20"
+                          fill="currentColor"
+                        >
+                          <path
+                            fillRule="evenodd"
+                            d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z"
+                            clipRule="evenodd"
+                          />
+                        </svg>
+                      </button>
+                    </>
+                  )}
                 </div>
               </li>
             ))}
           </ul>
+          {hasMoreTransactions && (
+            <button
+              onClick={isLocal ? () => setListLimit(listLimit + TRANSACTION_PAGE_SIZE) : transactionPages.loadMore}
+              className="w-full mt-4 bg-gray-200 text-gray-800 py-2 rounded-lg hover:bg-gray-300 transition-all"
+            >
+              Load More
+            </button>
+          )}
         </div>
+
+        <TransactionTrash
+          transactions={trashedTransactions}
+          readOnly={readOnly}
+          members={members}
+          showMembers={!!activeWorkspace}
+          onRestore={handleRestoreTransactions}
+          onDeleteForever={handleDeleteForever}
+          showCustomModal={showCustomModal}
+        />
       </div>
 
+      <UndoToast action={undoAction} onUndo={handleUndo} onDismiss={dismissUndo} />
+
+      {/* Failures, including changes made offline that the server turned down once the connection returned */}
+      {error && (
+        <div className="fixed top-4 inset-x-0 flex justify-center z-30 px-4" role="alert">
+          <div className="flex items-center bg-red-600 text-white text-sm rounded-lg shadow-lg px-4 py-3 max-w-md w-full">
+            <span className="flex-1">{error}</span>
+            <button
+              onClick={() => setError(null)}
+              className="ml-2 text-red-100 hover:text-white"
+              title="Dismiss"
+              aria-label="Dismiss error"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Reconcile Forecast Modal */}
+      {reconcileTarget && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-40">
+          <div className="bg-white rounded-lg shadow-xl p-6 m-4 max-w-sm w-full">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">
+              {reconcileTarget.type === 'income' ? 'Mark as Received' : 'Mark as Paid'}
+            </h3>
+            <p className="text-sm text-gray-600 mb-4 capitalize">
+              {reconcileTarget.category}: forecast {formatMoney(Math.abs(reconcileTarget.amount || 0), currencyOf(reconcileTarget))} on {formatDate(reconcileTarget.date)}
+            </p>
+            <div className="mb-3">
+              <label htmlFor="reconcileAmount" className="block text-sm font-medium text-gray-700 mb-1">Actual Amount</label>
+              <input
+                type="text"
+                inputMode="decimal"
+                id="reconcileAmount"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={reconcileValues.amount}
+                onChange={(e) => setReconcileValues(prev => ({ ...prev, amount: e.target.value }))}
+              />
+            </div>
+            <div className="mb-4">
+              <label htmlFor="reconcileDate" className="block text-sm font-medium text-gray-700 mb-1">Actual Date</label>
+              <input
+                type="date"
+                id="reconcileDate"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={reconcileValues.date}
+                onChange={(e) => setReconcileValues(prev => ({ ...prev, date: e.target.value }))}
+              />
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={handleCancelReconcile}
+                className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleReconcileTransaction}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all"
+                disabled={loading}
+              >
+                Confirm
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Custom Confirmation Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
@@ -1,8 +1,884 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The app talks to Firebase only through the modular SDK functions, so those are replaced with an in-memory stand-in:
+// documents are kept per collection path and every listener on a collection hears about each write to it. Queries
+// apply their where, orderBy, startAfter and limit clauses the way Firestore does, including leaving out documents
+// without the ordered-by field. Auth keeps one signed-in user and a table of email accounts.
+// Names start with "mock" so jest.mock's factories may refer to them.
+const mockDb = { collections: new Map(), listeners: new Set(), nextId: 1, offline: false, rejectWrites: false };
+const mockStorage = { deleted: [] }; // Paths of the receipt files deleted
+const mockAuth = { currentUser: null, listeners: new Set(), accounts: {}, allowAnonymous: true, nextUid: 1, deleted: [] };
+
+const mockTrimPath = (path) => path.replace(/^\/+/, '');
+const mockDocsIn = (path) => mockDb.collections.get(path) || new Map();
+
+const mockComparable = (value) => (value && value.toMillis ? value.toMillis() : value);
+
+const mockMatches = (data, { field, op, value }) => {
+  const actual = mockComparable(data[field]);
+  const expected = mockComparable(value);
+  if (op === '==') return actual === expected;
+  if (actual === undefined || actual === null) return false;
+  if (op === '>=') return actual >= expected;
+  if (op === '<=') return actual <= expected;
+  throw new Error(`Unsupported where operator ${op}`);
+};
+
+const mockSnapshot = ({ path, constraints = [] }) => {
+  let docs = [...mockDocsIn(path)].map(([id, data]) => ({
+    id,
+    ref: { path: `${path}/${id}`, id, parent: path },
+    data: () => data,
+    metadata: { hasPendingWrites: false },
+  }));
+  constraints.filter(c => c.type === 'where').forEach(c => {
+    docs = docs.filter(doc => mockMatches(doc.data(), c));
+  });
+  constraints.filter(c => c.type === 'orderBy').forEach(({ field, direction }) => {
+    docs = docs
+      .filter(doc => doc.data()[field] !== undefined && doc.data()[field] !== null)
+      .sort((a, b) => {
+        const first = mockComparable(a.data()[field]);
+        const second = mockComparable(b.data()[field]);
+        const order = first < second ? -1 : first > second ? 1 : a.id.localeCompare(b.id);
+        return direction === 'desc' ? -order : order;
+      });
+  });
+  const cursor = constraints.find(c => c.type === 'startAfter');
+  if (cursor) docs = docs.slice(docs.findIndex(doc => doc.id === cursor.snapshot.id) + 1);
+  const max = constraints.find(c => c.type === 'limit');
+  if (max) docs = docs.slice(0, max.count);
+  return { docs, empty: docs.length === 0, size: docs.length };
+};
+
+const mockNotify = (path) => {
+  mockDb.listeners.forEach(listener => {
+    if (listener.ref.path === path) listener.next(mockSnapshot(listener.ref));
+  });
+};
+
+const mockPut = (ref, data) => {
+  const docs = new Map(mockDocsIn(ref.parent));
+  if (data === undefined) docs.delete(ref.id);
+  else docs.set(ref.id, data);
+  mockDb.collections.set(ref.parent, docs);
+  mockNotify(ref.parent);
+};
+
+// Updates merge into the stored document; arrayUnion and arrayRemove add or take out entries of an array field
+const mockMerge = (existing, data) => ({
+  ...existing,
+  ...Object.fromEntries(Object.entries(data).map(([field, value]) => {
+    if (!value || !value.mockArrayOperation) return [field, value];
+    const current = (existing && existing[field]) || [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    return [field, value.mockArrayOperation === 'union'
+      ? [...current, ...value.items.filter(item => !current.some(entry => same(entry, item)))]
+      : current.filter(entry => !value.items.some(item => same(entry, item)))];
+  })),
+});
+
+// Writes are applied locally straight away, as with offline persistence. While offline their promises never settle,
+// since the server never acknowledges them. With rejectWrites set they behave like changes made offline that the server
+// turns down once it sees them: rolled back as the promise rejects.
+const mockWrite = (ref, update) => {
+  const previous = mockDocsIn(ref.parent).get(ref.id);
+  mockPut(ref, update(previous));
+  if (mockDb.offline) return new Promise(() => {});
+  if (!mockDb.rejectWrites) return Promise.resolve();
+  return new Promise((resolve, reject) => setTimeout(() => {
+    mockPut(ref, previous);
+    reject(Object.assign(new Error('permission-denied'), { code: 'permission-denied' }));
+  }, 0));
+};
+
+// Like Firebase, auth state listeners hear about the change after the sign-in call has resolved
+const mockSignIn = (user) => {
+  if (user) user.metadata = { lastSignInTime: new Date().toUTCString() };
+  mockAuth.currentUser = user;
+  setTimeout(() => mockAuth.listeners.forEach(listener => listener(user)), 0);
+  return Promise.resolve({ user });
+};
+
+const mockAuthError = (code) => Promise.reject(Object.assign(new Error(code), { code }));
+
+jest.mock('firebase/app', () => ({ initializeApp: () => ({}), getApps: () => [], getApp: () => ({}) }));
+
+jest.mock('firebase/firestore', () => {
+  const { Timestamp: RealTimestamp } = jest.requireActual('firebase/firestore');
+  const docRef = (path) => {
+    const id = path.split('/').pop();
+    return { type: 'doc', path, id, parent: path.slice(0, -id.length - 1) };
+  };
+  return {
+    Timestamp: RealTimestamp,
+    initializeFirestore: () => mockDb,
+    getFirestore: () => mockDb,
+    persistentLocalCache: () => ({}),
+    persistentMultipleTabManager: () => ({}),
+    collection: (db, path) => ({ type: 'collection', path: mockTrimPath(path) }),
+    collectionGroup: (db, id) => ({ type: 'collectionGroup', path: `**/${id}` }),
+    doc: (parent, ...segments) => {
+      if (parent.type === 'collection' && segments.length === 0) {
+        return docRef(`${parent.path}/generated-${mockDb.nextId++}`);
+      }
+      return docRef(mockTrimPath([...(parent.type === 'collection' ? [parent.path] : []), ...segments].join('/')));
+    },
+    query: (ref, ...constraints) => ({ ...ref, constraints: [...(ref.constraints || []), ...constraints] }),
+    where: (field, op, value) => ({ type: 'where', field, op, value }),
+    orderBy: (field, direction = 'asc') => ({ type: 'orderBy', field, direction }),
+    startAfter: (snapshot) => ({ type: 'startAfter', snapshot }),
+    limit: (count) => ({ type: 'limit', count }),
+    serverTimestamp: () => RealTimestamp.now(),
+    deleteField: () => undefined,
+    arrayUnion: (...items) => ({ mockArrayOperation: 'union', items }),
+    arrayRemove: (...items) => ({ mockArrayOperation: 'remove', items }),
+    onSnapshot: (ref, ...args) => {
+      const [next] = args.filter(arg => typeof arg === 'function');
+      const listener = { ref, next };
+      mockDb.listeners.add(listener);
+      next(mockSnapshot(ref));
+      return () => mockDb.listeners.delete(listener);
+    },
+    getDocs: (ref) => Promise.resolve(mockSnapshot(ref)),
+    setDoc: (ref, data) => mockWrite(ref, () => data),
+    addDoc: (ref, data) => {
+      const id = `generated-${mockDb.nextId++}`;
+      return mockWrite({ parent: ref.path, id }, () => data).then(() => ({ id }));
+    },
+    updateDoc: (ref, data) => mockWrite(ref, existing => mockMerge(existing, data)),
+    deleteDoc: (ref) => mockWrite(ref, () => undefined),
+    writeBatch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => mockWrite(ref, () => data)),
+        update: (ref, data) => writes.push(() => mockWrite(ref, existing => mockMerge(existing, data))),
+        delete: (ref) => writes.push(() => mockWrite(ref, () => undefined)),
+        commit: () => Promise.all(writes.map(write => write())),
+      };
+    },
+  };
+});
+
+jest.mock('firebase/auth', () => ({
+  getAuth: () => mockAuth,
+  onAuthStateChanged: (auth, listener) => {
+    mockAuth.listeners.add(listener);
+    Promise.resolve().then(() => listener(mockAuth.currentUser));
+    return () => mockAuth.listeners.delete(listener);
+  },
+  signInAnonymously: () => (mockAuth.allowAnonymous
+    ? mockSignIn({ uid: `guest-${mockAuth.nextUid++}`, email: null, isAnonymous: true, emailVerified: false })
+    : mockAuthError('auth/operation-not-allowed')),
+  signInWithCustomToken: () => mockAuthError('auth/invalid-custom-token'),
+  signInWithEmailAndPassword: (auth, email, password) => {
+    const account = mockAuth.accounts[email];
+    return account && account.password === password ? mockSignIn(account.user) : mockAuthError('auth/invalid-credential');
+  },
+  createUserWithEmailAndPassword: (auth, email, password) => {
+    if (mockAuth.accounts[email]) return mockAuthError('auth/email-already-in-use');
+    const user = { uid: `user-${mockAuth.nextUid++}`, email, isAnonymous: false, emailVerified: false };
+    mockAuth.accounts[email] = { password, user };
+    return mockSignIn(user);
+  },
+  sendEmailVerification: () => Promise.resolve(),
+  sendPasswordResetEmail: () => Promise.resolve(),
+  signOut: () => mockSignIn(null),
+  EmailAuthProvider: { credential: (email, password) => ({ email, password }) },
+  linkWithCredential: () => mockAuthError('auth/operation-not-allowed'),
+  reauthenticateWithCredential: (user, { email, password }) => {
+    const account = mockAuth.accounts[email];
+    return account && account.password === password ? Promise.resolve() : mockAuthError('auth/invalid-credential');
+  },
+  deleteUser: (user) => {
+    mockAuth.deleted.push(user.uid);
+    return mockSignIn(null).then(() => {});
+  },
+}));
+
+jest.mock('firebase/storage', () => ({
+  getStorage: () => ({}),
+  ref: (storage, path) => ({ path }),
+  uploadBytes: () => Promise.resolve(),
+  getDownloadURL: () => Promise.resolve(''),
+  deleteObject: (ref) => {
+    mockStorage.deleted.push(ref.path);
+    return Promise.resolve();
+  },
+}));
+
+// App reads its Firebase configuration when its module loads, so it is required once that is in place. Without one it
+// would start in local mode (see storageMode.js).
+window.__firebase_config = JSON.stringify({ projectId: 'test-project' });
+const { default: App } = require('./App');
+const { localStore, clearLocalStore } = require('./localStore');
+
+const GUEST_TRANSACTIONS = 'artifacts/default-app-id/users/guest-1/transactions';
+
+const storedTransactions = (path = GUEST_TRANSACTIONS) => [...mockDocsIn(path).values()];
+const storedHistory = () => [...mockDocsIn(GUEST_TRANSACTIONS.replace(/transactions$/, 'transactionHistory')).values()];
+
+const RENT = {
+  amount: 950,
+  amountMinor: 95000,
+  currency: 'USD',
+  category: 'Rent',
+  type: 'expense',
+  status: 'actual',
+  date: Timestamp.fromDate(new Date(2024, 2, 1, 12, 0, 0)),
+  createdBy: 'guest-1',
+  createdAt: Timestamp.fromDate(new Date(2024, 2, 1, 12, 0, 0)),
+};
+
+// The server acknowledges a write a moment after the change shows, and the sync status then updates. Tests that make
+// changes wait for that, so the update happens while React expects it rather than after the test has moved on.
+const waitForSync = () => waitFor(() => expect(screen.queryByText(/waiting to sync/)).not.toBeInTheDocument());
+
+// Fields of the add form, told apart from the recurring rule form's fields of the same name by their ids
+const addFormField = (label, id) => screen.findByLabelText(label, { selector: `#${id}` });
+
+// Recharts' ResponsiveContainer measures its parent, which jsdom can't do
+beforeAll(() => {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+beforeEach(() => {
+  mockDb.collections = new Map();
+  mockDb.listeners = new Set();
+  mockDb.nextId = 1;
+  mockDb.offline = false;
+  mockDb.rejectWrites = false;
+  mockStorage.deleted = [];
+  mockAuth.currentUser = null;
+  mockAuth.listeners = new Set();
+  mockAuth.accounts = {
+    'sam@example.com': { password: 'correct horse', user: { uid: 'sam', email: 'sam@example.com', isAnonymous: false, emailVerified: true } },
+  };
+  mockAuth.allowAnonymous = true;
+  mockAuth.nextUid = 1;
+  mockAuth.deleted = [];
+  window.localStorage.clear();
+  return clearLocalStore();
+});
+
+describe('authentication', () => {
+  test('starts a guest session on first load', async () => {
+    render(<App />);
+    expect(await screen.findByRole('button', { name: 'Add Transaction' })).toBeInTheDocument();
+    expect(screen.getByText('Guest session: create an account below to keep your data')).toBeInTheDocument();
+  });
+
+  test('shows the login form when the guest session can\'t start, and logs in with email and password', async () => {
+    mockAuth.allowAnonymous = false;
+    render(<App />);
+    expect(await screen.findByText('Failed to auto-sign in. Please log in or register.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'sam@example.com' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong password' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Log In' }));
+    expect(await screen.findByText('Incorrect email or password.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'correct horse' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Log In' }));
+    expect(await screen.findByText('sam@example.com')).toBeInTheDocument();
+    expect(screen.getByText(/Logged in as/)).toBeInTheDocument();
+  });
+
+  test('registers a new account', async () => {
+    mockAuth.allowAnonymous = false;
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Need an account? Register' }));
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'new@example.com' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret password' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Register' }));
+    expect(await screen.findByText('new@example.com')).toBeInTheDocument();
+    expect(mockAuth.accounts['new@example.com']).toBeDefined();
+  });
+
+  test('logs out back to the login form', async () => {
+    mockAuth.currentUser = mockAuth.accounts['sam@example.com'].user;
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Log Out' }));
+    expect(await screen.findByRole('button', { name: 'Log In' })).toBeInTheDocument();
+  });
+});
+
+describe('deleting the account', () => {
+  const SAM_TRANSACTIONS = 'artifacts/default-app-id/users/sam/transactions';
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toUTCString();
+
+  // Up to the confirmation, which each test accepts itself and then waits on
+  const askToDeleteAccount = async (password) => {
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete my account and data' }));
+    if (password) fireEvent.change(screen.getByLabelText('Confirm password'), { target: { value: password } });
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Everything' }));
+    await screen.findByRole('button', { name: 'Confirm' });
+  };
+
+  test('deletes the data, then the account', async () => {
+    mockAuth.currentUser = { ...mockAuth.accounts['sam@example.com'].user, metadata: { lastSignInTime: minutesAgo(60) } };
+    mockDb.collections.set(SAM_TRANSACTIONS, new Map([['rent', RENT]]));
+    render(<App />);
+    await askToDeleteAccount('correct horse');
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    await waitFor(() => expect(mockAuth.deleted).toEqual(['sam']));
+    expect(storedTransactions(SAM_TRANSACTIONS)).toEqual([]);
+  });
+
+  test('keeps the data and the account when the password is wrong', async () => {
+    mockAuth.currentUser = { ...mockAuth.accounts['sam@example.com'].user, metadata: { lastSignInTime: minutesAgo(60) } };
+    mockDb.collections.set(SAM_TRANSACTIONS, new Map([['rent', RENT]]));
+    render(<App />);
+    await askToDeleteAccount('wrong password');
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    expect(await screen.findByText('Incorrect email or password.')).toBeInTheDocument();
+    expect(storedTransactions(SAM_TRANSACTIONS)).toHaveLength(1);
+    expect(mockAuth.deleted).toEqual([]);
+  });
+
+  test('asks a guest who signed in too long ago to sign in again, before touching the data', async () => {
+    mockAuth.currentUser = { uid: 'guest-1', email: null, isAnonymous: true, emailVerified: false, metadata: { lastSignInTime: minutesAgo(10) } };
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', RENT]]));
+    render(<App />);
+    await askToDeleteAccount();
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    expect(await screen.findByText('For your security, please sign out and sign in again before deleting your account.'))
+      .toBeInTheDocument();
+    expect(storedTransactions()).toHaveLength(1);
+    expect(mockAuth.deleted).toEqual([]);
+  });
+});
+
+describe('using the app without an account', () => {
+  test('keeps the budget on this device, across reloads', async () => {
+    mockAuth.allowAnonymous = false;
+    const { unmount } = render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Use without an account on this device' }));
+    expect(await screen.findByText(/Stored on this device only/)).toBeInTheDocument();
+    fireEvent.change(await addFormField('Amount', 'amount'), { target: { value: '12.50' } });
+    fireEvent.change(await addFormField('Category', 'category'), { target: { value: 'Groceries' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Transaction' }));
+
+    expect(await screen.findByRole('button', { name: 'Edit transaction' })).toBeInTheDocument();
+    await waitForSync();
+    await waitFor(async () => expect(await localStore.getAll('transactions')).toHaveLength(1));
+    expect((await localStore.getAll('transactions'))[0]).toMatchObject({ amountMinor: 1250, category: 'Groceries' });
+    expect(mockDb.collections.size).toBe(0);
+
+    unmount();
+    render(<App />);
+    expect(await screen.findByRole('button', { name: 'Edit transaction' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign In to Sync' })).toBeInTheDocument();
+  });
+
+  const signInWithLocalBudget = async () => {
+    await localStore.set('transactions', 'rent', RENT);
+    await localStore.set('budgets', 'food', { category: 'Groceries', limit: 200, limitMinor: 20000 });
+    window.localStorage.setItem('budgetTracker.storageMode', 'local');
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Sign In to Sync' }));
+    fireEvent.change(await screen.findByLabelText('Email'), { target: { value: 'sam@example.com' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'correct horse' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Log In' }));
+    expect(await screen.findByText('2 items from using the app without an account are still kept on this device.')).toBeInTheDocument();
+  };
+
+  test('copies the budget kept on this device into an account after signing in', async () => {
+    await signInWithLocalBudget();
+    fireEvent.click(screen.getByRole('button', { name: 'Copy to This Budget' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Confirm' }));
+
+    await waitFor(() => expect(storedTransactions('artifacts/default-app-id/users/sam/transactions')).toHaveLength(1));
+    expect(mockDocsIn('artifacts/default-app-id/users/sam/transactions').get('rent')).toMatchObject({ amountMinor: 95000, category: 'Rent' });
+    expect(mockDocsIn('artifacts/default-app-id/users/sam/budgets').get('food')).toMatchObject({ limitMinor: 20000 });
+    await waitFor(() => expect(screen.queryByText(/(kept on|removed from) this device/)).not.toBeInTheDocument());
+    expect(await localStore.getAll('transactions')).toEqual([]);
+    expect(await localStore.getAll('budgets')).toEqual([]);
+  });
+
+  test('keeps the copy on this device until the server has the one in the account', async () => {
+    await signInWithLocalBudget();
+    mockDb.offline = true;
+    fireEvent.click(screen.getByRole('button', { name: 'Copy to This Budget' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Confirm' }));
+
+    expect(await screen.findByText('Copied 2 items into this budget. They are removed from this device once the copy has synced.'))
+      .toBeInTheDocument();
+    await waitFor(() => expect(mockDocsIn('artifacts/default-app-id/users/sam/transactions').get('rent'))
+      .toMatchObject({ category: 'Rent' }));
+    expect(screen.getByText('2 changes waiting to sync')).toBeInTheDocument();
+    expect(await localStore.getAll('transactions')).toHaveLength(1);
+  });
+
+  test('keeps the copy on this device when the server turns the account copy down', async () => {
+    await signInWithLocalBudget();
+    mockDb.rejectWrites = true;
+    fireEvent.click(screen.getByRole('button', { name: 'Copy to This Budget' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Confirm' }));
+
+    expect(await screen.findByText('Failed to copy the data kept on this device. Please try again.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Copy to This Budget' })).toBeInTheDocument();
+    expect(await localStore.getAll('transactions')).toHaveLength(1);
+    expect(await localStore.getAll('budgets')).toHaveLength(1);
+  });
+});
+
+describe('adding a transaction', () => {
+  test('stores the amount in minor units and lists it', async () => {
+    render(<App />);
+    fireEvent.change(await addFormField('Amount', 'amount'), { target: { value: '1,234.56' } });
+    fireEvent.change(await addFormField('Category', 'category'), { target: { value: 'Groceries' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Transaction' }));
+
+    await waitForSync();
+    expect(storedTransactions()).toHaveLength(1);
+    expect(storedTransactions()[0]).toMatchObject({
+      amount: 1234.56,
+      amountMinor: 123456,
+      category: 'Groceries',
+      type: 'expense',
+      status: 'actual',
+      currency: 'USD',
+      createdBy: 'guest-1',
+    });
+    expect(await addFormField('Amount', 'amount')).toHaveValue('');
+    expect(await screen.findAllByText('Groceries')).not.toHaveLength(0);
+  });
+
+  test('stores a forecast on its chosen day at local noon', async () => {
+    render(<App />);
+    fireEvent.change(await addFormField('Amount', 'amount'), { target: { value: '80' } });
+    fireEvent.change(await addFormField('Category', 'category'), { target: { value: 'Utilities' } });
+    fireEvent.click(screen.getByLabelText('Forecasted'));
+    fireEvent.change(screen.getByLabelText('Anticipated Date'), { target: { value: '2030-03-10' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Transaction' }));
+
+    await waitForSync();
+    expect(storedTransactions()).toHaveLength(1);
+    const [forecast] = storedTransactions();
+    expect(forecast.status).toBe('forecasted');
+    expect(forecast.date.toDate()).toEqual(new Date(2030, 2, 10, 12, 0, 0));
+  });
+
+  test('rejects an amount with more decimal places than the currency has', async () => {
+    render(<App />);
+    fireEvent.change(await addFormField('Amount', 'amount'), { target: { value: '12.345' } });
+    fireEvent.change(await addFormField('Category', 'category'), { target: { value: 'Groceries' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Transaction' }));
+
+    expect(await screen.findByText(/2 decimal places/)).toBeInTheDocument();
+    expect(storedTransactions()).toHaveLength(0);
+  });
+
+  test('tells the user when the server turns down a change made offline', async () => {
+    mockDb.rejectWrites = true;
+    render(<App />);
+    fireEvent.change(await addFormField('Amount', 'amount'), { target: { value: '12.50' } });
+    fireEvent.change(await addFormField('Category', 'category'), { target: { value: 'Groceries' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Transaction' }));
+
+    expect(await screen.findByText('Failed to add transaction. Please try again.')).toBeInTheDocument();
+    expect(storedTransactions()).toHaveLength(0);
+    expect(screen.queryByRole('button', { name: 'Edit transaction' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss error' }));
+    expect(screen.queryByText('Failed to add transaction. Please try again.')).not.toBeInTheDocument();
+  });
+});
+
+describe('transaction list', () => {
+  // Queries of the transaction list, one per page loaded: the ones with a limit
+  const pageQueries = () => [...mockDb.listeners]
+    .map(listener => listener.ref.constraints || [])
+    .filter(constraints => constraints.some(c => c.type === 'limit'));
+
+  test('fetches the transactions a page at a time with cursor queries', async () => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map(Array.from({ length: 30 }, (_, i) => [`rent-${i}`, {
+      ...RENT,
+      createdAt: Timestamp.fromMillis(RENT.createdAt.toMillis() + i * 1000),
+    }])));
+    render(<App />);
+    expect(await screen.findByLabelText('Select all 30 matching')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Edit transaction' })).toHaveLength(25);
+    expect(pageQueries()).toEqual([expect.arrayContaining([{ type: 'limit', count: 25 }])]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+    expect(await screen.findAllByRole('button', { name: 'Edit transaction' })).toHaveLength(30);
+    expect(pageQueries()[1]).toContainEqual({ type: 'startAfter', snapshot: expect.objectContaining({ id: 'rent-5' }) });
+    expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+  });
+
+  test('runs the type filter and the sort order in the query', async () => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([
+      ['rent', RENT],
+      ['salary', { ...RENT, category: 'Salary', type: 'income' }],
+    ]));
+    render(<App />);
+    expect(await screen.findAllByRole('button', { name: 'Edit transaction' })).toHaveLength(2);
+    fireEvent.change(screen.getByLabelText('Filter by type'), { target: { value: 'income' } });
+    fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'date-asc' } });
+
+    await waitFor(() => expect(pageQueries()).toEqual([expect.arrayContaining([
+      { type: 'where', field: 'type', op: '==', value: 'income' },
+      { type: 'orderBy', field: 'date', direction: 'asc' },
+    ])]));
+    expect(screen.getAllByRole('button', { name: 'Edit transaction' })).toHaveLength(1);
+  });
+});
+
+describe('deleting a transaction', () => {
+  beforeEach(() => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', RENT]]));
+  });
+
+  test('moves it to the trash without asking, and records who did it', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete transaction' }));
+
+    await waitForSync();
+    expect(storedTransactions()[0].deletedBy).toBe('guest-1');
+    expect(storedTransactions()[0].deletedAt).toBeInstanceOf(Timestamp);
+    expect(storedHistory()).toEqual([expect.objectContaining({ transactionId: 'rent', action: 'deleted', changedBy: 'guest-1' })]);
+    expect(screen.queryByRole('button', { name: 'Delete transaction' })).not.toBeInTheDocument();
+    expect(screen.getByText('Trash (1)')).toBeInTheDocument();
+  });
+
+  test('undoes the deletion from the toast', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete transaction' }));
+    expect(await screen.findByText('Transaction moved to the trash.')).toBeInTheDocument();
+    await waitForSync();
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+    expect(await screen.findByRole('button', { name: 'Delete transaction' })).toBeInTheDocument();
+    await waitForSync();
+    expect(storedTransactions()[0]).toMatchObject({ deletedAt: null, deletedBy: null });
+    expect(storedHistory().map(entry => entry.action).sort()).toEqual(['deleted', 'restored']);
+    expect(screen.queryByText(/^Trash/)).not.toBeInTheDocument();
+  });
+
+  test('restores it from the trash', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete transaction' }));
+    await waitForSync();
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+
+    expect(await screen.findByRole('button', { name: 'Delete transaction' })).toBeInTheDocument();
+    await waitForSync();
+    expect(storedTransactions()[0].deletedAt).toBeNull();
+  });
+
+  test('deletes it for good from the trash once confirmed', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete transaction' }));
+    await waitForSync();
+    fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Forever' }));
+    expect(await screen.findByText(/Delete this transaction for good\?/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    await waitForSync();
+    expect(storedTransactions()).toHaveLength(0);
+    expect(screen.queryByText(/^Trash/)).not.toBeInTheDocument();
+  });
+});
+
+describe('batch actions on selected transactions', () => {
+  const GROCERIES = { ...RENT, amount: 42.5, amountMinor: 4250, category: 'Groceries' };
+
+  beforeEach(() => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', RENT], ['groceries', GROCERIES]]));
+  });
+
+  test('changes the category of every matching transaction and can be undone', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByLabelText('Select all 2 matching'));
+    const actions = screen.getByRole('region', { name: 'Selected transactions' });
+    expect(within(actions).getByText('2 transactions selected')).toBeInTheDocument();
+    fireEvent.change(within(actions).getByLabelText('New category'), { target: { value: 'Household' } });
+    fireEvent.click(within(actions).getByRole('button', { name: 'Set Category' }));
+
+    await waitForSync();
+    expect(storedTransactions().map(t => t.category)).toEqual(['Household', 'Household']);
+    expect(storedHistory()).toHaveLength(2);
+    expect(screen.getByText('Changed the category of 2 transactions to Household.')).toBeInTheDocument();
+    expect(screen.queryByRole('region', { name: 'Selected transactions' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    await waitForSync();
+    expect(storedTransactions().map(t => t.category)).toEqual(['Rent', 'Groceries']);
+  });
+
+  test('moves only the ticked transactions to the trash', async () => {
+    render(<App />);
+    const [first] = await screen.findAllByLabelText('Select transaction');
+    fireEvent.click(first);
+    fireEvent.click(within(screen.getByRole('region', { name: 'Selected transactions' })).getByRole('button', { name: 'Delete' }));
+
+    await waitForSync();
+    expect(screen.getByText('Trash (1)')).toBeInTheDocument();
+    expect(storedTransactions().filter(t => t.deletedAt)).toHaveLength(1);
+    expect(screen.getAllByLabelText('Select transaction')).toHaveLength(1);
+  });
+
+  test('finishes straight away while offline, and waits for the server in the sync status', async () => {
+    mockDb.offline = true;
+    render(<App />);
+    fireEvent.click(await screen.findByLabelText('Select all 2 matching'));
+    const actions = screen.getByRole('region', { name: 'Selected transactions' });
+    fireEvent.change(within(actions).getByLabelText('New status'), { target: { value: 'forecasted' } });
+    fireEvent.click(within(actions).getByRole('button', { name: 'Set Status' }));
+
+    expect(await screen.findByText('Marked 2 transactions as forecasted.')).toBeInTheDocument();
+    expect(screen.queryByRole('region', { name: 'Selected transactions' })).not.toBeInTheDocument();
+    expect(storedTransactions().map(t => t.status)).toEqual(['forecasted', 'forecasted']);
+    expect(screen.getByText('2 changes waiting to sync')).toBeInTheDocument();
+  });
+
+  test('selects the transactions again when the server turns the changes down', async () => {
+    mockDb.rejectWrites = true;
+    render(<App />);
+    fireEvent.click(await screen.findByLabelText('Select all 2 matching'));
+    const actions = screen.getByRole('region', { name: 'Selected transactions' });
+    fireEvent.change(within(actions).getByLabelText('New category'), { target: { value: 'Household' } });
+    fireEvent.click(within(actions).getByRole('button', { name: 'Set Category' }));
+
+    expect(await screen.findByText('Failed to update the selected transactions. They are selected again, so you can try again.'))
+      .toBeInTheDocument();
+    expect(within(screen.getByRole('region', { name: 'Selected transactions' })).getByText('2 transactions selected'))
+      .toBeInTheDocument();
+    expect(storedTransactions().map(t => t.category)).toEqual(['Rent', 'Groceries']);
+  });
+});
+
+describe('merging categories', () => {
+  beforeEach(() => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', RENT], ['groceries', { ...RENT, category: 'Groceries' }]]));
+  });
+
+  const mergeRentIntoHousing = async () => {
+    const section = within(await screen.findByRole('region', { name: 'Categories' }));
+    await section.findByRole('option', { name: 'Rent' });
+    fireEvent.change(section.getByLabelText('Category'), { target: { value: 'Rent' } });
+    fireEvent.change(section.getByLabelText('Rename / Merge Into'), { target: { value: 'Housing' } });
+    fireEvent.click(section.getByRole('button', { name: 'Merge / Rename' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Confirm' }));
+  };
+
+  test('renames the category straight away while offline, and waits for the server in the sync status', async () => {
+    mockDb.offline = true;
+    render(<App />);
+    await mergeRentIntoHousing();
+
+    await waitFor(() => expect(storedTransactions().map(t => t.category)).toEqual(['Housing', 'Groceries']));
+    expect(screen.getByLabelText('Rename / Merge Into')).toHaveValue('');
+    expect(screen.getByText('1 change waiting to sync')).toBeInTheDocument();
+  });
+
+  test('says so when the server turns the merge down', async () => {
+    mockDb.rejectWrites = true;
+    render(<App />);
+    await mergeRentIntoHousing();
+
+    expect(await screen.findByText('Failed to merge categories. Please try again.')).toBeInTheDocument();
+    expect(storedTransactions().map(t => t.category)).toEqual(['Rent', 'Groceries']);
+  });
+});
+
+describe('re-running categorization rules', () => {
+  beforeEach(() => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', RENT]]));
+    mockDb.collections.set(GUEST_TRANSACTIONS.replace(/transactions$/, 'categoryRules'),
+      new Map([['big', { match: '', minAmount: 900, maxAmount: null, category: 'Housing', type: null, createdAt: RENT.createdAt }]]));
+  });
+
+  const applyRules = async () => {
+    await screen.findAllByRole('button', { name: 'Edit transaction' });
+    await screen.findByRole('button', { name: 'Delete rule for Housing' });
+    fireEvent.click(screen.getByRole('button', { name: 'Re-run on Existing' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Apply Changes' }));
+  };
+
+  test('recategorizes straight away while offline, and waits for the server in the sync status', async () => {
+    mockDb.offline = true;
+    render(<App />);
+    await applyRules();
+
+    expect(await screen.findByText('Recategorized 1 transaction.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Apply Changes' })).not.toBeInTheDocument();
+    expect(storedTransactions().map(t => t.category)).toEqual(['Housing']);
+    expect(screen.getByText('1 change waiting to sync')).toBeInTheDocument();
+  });
+
+  test('says so when the server turns the changes down', async () => {
+    mockDb.rejectWrites = true;
+    render(<App />);
+    await applyRules();
+
+    expect(await screen.findByText('Failed to apply the rules. Please try again.')).toBeInTheDocument();
+    expect(storedTransactions().map(t => t.category)).toEqual(['Rent']);
+  });
+});
+
+describe('importing a bank statement', () => {
+  const OFX = '<OFX><STMTTRN><DTPOSTED>20240305<TRNAMT>-12.50<NAME>Corner Shop</STMTTRN>'
+    + '<STMTTRN><DTPOSTED>20240306<TRNAMT>-3.20<NAME>Cafe</STMTTRN></OFX>';
+
+  const importStatement = async () => {
+    const file = { name: 'statement.ofx', text: () => Promise.resolve(OFX) };
+    fireEvent.change(await screen.findByLabelText('CSV, OFX or QFX file, or a JSON backup'), { target: { files: [file] } });
+    fireEvent.click(await screen.findByRole('button', { name: 'Import 2 Transactions' }));
+  };
+
+  test('adds the rows straight away while offline, and waits for the server in the sync status', async () => {
+    mockDb.offline = true;
+    render(<App />);
+    await importStatement();
+
+    expect(await screen.findByText('Imported 2 transactions from statement.ofx.')).toBeInTheDocument();
+    expect(storedTransactions().map(t => t.amountMinor)).toEqual([1250, 320]);
+    expect(screen.getByText('2 changes waiting to sync')).toBeInTheDocument();
+  });
+
+  test('says so when the server turns the import down', async () => {
+    mockDb.rejectWrites = true;
+    render(<App />);
+    await importStatement();
+
+    expect(await screen.findByText('Failed to import the transactions from statement.ofx. Please try again.')).toBeInTheDocument();
+    expect(storedTransactions()).toHaveLength(0);
+  });
+});
+
+describe('receipts on a listed transaction', () => {
+  const TILL = { name: 'till.pdf', path: 'receipts/rent/till.pdf', contentType: 'application/pdf', size: 2048 };
+
+  beforeEach(() => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', { ...RENT, attachments: [TILL] }]]));
+  });
+
+  const removeTill = async () => {
+    fireEvent.click(await screen.findByRole('button', { name: 'Remove receipt till.pdf' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Confirm' }));
+    expect(await screen.findByText('Removed the receipt "till.pdf".')).toBeInTheDocument();
+  };
+
+  test('attaches a receipt and records it in the history', async () => {
+    render(<App />);
+    const file = { name: 'photo.jpg', type: 'image/jpeg', size: 1024 };
+    fireEvent.change(await screen.findByLabelText('+ Receipt'), { target: { files: [file] } });
+
+    await waitFor(() => expect(storedTransactions()[0].attachments.map(a => a.name)).toEqual(['till.pdf', 'photo.jpg']));
+    expect(storedHistory().map(h => h.changes[0].field)).toEqual(['attachments']);
+  });
+
+  test('keeps the file of a removed receipt while the removal can be undone', async () => {
+    render(<App />);
+    await removeTill();
+    await waitForSync();
+    expect(storedTransactions()[0].attachments).toEqual([]);
+    expect(storedHistory()).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    await waitForSync();
+    expect(storedTransactions()[0].attachments).toEqual([TILL]);
+    expect(mockStorage.deleted).toEqual([]);
+  });
+
+  test('deletes the file once the removal is final', async () => {
+    render(<App />);
+    await removeTill();
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+
+    await waitFor(() => expect(mockStorage.deleted).toEqual([TILL.path]));
+  });
+
+  test('keeps the file when the server turns the removal down', async () => {
+    mockDb.rejectWrites = true;
+    render(<App />);
+    await removeTill();
+
+    expect(await screen.findByText('Failed to remove receipt. Please try again.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+    await waitFor(() => expect(storedTransactions()[0].attachments).toEqual([TILL]));
+    expect(mockStorage.deleted).toEqual([]);
+  });
+});
+
+describe('converting older amounts', () => {
+  test('converts transactions in the trash too, so they come back in minor units', async () => {
+    const { amountMinor, ...decimalOnly } = RENT;
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([
+      ['old', { ...decimalOnly, amount: 19.99, deletedAt: Timestamp.now(), deletedBy: 'guest-1' }],
+    ]));
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Convert Now' }));
+
+    await waitForSync();
+    expect(storedTransactions()[0].amountMinor).toBe(1999);
+    expect(screen.queryByRole('button', { name: 'Convert Now' })).not.toBeInTheDocument();
+  });
+
+  test('converts straight away while offline, and waits for the server in the sync status', async () => {
+    const { amountMinor, ...decimalOnly } = RENT;
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['old', { ...decimalOnly, amount: 19.99 }]]));
+    mockDb.offline = true;
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Convert Now' }));
+
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Convert Now' })).not.toBeInTheDocument());
+    expect(storedTransactions()[0].amountMinor).toBe(1999);
+    expect(screen.getByText('1 change waiting to sync')).toBeInTheDocument();
+  });
+
+  test('says so next to the button when the conversion fails', async () => {
+    const { amountMinor, ...decimalOnly } = RENT;
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['old', { ...decimalOnly, amount: 19.99 }]]));
+    mockDb.rejectWrites = true;
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Convert Now' }));
+
+    expect(await screen.findByText('Failed to convert amounts. Please try again.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Convert Now' })).toBeEnabled();
+    expect(storedTransactions()[0].amountMinor).toBeUndefined();
+  });
+});
+
+describe('editing a transaction', () => {
+  beforeEach(() => {
+    mockDb.collections.set(GUEST_TRANSACTIONS, new Map([['rent', RENT]]));
+  });
+
+  test('records the changed fields in its history and can be undone', async () => {
+    render(<App />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Edit transaction' }));
+    fireEvent.change(screen.getByLabelText('Category', { selector: '#edit-category-rent' }), { target: { value: 'Housing' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitForSync();
+    expect(storedTransactions()[0].category).toBe('Housing');
+    expect(storedHistory()).toEqual([expect.objectContaining({
+      transactionId: 'rent',
+      action: 'updated',
+      changes: [{ field: 'category', from: 'Rent', to: 'Housing' }],
+      changedBy: 'guest-1',
+    })]);
+    fireEvent.click(screen.getByRole('button', { name: 'Show history' }));
+    expect(await screen.findByText('Category: Rent → Housing')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    await waitForSync();
+    expect(storedTransactions()[0].category).toBe('Rent');
+    expect(await screen.findByText('Category: Housing → Rent')).toBeInTheDocument();
+  });
 });
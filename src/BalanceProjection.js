@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ReferenceDot,
+} from 'recharts';
+import { formatDate } from './dateUtils';
+import { formatMoney } from './currency';
+import { projectBalance } from './chartData';
+import { parseMoney, fromMinor } from './money';
+
+const HORIZONS = [30, 90, 365];
+
+// The warning threshold is a per-device preference, kept in localStorage like the exchange rates
+const THRESHOLD_STORAGE_KEY = 'budgetTracker.lowBalanceThreshold';
+
+const loadThreshold = () => {
+  try {
+    const stored = window.localStorage.getItem(THRESHOLD_STORAGE_KEY);
+    return stored === null ? '0' : stored;
+  } catch (err) {
+    console.error("Error reading low balance threshold:", err);
+    return '0';
+  }
+};
+
+// Day-by-day projected balance from today's balance through the chosen horizon, with a warning for the first day
+// it drops below the user's threshold and the forecasted payments responsible.
+// getForecastsBetween(start, end) returns forecasts (stored and recurring) in baseCurrency, like the charts use.
+const BalanceProjection = ({ currentBalance, getForecastsBetween, baseCurrency }) => {
+  const [horizon, setHorizon] = useState(30);
+  const [threshold, setThreshold] = useState(loadThreshold);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(THRESHOLD_STORAGE_KEY, threshold);
+    } catch (err) {
+      console.error("Error saving low balance threshold:", err);
+    }
+  }, [threshold]);
+
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + Number(horizon));
+  end.setHours(23, 59, 59, 999);
+  const thresholdMinor = parseMoney(threshold, baseCurrency, { allowNegative: true });
+  const thresholdValue = thresholdMinor === null ? null : fromMinor(thresholdMinor, baseCurrency);
+  const { series, breach, lowest, endBalance } = projectBalance(
+    currentBalance, getForecastsBetween(start, end), Number(horizon), thresholdValue, new Date(), baseCurrency
+  );
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Projected Balance</h2>
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div>
+          <label htmlFor="projectionHorizon" className="block text-sm font-medium text-gray-700 mb-1">Horizon</label>
+          <select
+            id="projectionHorizon"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={horizon}
+            onChange={(e) => setHorizon(e.target.value)}
+          >
+            {HORIZONS.map(days => (
+              <option key={days} value={days}>Next {days} days</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="lowBalanceThreshold" className="block text-sm font-medium text-gray-700 mb-1">Warn Below</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            id="lowBalanceThreshold"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            placeholder="e.g., 500"
+          />
+        </div>
+      </div>
+
+      {breach ? (
+        <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-300 text-sm text-red-800" role="alert">
+          {breach.causes.length === 0 ? (
+            <p>Your balance of {formatMoney(currentBalance, baseCurrency)} is already below {formatMoney(thresholdValue, baseCurrency)}.</p>
+          ) : (
+            <>
+              <p className="mb-1">
+                Your balance is projected to drop to {formatMoney(breach.balance, baseCurrency)} on {formatDate(breach.date)},
+                below {formatMoney(thresholdValue, baseCurrency)}, because of:
+              </p>
+              <ul className="list-disc list-inside">
+                {breach.causes.map(t => (
+                  <li key={t.id} className="capitalize">
+                    {t.category} {formatMoney(t.amount, baseCurrency)}{t.isRecurring ? ' (recurring)' : ''}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      ) : thresholdValue !== null && (
+        <p className="mb-4 text-sm text-green-700">
+          Your balance stays above {formatMoney(thresholdValue, baseCurrency)} for the next {horizon} days.
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 gap-4 text-center mb-4">
+        <div className="p-3 bg-gray-100 rounded-lg shadow-sm">
+          <p className="text-sm text-gray-700">Lowest</p>
+          <p className={`text-lg font-semibold ${lowest.balance >= 0 ? 'text-gray-800' : 'text-orange-800'}`}>{formatMoney(lowest.balance, baseCurrency)}</p>
+          <p className="text-xs text-gray-500">{formatDate(lowest.date)}</p>
+        </div>
+        <div className="p-3 bg-gray-100 rounded-lg shadow-sm">
+          <p className="text-sm text-gray-700">In {horizon} Days</p>
+          <p className={`text-lg font-semibold ${endBalance >= 0 ? 'text-gray-800' : 'text-orange-800'}`}>{formatMoney(endBalance, baseCurrency)}</p>
+        </div>
+      </div>
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={series}>
+            <CartesianGrid strokeDasharray="3 3" />
+            {/* Keyed by YYYY-MM-DD rather than a short label, which would repeat over a 365-day horizon */}
+            <XAxis dataKey="date" tickFormatter={formatDate} minTickGap={20} />
+            <YAxis />
+            <Tooltip labelFormatter={formatDate} formatter={(value) => formatMoney(value, baseCurrency)} />
+            <Line type="stepAfter" dataKey="balance" name="Projected" stroke="#8b5cf6" dot={false} />
+            {thresholdValue !== null && <ReferenceLine y={thresholdValue} stroke="#ef4444" strokeDasharray="5 5" />}
+            {breach && <ReferenceDot x={breach.date} y={breach.balance} r={5} fill="#ef4444" stroke="none" />}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default BalanceProjection;
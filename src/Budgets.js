@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { BUDGET_THRESHOLDS, DEFAULT_BUDGET_THRESHOLD } from './budgetProgress';
+import { normalizeCategory } from './categories';
+import { formatMoney } from './currency';
+import { parseMoney, fromMinor } from './money';
+
+const barColor = (status) => {
+  if (status === 'over') return 'bg-red-500';
+  if (status === 'warning') return 'bg-yellow-500';
+  return 'bg-green-500';
+};
+
+// Monthly category budgets with spent-vs-limit progress and threshold alerts. Limits are in the base currency.
+const Budgets = ({ store, readOnly, budgets, progress, monthLabel, baseCurrency, showCustomModal, setError }) => {
+  const [category, setCategory] = useState('');
+  const [limit, setLimit] = useState('');
+  const [alertThreshold, setAlertThreshold] = useState(DEFAULT_BUDGET_THRESHOLD);
+  const [saving, setSaving] = useState(false);
+
+
+  // Adding a budget for a category that already has one updates its limit instead
+  const handleSaveBudget = async () => {
+    if (!store) {
+      showCustomModal("Please log in to set budgets.");
+      return;
+    }
+    if (!category.trim()) {
+      showCustomModal("Please enter a category.");
+      return;
+    }
+    const limitMinor = parseMoney(limit, baseCurrency);
+    if (!limitMinor) {
+      showCustomModal("Please enter a valid positive monthly limit, like 1,234.56.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const budgetData = {
+        category: category.trim(),
+        limit: fromMinor(limitMinor, baseCurrency),
+        alertThreshold: Number(alertThreshold),
+      };
+      const existing = budgets.find(b => normalizeCategory(b.category) === normalizeCategory(category));
+      if (existing) {
+        await store.update('budgets', existing.id, budgetData);
+      } else {
+        await store.add('budgets', { ...budgetData, createdAt: store.timestamp() });
+      }
+      setCategory('');
+      setLimit('');
+      setAlertThreshold(DEFAULT_BUDGET_THRESHOLD);
+    } catch (err) {
+      console.error("Error saving budget:", err);
+      setError("Failed to save budget. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteBudget = (id) => {
+    showCustomModal("Are you sure you want to delete this budget?", async () => {
+      setError(null);
+      try {
+        await store.remove('budgets', id);
+      } catch (err) {
+        console.error("Error deleting budget:", err);
+        setError("Failed to delete budget. Please try again.");
+      }
+    });
+  };
+
+  const alerts = progress.filter(b => b.status !== 'ok' || b.projectedStatus !== 'ok');
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-1">Budgets</h2>
+      <p className="text-sm text-gray-500 mb-4">{monthLabel}</p>
+
+      {alerts.length > 0 && (
+        <div className="mb-4 p-3 rounded-lg bg-yellow-50 border border-yellow-300" role="alert">
+          {alerts.map(b => (
+            <p key={b.id} className={`text-sm ${b.status === 'over' ? 'text-red-700' : 'text-yellow-800'}`}>
+              <span className="font-medium capitalize">{b.category}</span>:{' '}
+              {b.status === 'over' && `over budget by ${formatMoney(b.spent - b.limit, baseCurrency)}`}
+              {b.status === 'warning' && `${Math.round(b.spentPercent)}% of budget used`}
+              {b.status === 'ok' && `forecast to reach ${Math.round(b.projectedPercent)}% of budget`}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {progress.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm mb-4">{readOnly ? 'No budgets yet.' : 'No budgets yet. Set a monthly limit for a category below.'}</p>
+      ) : (
+        <ul className="space-y-3 mb-4">
+          {progress.map(b => (
+            <li key={b.id}>
+              <div className="flex justify-between items-center text-sm mb-1">
+                <span className="font-medium text-gray-800 capitalize">{b.category}</span>
+                <span className="text-gray-600">
+                  {formatMoney(b.spent, baseCurrency)} of {formatMoney(b.limit, baseCurrency)}
+                  {b.projected > b.spent && (
+                    <span className="text-gray-400"> ({formatMoney(b.projected, baseCurrency)} projected)</span>
+                  )}
+                  {!readOnly && (
+                    <button
+                      onClick={() => handleDeleteBudget(b.id)}
+                      className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                      aria-label={`Delete ${b.category} budget`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </span>
+              </div>
+              {/* The lighter bar behind shows forecasted spending filling the rest of the month */}
+              <div className="relative h-3 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className={`absolute inset-y-0 left-0 opacity-30 ${barColor(b.projectedStatus)}`}
+                  style={{ width: `${Math.min(b.projectedPercent, 100)}%` }}
+                />
+                <div
+                  className={`absolute inset-y-0 left-0 ${barColor(b.status)}`}
+                  style={{ width: `${Math.min(b.spentPercent, 100)}%` }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Viewers of a shared workspace can see the budgets but not change them */}
+      {!readOnly && (
+        <>
+        <div className="grid grid-cols-3 gap-3 mb-3">
+          <div>
+            <label htmlFor="budgetCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+            <input
+              type="text"
+              id="budgetCategory"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              placeholder="e.g., Groceries"
+              list="category-options"
+              autoComplete="off"
+            />
+          </div>
+          <div>
+            <label htmlFor="budgetLimit" className="block text-sm font-medium text-gray-700 mb-1">Monthly Limit</label>
+            <input
+              type="text"
+              inputMode="decimal"
+              id="budgetLimit"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+              placeholder="e.g., 400.00"
+            />
+          </div>
+          <div>
+            <label htmlFor="budgetThreshold" className="block text-sm font-medium text-gray-700 mb-1">Alert At</label>
+            <select
+              id="budgetThreshold"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+              value={alertThreshold}
+              onChange={(e) => setAlertThreshold(e.target.value)}
+            >
+              {BUDGET_THRESHOLDS.map(t => (
+                <option key={t} value={t}>{t}%</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <button
+          onClick={handleSaveBudget}
+          className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Budget'}
+        </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { formatDate, toDateKey } from './dateUtils';
+import { canonicalCategoryName } from './categories';
+import { transactionsToCsv, downloadFile } from './exporters';
+import { recordTransactionChanges } from './transactionHistory';
+import { trashChanges, categoryChanges, statusChanges, dateChanges } from './bulkEdits';
+
+// Batch actions on the transactions selected in the list. Changes are written in batches with their history (see
+// transactionHistory.js) and can be undone from the toast. They show in the list at once and the selection is
+// cleared, while the server's acknowledgement is tracked with the other pending writes (trackWrite). If it turns
+// some down, those transactions are selected again so they can be tried again.
+// Viewers of a shared workspace can only export.
+const BulkActions = ({
+  store, userId, selected, readOnly, categories, onSelect, onDeselect, offerUndo, trackWrite, showCustomModal, setError,
+}) => {
+  const [category, setCategory] = useState('');
+  const [status, setStatus] = useState('actual');
+  const [date, setDate] = useState('');
+
+  const plural = (n) => `${n} transaction${n === 1 ? '' : 's'}`;
+
+  const runChanges = ({ changes, skipped }, done) => {
+    if (skipped.length > 0) {
+      showCustomModal(`${skipped.length} of the selected transactions were left as they are: transfers and split transactions keep their own categories.`);
+    }
+    if (changes.length === 0) {
+      if (skipped.length === 0) showCustomModal("The selected transactions already look like that. Nothing to change.");
+      return;
+    }
+    setError(null);
+    const write = recordTransactionChanges(store, userId, changes).catch((err) => {
+      onSelect((err.failed || changes).map(c => c.transaction.id));
+      throw err;
+    });
+    trackWrite(write, (err) => (err.written > 0
+      ? `${err.failed.length} of ${changes.length} changes weren't saved. Those transactions are selected again, so you can try again.`
+      : "Failed to update the selected transactions. They are selected again, so you can try again."), changes.length);
+    offerUndo(done(changes.length), changes);
+    onDeselect(selected.map(t => t.id));
+  };
+
+  const handleDelete = () => {
+    runChanges(trashChanges(selected, userId, store.timestamp()), n => `Moved ${plural(n)} to the trash.`);
+  };
+
+  const handleCategory = () => {
+    if (!category.trim()) {
+      showCustomModal("Please enter the category to give the selected transactions.");
+      return;
+    }
+    const name = canonicalCategoryName(category, categories);
+    runChanges(categoryChanges(selected, name), n => `Changed the category of ${plural(n)} to ${name}.`);
+    setCategory('');
+  };
+
+  const handleStatus = () => {
+    runChanges(statusChanges(selected, status, store.timestamp()),
+      n => `Marked ${plural(n)} as ${status === 'actual' ? 'actual' : 'forecasted'}.`);
+  };
+
+  const handleDate = () => {
+    if (!date) {
+      showCustomModal("Please pick the date to give the selected transactions.");
+      return;
+    }
+    runChanges(dateChanges(selected, date), n => `Moved ${plural(n)} to ${formatDate(date)}.`);
+  };
+
+  const handleExport = () => {
+    downloadFile(transactionsToCsv(selected), `transactions-selected-${toDateKey(new Date())}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm" role="region" aria-label="Selected transactions">
+      <div className="flex justify-between items-center mb-2">
+        <p className="font-medium text-blue-800">{plural(selected.length)} selected</p>
+        <button onClick={() => onDeselect(selected.map(t => t.id))} className="text-blue-600 hover:underline">
+          Clear Selection
+        </button>
+      </div>
+      {!readOnly && (
+        <>
+          <div className="flex items-center space-x-2 mb-2">
+            <input
+              type="text"
+              aria-label="New category"
+              className="flex-1 p-1 border border-gray-300 rounded-lg"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              placeholder="Category"
+              list="category-options"
+              autoComplete="off"
+            />
+            <button onClick={handleCategory} className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all">
+              Set Category
+            </button>
+          </div>
+          <div className="flex items-center space-x-2 mb-2">
+            <select
+              aria-label="New status"
+              className="flex-1 p-1 border border-gray-300 rounded-lg"
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+            >
+              <option value="actual">Actual (reconcile forecasts as forecast)</option>
+              <option value="forecasted">Forecasted</option>
+            </select>
+            <button onClick={handleStatus} className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all">
+              Set Status
+            </button>
+          </div>
+          <div className="flex items-center space-x-2 mb-2">
+            <input
+              type="date"
+              aria-label="New date"
+              className="flex-1 p-1 border border-gray-300 rounded-lg"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+            />
+            <button onClick={handleDate} className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all">
+              Set Date
+            </button>
+          </div>
+        </>
+      )}
+      <div className="flex space-x-2">
+        <button onClick={handleExport} className="flex-1 px-3 py-1 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all">
+          Export CSV
+        </button>
+        {!readOnly && (
+          <button onClick={handleDelete} className="flex-1 px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-all">
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkActions;
@@ -0,0 +1,264 @@
+import React, { useState } from 'react';
+import { CATEGORY_COLORS, CATEGORY_SCOPES, normalizeCategory, findCategory, canonicalCategoryName, collectCategoryNames } from './categories';
+import { isSplit, hasCategory } from './splits';
+
+// Managed category list plus a merge/rename tool that rewrites everything using the old name
+const CategoryManager = ({ store, categories, transactions, recurringRules, budgets, showCustomModal, setError, trackWrite }) => {
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('expense');
+  const [color, setColor] = useState(CATEGORY_COLORS[0]);
+  const [icon, setIcon] = useState('');
+  const [mergeFrom, setMergeFrom] = useState('');
+  const [mergeTo, setMergeTo] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const allNames = collectCategoryNames(categories, transactions);
+
+  const handleAddCategory = async () => {
+    if (!store) {
+      showCustomModal("Please log in to manage categories.");
+      return;
+    }
+    if (!name.trim()) {
+      showCustomModal("Please enter a category name.");
+      return;
+    }
+    if (findCategory(name, categories)) {
+      showCustomModal("A category with this name already exists.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await store.add('categories', {
+        name: name.trim(),
+        scope: scope,
+        color: color,
+        icon: icon.trim() || null,
+        createdAt: store.timestamp(),
+      });
+      setName('');
+      setIcon('');
+    } catch (err) {
+      console.error("Error adding category:", err);
+      setError("Failed to add category. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteCategory = (category) => {
+    showCustomModal(`Delete the "${category.name}" category? Existing transactions keep their category text.`, async () => {
+      setError(null);
+      try {
+        await store.remove('categories', category.id);
+      } catch (err) {
+        console.error("Error deleting category:", err);
+        setError("Failed to delete category. Please try again.");
+      }
+    });
+  };
+
+  // Renames mergeFrom to mergeTo everywhere. If mergeTo already exists this is a merge: the old category
+  // and any budget it had are removed in favour of the target's.
+  const runMerge = (from, to) => {
+    const fromKey = normalizeCategory(from);
+    const toKey = normalizeCategory(to);
+    const writes = [];
+
+    // Split transactions have the category on their lines instead
+    const renamed = (t) => (isSplit(t)
+      ? { splits: t.splits.map(s => (normalizeCategory(s.category) === fromKey ? { ...s, category: to } : s)) }
+      : { category: to });
+    transactions
+      .filter(t => hasCategory(t, from))
+      .forEach(t => writes.push({ type: 'update', name: 'transactions', id: t.id, data: renamed(t) }));
+    recurringRules
+      .filter(r => normalizeCategory(r.category) === fromKey)
+      .forEach(r => writes.push({ type: 'update', name: 'recurringRules', id: r.id, data: { category: to } }));
+
+    const targetBudget = budgets.find(b => normalizeCategory(b.category) === toKey);
+    budgets
+      .filter(b => normalizeCategory(b.category) === fromKey && b !== targetBudget)
+      .forEach(b => writes.push(targetBudget
+        ? { type: 'remove', name: 'budgets', id: b.id }
+        : { type: 'update', name: 'budgets', id: b.id, data: { category: to } }));
+
+    const targetCategory = findCategory(to, categories);
+    categories
+      .filter(c => normalizeCategory(c.name) === fromKey && c !== targetCategory)
+      .forEach(c => writes.push(targetCategory
+        ? { type: 'remove', name: 'categories', id: c.id }
+        : { type: 'update', name: 'categories', id: c.id, data: { name: to } }));
+
+    // Applied locally straight away; the server's acknowledgement is tracked like any other write
+    const write = store.batch(writes, (batch, write) => {
+      if (write.type === 'remove') {
+        batch.remove(write.name, write.id);
+      } else {
+        batch.update(write.name, write.id, write.data);
+      }
+    });
+    trackWrite(write, err => (err.written > 0
+      ? `${err.failed.length} of ${writes.length} updates weren't saved. Run the merge again to finish the rest.`
+      : "Failed to merge categories. Please try again."), writes.length);
+    setMergeFrom('');
+    setMergeTo('');
+  };
+
+  const handleMerge = () => {
+    if (!store) {
+      showCustomModal("Please log in to manage categories.");
+      return;
+    }
+    if (!mergeFrom || !mergeTo.trim()) {
+      showCustomModal("Please choose the category to rename and its new name.");
+      return;
+    }
+    const to = canonicalCategoryName(mergeTo, categories);
+    if (mergeFrom === to) {
+      showCustomModal("The new name is the same as the current one.");
+      return;
+    }
+    const affected = transactions.filter(t => hasCategory(t, mergeFrom)).length;
+    showCustomModal(
+      `Rename "${mergeFrom}" to "${to}"? ${affected} transaction${affected === 1 ? '' : 's'} will be updated.`,
+      () => runMerge(mergeFrom, to)
+    );
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner" role="region" aria-label="Categories">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Categories</h2>
+
+      {categories.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm mb-4">No managed categories yet.</p>
+      ) : (
+        <ul className="flex flex-wrap gap-2 mb-4">
+          {[...categories].sort((a, b) => a.name.localeCompare(b.name)).map(c => (
+            <li
+              key={c.id}
+              className="inline-flex items-center px-3 py-1 rounded-full text-sm text-white"
+              style={{ backgroundColor: c.color || CATEGORY_COLORS[CATEGORY_COLORS.length - 1] }}
+              title={CATEGORY_SCOPES.find(s => s.value === c.scope)?.label}
+            >
+              {c.icon && <span className="mr-1">{c.icon}</span>}
+              {c.name}
+              <button
+                onClick={() => handleDeleteCategory(c)}
+                className="ml-2 text-white opacity-75 hover:opacity-100"
+                aria-label={`Delete ${c.name} category`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        <div className="col-span-2">
+          <label htmlFor="categoryName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            type="text"
+            id="categoryName"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g., Groceries"
+          />
+        </div>
+        <div>
+          <label htmlFor="categoryIcon" className="block text-sm font-medium text-gray-700 mb-1">Icon</label>
+          <input
+            type="text"
+            id="categoryIcon"
+            maxLength={2}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={icon}
+            onChange={(e) => setIcon(e.target.value)}
+            placeholder="🛒"
+          />
+        </div>
+        <div>
+          <label htmlFor="categoryScope" className="block text-sm font-medium text-gray-700 mb-1">Used For</label>
+          <select
+            id="categoryScope"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+          >
+            {CATEGORY_SCOPES.map(s => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-span-2">
+          <span className="block text-sm font-medium text-gray-700 mb-1">Color</span>
+          <div className="flex space-x-2 pt-1">
+            {CATEGORY_COLORS.map(c => (
+              <button
+                key={c}
+                onClick={() => setColor(c)}
+                className={`h-6 w-6 rounded-full ${color === c ? 'ring-2 ring-offset-2 ring-gray-500' : ''}`}
+                style={{ backgroundColor: c }}
+                aria-label={`Color ${c}`}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+      <button
+        onClick={handleAddCategory}
+        className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 mb-6"
+        disabled={saving}
+      >
+        Add Category
+      </button>
+
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">Merge or Rename</h3>
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        <div>
+          <label htmlFor="mergeFrom" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+          <select
+            id="mergeFrom"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={mergeFrom}
+            onChange={(e) => setMergeFrom(e.target.value)}
+          >
+            <option value="">Choose...</option>
+            {allNames.map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="mergeTo" className="block text-sm font-medium text-gray-700 mb-1">Rename / Merge Into</label>
+          <input
+            type="text"
+            id="mergeTo"
+            list="merge-target-options"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={mergeTo}
+            onChange={(e) => setMergeTo(e.target.value)}
+          />
+          <datalist id="merge-target-options">
+            {categories.map(c => (
+              <option key={c.id} value={c.name} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+      <button
+        onClick={handleMerge}
+        className="w-full bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-800 transition-all"
+        disabled={saving}
+      >
+        Merge / Rename
+      </button>
+    </div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,335 @@
+import React, { useState } from 'react';
+import { canonicalCategoryName } from './categories';
+import { sortRules, describeRule, learnRules, previewRuleChanges } from './categorizationRules';
+import { formatDate } from './dateUtils';
+import { parseMoney, fromMinor } from './money';
+import { recordTransactionChanges } from './transactionHistory';
+
+// Auto-categorization rules: "if the payee or description contains X and/or the amount is in a range, file it under Z".
+// Rules suggest a category in the add form and are applied during import. They can also be learned from past
+// categorizations and re-run over existing transactions after previewing the changes, which go into each transaction's
+// history and can be undone. The amount range is entered in the base currency and compared with each transaction's own
+// amount.
+const CategoryRules = ({ store, userId, offerUndo, rules, transactions, categories, baseCurrency, showCustomModal, setError, trackWrite }) => {
+  const [match, setMatch] = useState('');
+  const [minAmount, setMinAmount] = useState('');
+  const [maxAmount, setMaxAmount] = useState('');
+  const [ruleCategory, setRuleCategory] = useState('');
+  const [ruleType, setRuleType] = useState(''); // Empty keeps the transaction's own type
+  const [saving, setSaving] = useState(false);
+  const [suggestions, setSuggestions] = useState(null); // Learned rules waiting for review
+  const [acceptedSuggestions, setAcceptedSuggestions] = useState({}); // suggestion index -> whether to save it
+  const [changes, setChanges] = useState(null); // Re-run preview waiting for review
+  const [acceptedChanges, setAcceptedChanges] = useState({}); // transaction ID -> whether to apply it
+
+
+  const handleAddRule = async () => {
+    if (!store) {
+      showCustomModal("Please log in to manage rules.");
+      return;
+    }
+    const hasMin = minAmount !== '';
+    const hasMax = maxAmount !== '';
+    if (!match.trim() && !hasMin && !hasMax) {
+      showCustomModal("Please enter text to look for or an amount range.");
+      return;
+    }
+    const minMinor = hasMin ? parseMoney(minAmount, baseCurrency) : null;
+    const maxMinor = hasMax ? parseMoney(maxAmount, baseCurrency) : null;
+    if ((hasMin && minMinor === null) || (hasMax && maxMinor === null)) {
+      showCustomModal("Please enter valid amounts for the range, like 1,234.56.");
+      return;
+    }
+    if (hasMin && hasMax && minMinor > maxMinor) {
+      showCustomModal("The minimum amount can't be more than the maximum.");
+      return;
+    }
+    if (!ruleCategory.trim()) {
+      showCustomModal("Please enter the category to apply.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await store.add('categoryRules', {
+        match: match.trim(),
+        minAmount: hasMin ? fromMinor(minMinor, baseCurrency) : null,
+        maxAmount: hasMax ? fromMinor(maxMinor, baseCurrency) : null,
+        category: canonicalCategoryName(ruleCategory, categories),
+        type: ruleType || null,
+        learned: false,
+        createdAt: store.timestamp(),
+      });
+      setMatch('');
+      setMinAmount('');
+      setMaxAmount('');
+      setRuleCategory('');
+      setRuleType('');
+    } catch (err) {
+      console.error("Error adding rule:", err);
+      setError("Failed to add rule. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRule = (rule) => {
+    showCustomModal(`Delete the rule filing ${describeRule(rule)} under "${rule.category}"?`, async () => {
+      setError(null);
+      try {
+        await store.remove('categoryRules', rule.id);
+      } catch (err) {
+        console.error("Error deleting rule:", err);
+        setError("Failed to delete rule. Please try again.");
+      }
+    });
+  };
+
+  const handleLearn = () => {
+    const learned = learnRules(transactions, rules);
+    if (learned.length === 0) {
+      showCustomModal("No new rules found. Rules are learned from payees and descriptions you've categorized the same way at least twice.");
+      return;
+    }
+    setChanges(null);
+    setSuggestions(learned);
+    setAcceptedSuggestions(Object.fromEntries(learned.map((s, index) => [index, true])));
+  };
+
+  const handleSaveSuggestions = () => {
+    const accepted = suggestions.filter((s, index) => acceptedSuggestions[index]);
+    if (accepted.length === 0) {
+      showCustomModal("No suggested rules are selected.");
+      return;
+    }
+
+    setError(null);
+    // Applied locally straight away; the server's acknowledgement is tracked like any other write
+    const write = store.batch(accepted, (batch, { basedOn, examples, ...rule }) => {
+      batch.set('categoryRules', store.newId('categoryRules'), { ...rule, createdAt: store.timestamp() });
+    });
+    trackWrite(write, "Failed to save rules. Please try again.", accepted.length);
+    setSuggestions(null);
+  };
+
+  const handlePreviewRerun = () => {
+    if (rules.length === 0) {
+      showCustomModal("Add a rule first.");
+      return;
+    }
+    const preview = previewRuleChanges(rules, transactions);
+    if (preview.length === 0) {
+      showCustomModal("Your transactions already match your rules. Nothing to change.");
+      return;
+    }
+    setSuggestions(null);
+    setChanges(preview);
+    setAcceptedChanges(Object.fromEntries(preview.map(c => [c.transaction.id, true])));
+  };
+
+  const handleApplyChanges = () => {
+    const accepted = changes.filter(c => acceptedChanges[c.transaction.id]);
+    if (accepted.length === 0) {
+      showCustomModal("No changes are selected.");
+      return;
+    }
+
+    setError(null);
+    const ruleChanges = accepted.map(c => ({ transaction: c.transaction, data: { category: c.category, type: c.type } }));
+    trackWrite(recordTransactionChanges(store, userId, ruleChanges), (err) => (err.written > 0
+      ? `${err.failed.length} of ${accepted.length} updates weren't saved. Preview again to finish the rest.`
+      : "Failed to apply the rules. Please try again."), accepted.length);
+    offerUndo(`Recategorized ${accepted.length} transaction${accepted.length === 1 ? '' : 's'}.`, ruleChanges);
+    setChanges(null);
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Categorization Rules</h2>
+
+      {rules.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm mb-4">No rules yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {sortRules(rules).map(rule => (
+            <li key={rule.id} className="flex justify-between items-center p-2 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+              <span className="text-gray-800">
+                {describeRule(rule)} → <span className="font-medium">{rule.category}</span>
+                {rule.type && <span className="text-gray-500"> ({rule.type === 'income' ? 'Income' : 'Expense'})</span>}
+                {rule.learned && <span className="ml-2 text-xs text-purple-600">Learned</span>}
+              </span>
+              <button
+                onClick={() => handleDeleteRule(rule)}
+                className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                aria-label={`Delete rule for ${rule.category}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        <div className="col-span-2">
+          <label htmlFor="ruleMatch" className="block text-sm font-medium text-gray-700 mb-1">Payee or Description Contains</label>
+          <input
+            type="text"
+            id="ruleMatch"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={match}
+            onChange={(e) => setMatch(e.target.value)}
+            placeholder="e.g., tesco"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleMinAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount From</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            id="ruleMinAmount"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={minAmount}
+            onChange={(e) => setMinAmount(e.target.value)}
+            placeholder="Any"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleMaxAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount To</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            id="ruleMaxAmount"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={maxAmount}
+            onChange={(e) => setMaxAmount(e.target.value)}
+            placeholder="Any"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleCategory" className="block text-sm font-medium text-gray-700 mb-1">Set Category</label>
+          <input
+            type="text"
+            id="ruleCategory"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={ruleCategory}
+            onChange={(e) => setRuleCategory(e.target.value)}
+            list="category-options"
+            autoComplete="off"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleType" className="block text-sm font-medium text-gray-700 mb-1">Set Type</label>
+          <select
+            id="ruleType"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={ruleType}
+            onChange={(e) => setRuleType(e.target.value)}
+          >
+            <option value="">Keep as is</option>
+            <option value="expense">Expense</option>
+            <option value="income">Income</option>
+          </select>
+        </div>
+      </div>
+      <button
+        onClick={handleAddRule}
+        className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 mb-3"
+        disabled={saving}
+      >
+        Add Rule
+      </button>
+      <div className="grid grid-cols-2 gap-3">
+        <button
+          onClick={handleLearn}
+          className="w-full bg-gray-200 text-gray-800 py-2 rounded-lg hover:bg-gray-300 transition-all"
+          disabled={saving}
+        >
+          Learn From History
+        </button>
+        <button
+          onClick={handlePreviewRerun}
+          className="w-full bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-800 transition-all"
+          disabled={saving}
+        >
+          Re-run on Existing
+        </button>
+      </div>
+
+      {suggestions && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-600 mb-2">Suggested from how you've categorized past transactions:</p>
+          <ul className="space-y-2 mb-3 max-h-64 overflow-y-auto">
+            {suggestions.map((s, index) => (
+              <li key={s.match} className="p-2 rounded-lg bg-white border border-gray-200 text-sm">
+                <label className="inline-flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={!!acceptedSuggestions[index]}
+                    onChange={(e) => setAcceptedSuggestions(prev => ({ ...prev, [index]: e.target.checked }))}
+                    className="form-checkbox text-blue-600"
+                  />
+                  <span className="ml-2 text-gray-800">
+                    {describeRule(s)} → <span className="font-medium">{s.category}</span>
+                  </span>
+                </label>
+                <p className="text-xs text-gray-500 ml-6">{s.basedOn} of {s.examples} matching transactions</p>
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => setSuggestions(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all" disabled={saving}>
+              Cancel
+            </button>
+            <button onClick={handleSaveSuggestions} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all" disabled={saving}>
+              Save Rules
+            </button>
+          </div>
+        </div>
+      )}
+
+      {changes && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-600 mb-2">
+            {changes.length} transaction{changes.length === 1 ? '' : 's'} would change. Uncheck any you want to keep as they are.
+          </p>
+          <ul className="space-y-2 mb-3 max-h-64 overflow-y-auto">
+            {changes.map(c => (
+              <li key={c.transaction.id} className="p-2 rounded-lg bg-white border border-gray-200 text-sm">
+                <label className="inline-flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={!!acceptedChanges[c.transaction.id]}
+                    onChange={(e) => setAcceptedChanges(prev => ({ ...prev, [c.transaction.id]: e.target.checked }))}
+                    className="form-checkbox text-blue-600"
+                  />
+                  <span className="ml-2 text-gray-700">{formatDate(c.transaction.date)}</span>
+                </label>
+                {(c.transaction.payee || c.transaction.description) && (
+                  <p className="text-xs text-gray-500 ml-6 truncate">{c.transaction.payee || c.transaction.description}</p>
+                )}
+                <p className="text-xs ml-6">
+                  <span className="text-gray-500 line-through">{c.transaction.category}</span>
+                  {' → '}
+                  <span className="font-medium text-gray-800">{c.category}</span>
+                  {c.type !== c.transaction.type && <span className="text-gray-500"> (now {c.type})</span>}
+                </p>
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => setChanges(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all" disabled={saving}>
+              Cancel
+            </button>
+            <button onClick={handleApplyChanges} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all" disabled={saving}>
+              Apply Changes
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryRules;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import useBudgetCollection from './useBudgetCollection';
+import { HISTORY_COLLECTION, HISTORY_ACTIONS, describeChanges } from './transactionHistory';
+import { memberLabel } from './workspaceRoles';
+
+const formatWhen = (timestamp) => (timestamp && timestamp.toDate ? timestamp.toDate().toLocaleString() : 'just now');
+
+// Who made a change: "you", or the member's email in a shared workspace. A personal budget (no members) only has
+// the user's own changes, including any made on this device before signing in.
+const whoLabel = (uid, userId, members) => (uid === userId || members.length === 0 ? 'you' : memberLabel(members, uid));
+
+// The history entries are only loaded while the list is open
+const HistoryEntries = ({ store, transaction, userId, members, accounts, goals, setError }) => {
+  const entries = useBudgetCollection(store, HISTORY_COLLECTION,
+    () => setError("Failed to load the change history. Please try again."),
+    { field: 'transactionId', value: transaction.id });
+
+  return (
+    <ul className="mt-1 space-y-1 border-l-2 border-gray-200 pl-2">
+      {entries.map(entry => (
+        <li key={entry.id}>
+          <p className="text-gray-600">
+            {HISTORY_ACTIONS[entry.action] || entry.action} by {whoLabel(entry.changedBy, userId, members)}, {formatWhen(entry.createdAt)}
+          </p>
+          {describeChanges(entry, transaction, { accounts, goals }).map(change => (
+            <p key={change.field} className="text-gray-500">
+              {change.label}: {change.from} → {change.to}
+            </p>
+          ))}
+        </li>
+      ))}
+      {transaction.createdBy && (
+        <li className="text-gray-600">
+          Added by {whoLabel(transaction.createdBy, userId, members)}, {formatWhen(transaction.createdAt)}
+        </li>
+      )}
+    </ul>
+  );
+};
+
+// Who changed which fields of a transaction and when, newest first, behind a toggle in the transaction list
+const ChangeHistory = (props) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="text-xs mt-1">
+      <button onClick={() => setOpen(!open)} className="text-blue-600 hover:underline">
+        {open ? 'Hide history' : 'Show history'}
+      </button>
+      {open && <HistoryEntries {...props} />}
+    </div>
+  );
+};
+
+export default ChangeHistory;
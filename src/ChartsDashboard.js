@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import {
+  ResponsiveContainer,
+  PieChart,
+  Pie,
+  Cell,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+import { toDateKey, parseDateInput } from './dateUtils';
+import { formatMoney } from './currency';
+import { spendingByCategory, spendingByTag, monthlyIncomeVsExpense, runningBalanceSeries } from './chartData';
+
+const RANGE_PRESETS = [
+  { value: 'last30', label: 'Last 30 Days' },
+  { value: 'last90', label: 'Last 3 Months' },
+  { value: 'ytd', label: 'Year to Date' },
+  { value: 'last365', label: 'Last 12 Months' },
+  { value: 'custom', label: 'Custom' },
+];
+
+const FORECAST_HORIZONS = [0, 30, 90];
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDateKey(date);
+};
+
+// Start and end (YYYY-MM-DD) for a preset
+const presetRange = (preset) => {
+  const today = toDateKey(new Date());
+  switch (preset) {
+    case 'last90':
+      return { start: daysAgo(90), end: today };
+    case 'ytd':
+      return { start: `${today.slice(0, 4)}-01-01`, end: today };
+    case 'last365':
+      return { start: daysAgo(365), end: today };
+    default:
+      return { start: daysAgo(30), end: today };
+  }
+};
+
+// Charts view: spending by category or tag, monthly income vs expenses, and a running balance that continues into forecasts.
+// getForecastsBetween(start, end) returns the forecasted transactions (stored and recurring) in that window.
+// All amounts arrive already converted to baseCurrency.
+const ChartsDashboard = ({ transactions, categories, startingBalance, baseCurrency, getForecastsBetween }) => {
+  const [preset, setPreset] = useState('last30');
+  const [customStart, setCustomStart] = useState(daysAgo(30));
+  const [customEnd, setCustomEnd] = useState(toDateKey(new Date()));
+  const [forecastDays, setForecastDays] = useState(30);
+  const [spendingDimension, setSpendingDimension] = useState('category'); // 'category' or 'tag'
+
+  const range = preset === 'custom' ? { start: customStart, end: customEnd } : presetRange(preset);
+  const start = parseDateInput(range.start);
+  const end = parseDateInput(range.end);
+  const validRange = start && end && start <= end;
+
+  let categoryData = [];
+  let monthlyData = [];
+  let balanceData = [];
+  if (validRange) {
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    // The balance line runs past the chosen range into the forecast horizon
+    const balanceEnd = new Date(Math.max(end.getTime(), Date.now()));
+    balanceEnd.setDate(balanceEnd.getDate() + Number(forecastDays));
+    balanceEnd.setHours(23, 59, 59, 999);
+
+    categoryData = spendingDimension === 'tag'
+      ? spendingByTag(transactions, start, end)
+      : spendingByCategory(transactions, categories, start, end);
+    monthlyData = monthlyIncomeVsExpense(transactions, start, end);
+    balanceData = runningBalanceSeries(transactions, getForecastsBetween(start, balanceEnd), start, balanceEnd, new Date(), startingBalance, baseCurrency);
+  }
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Charts</h2>
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div>
+          <label htmlFor="chartRange" className="block text-sm font-medium text-gray-700 mb-1">Date Range</label>
+          <select
+            id="chartRange"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={preset}
+            onChange={(e) => setPreset(e.target.value)}
+          >
+            {RANGE_PRESETS.map(p => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="chartForecast" className="block text-sm font-medium text-gray-700 mb-1">Project Balance</label>
+          <select
+            id="chartForecast"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={forecastDays}
+            onChange={(e) => setForecastDays(e.target.value)}
+          >
+            {FORECAST_HORIZONS.map(days => (
+              <option key={days} value={days}>{days === 0 ? 'No projection' : `Next ${days} days`}</option>
+            ))}
+          </select>
+        </div>
+        {preset === 'custom' && (
+          <>
+            <div>
+              <label htmlFor="chartStart" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                id="chartStart"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={customStart}
+                onChange={(e) => setCustomStart(e.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor="chartEnd" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                id="chartEnd"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={customEnd}
+                onChange={(e) => setCustomEnd(e.target.value)}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      {!validRange ? (
+        <p className="text-red-600 text-center text-sm">Please choose a start date on or before the end date.</p>
+      ) : (
+        <>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">Spending by {spendingDimension === 'tag' ? 'Tag' : 'Category'}</h3>
+            <select
+              aria-label="Group spending by"
+              className="p-1 border border-gray-300 rounded-lg text-sm"
+              value={spendingDimension}
+              onChange={(e) => setSpendingDimension(e.target.value)}
+            >
+              <option value="category">Category</option>
+              <option value="tag">Tag</option>
+            </select>
+          </div>
+          {spendingDimension === 'tag' && categoryData.length > 0 && (
+            <p className="text-xs text-gray-500 mb-2">Transactions with several tags count toward each of them.</p>
+          )}
+          {categoryData.length === 0 ? (
+            <p className="text-gray-500 text-center text-sm mb-4">
+              {spendingDimension === 'tag' ? 'No tagged expenses in this range.' : 'No expenses in this range.'}
+            </p>
+          ) : (
+            <div className="h-64 mb-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie data={categoryData} dataKey="value" nameKey="name" innerRadius="50%" outerRadius="80%">
+                    {categoryData.map(entry => (
+                      <Cell key={entry.name} fill={entry.color} />
+                    ))}
+                  </Pie>
+                  <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
+                  <Legend />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <h3 className="text-lg font-semibold text-gray-700 mb-2">Income vs Expenses by Month</h3>
+          <div className="h-64 mb-4">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={monthlyData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis />
+                <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
+                <Legend />
+                <Bar dataKey="income" name="Income" fill="#10b981" />
+                <Bar dataKey="expenses" name="Expenses" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <h3 className="text-lg font-semibold text-gray-700 mb-2">Running Balance</h3>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={balanceData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" minTickGap={20} />
+                <YAxis />
+                <Tooltip formatter={(value) => formatMoney(value, baseCurrency)} />
+                <Legend />
+                <Line type="monotone" dataKey="actual" name="Actual" stroke="#3b82f6" dot={false} connectNulls={false} />
+                {/* Forecasted segment is dashed so it reads as a projection */}
+                <Line
+                  type="monotone"
+                  dataKey="projected"
+                  name="Projected"
+                  stroke="#8b5cf6"
+                  strokeDasharray="5 5"
+                  dot={false}
+                  connectNulls={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChartsDashboard;
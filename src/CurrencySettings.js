@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { changeBaseCurrency, knownCurrencies, isCurrencyCode, parseExchangeRates, formatMoney } from './currency';
+
+// Base currency picker and the hand-edited exchange rate table. Rates live on this device only.
+// settings is { baseCurrency, rates }; missingCurrencies lists codes in use that have no rate yet.
+const CurrencySettings = ({ settings, onChange, missingCurrencies, showCustomModal }) => {
+  const [newCode, setNewCode] = useState('');
+  const [newRate, setNewRate] = useState('');
+
+  const handleBaseChange = (baseCurrency) => {
+    const updated = changeBaseCurrency(settings, baseCurrency);
+    if (!updated) {
+      showCustomModal(`Please add an exchange rate for ${baseCurrency} before making it the base currency.`);
+      return;
+    }
+    onChange(updated);
+  };
+
+  const handleRateChange = (code, value) => {
+    onChange({ ...settings, rates: { ...settings.rates, [code]: value === '' ? '' : parseFloat(value) } });
+  };
+
+  const handleRemoveRate = (code) => {
+    const { [code]: removed, ...rates } = settings.rates;
+    onChange({ ...settings, rates });
+  };
+
+  const handleAddRate = () => {
+    const code = newCode.trim().toUpperCase();
+    if (!isCurrencyCode(code)) {
+      showCustomModal("Please enter a three-letter ISO currency code, e.g. EUR.");
+      return;
+    }
+    if (code === settings.baseCurrency) {
+      showCustomModal(`${code} is already the base currency.`);
+      return;
+    }
+    if (!newRate || isNaN(newRate) || parseFloat(newRate) <= 0) {
+      showCustomModal("Please enter a valid positive exchange rate.");
+      return;
+    }
+    onChange({ ...settings, rates: { ...settings.rates, [code]: parseFloat(newRate) } });
+    setNewCode('');
+    setNewRate('');
+  };
+
+  const handleImportRates = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseExchangeRates(String(reader.result), settings);
+        onChange({ ...settings, rates: { ...settings.rates, ...imported } });
+        showCustomModal(`Imported ${Object.keys(imported).length} exchange rates from ${file.name}.`);
+      } catch (err) {
+        console.error("Error importing exchange rates:", err);
+        showCustomModal(err instanceof SyntaxError ? "That file isn't valid JSON or CSV." : err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const rateCodes = Object.keys(settings.rates).sort();
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-1">Currencies</h2>
+      <p className="text-sm text-gray-500 mb-4">Summaries are converted to the base currency. Exchange rates are stored on this device only.</p>
+
+      {missingCurrencies.length > 0 && (
+        <div className="mb-4 p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-sm text-yellow-800" role="alert">
+          No exchange rate for {missingCurrencies.join(', ')}. Those transactions are left out of totals until you add one.
+        </div>
+      )}
+
+      <div className="mb-4">
+        <label htmlFor="baseCurrency" className="block text-sm font-medium text-gray-700 mb-1">Base Currency</label>
+        <select
+          id="baseCurrency"
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+          value={settings.baseCurrency}
+          onChange={(e) => handleBaseChange(e.target.value)}
+        >
+          {knownCurrencies(settings).map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+      </div>
+
+      {rateCodes.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {rateCodes.map(code => (
+            <li key={code} className="flex items-center text-sm">
+              <span className="w-32 text-gray-600">{formatMoney(1, settings.baseCurrency)} =</span>
+              <input
+                type="number"
+                aria-label={`${code} exchange rate`}
+                className="flex-1 p-1 border border-gray-300 rounded-lg"
+                value={settings.rates[code]}
+                onChange={(e) => handleRateChange(code, e.target.value)}
+              />
+              <span className="ml-2 w-10 font-medium text-gray-800">{code}</span>
+              <button
+                onClick={() => handleRemoveRate(code)}
+                className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${code} exchange rate`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        <div>
+          <label htmlFor="rateCode" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+          <input
+            type="text"
+            id="rateCode"
+            maxLength={3}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all uppercase"
+            value={newCode}
+            onChange={(e) => setNewCode(e.target.value)}
+            placeholder="e.g., EUR"
+          />
+        </div>
+        <div>
+          <label htmlFor="rateValue" className="block text-sm font-medium text-gray-700 mb-1">Per 1 {settings.baseCurrency}</label>
+          <input
+            type="number"
+            id="rateValue"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={newRate}
+            onChange={(e) => setNewRate(e.target.value)}
+            placeholder="e.g., 0.92"
+          />
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={handleAddRate}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all"
+          >
+            Add Rate
+          </button>
+        </div>
+      </div>
+      <label htmlFor="ratesFile" className="block text-sm font-medium text-gray-700 mb-1">Import rates (JSON or CSV)</label>
+      <input
+        type="file"
+        id="ratesFile"
+        accept=".json,.csv,application/json,text/csv"
+        className="w-full text-sm text-gray-700"
+        onChange={handleImportRates}
+      />
+    </div>
+  );
+};
+
+export default CurrencySettings;
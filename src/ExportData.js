@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { toDateKey } from './dateUtils';
+import { transactionsToCsv, createJsonBackup, downloadFile, buildMonthlyReportHtml } from './exporters';
+
+// Export buttons: CSV for spreadsheets, JSON for backups, and a printable monthly report.
+// transactions are exported as stored; the report totals use reportTransactions, converted to the base currency.
+const ExportData = ({ transactions, reportTransactions, summary, showCustomModal }) => {
+  const [reportMonth, setReportMonth] = useState(toDateKey(new Date()).slice(0, 7)); // YYYY-MM
+
+  const today = toDateKey(new Date());
+
+  const handleExportCsv = () => {
+    downloadFile(transactionsToCsv(transactions), `transactions-${today}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const handleExportJson = () => {
+    downloadFile(createJsonBackup(transactions), `budget-backup-${today}.json`, 'application/json');
+  };
+
+  const handlePrintReport = () => {
+    if (!reportMonth) {
+      showCustomModal("Please choose a month for the report.");
+      return;
+    }
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+      showCustomModal("The report window was blocked. Please allow pop-ups for this site and try again.");
+      return;
+    }
+    reportWindow.document.write(buildMonthlyReportHtml(reportTransactions, reportMonth, summary));
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Export</h2>
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <button
+          onClick={handleExportCsv}
+          className="bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-800 transition-all disabled:opacity-50"
+          disabled={transactions.length === 0}
+        >
+          Export CSV
+        </button>
+        <button
+          onClick={handleExportJson}
+          className="bg-gray-700 text-white py-2 rounded-lg hover:bg-gray-800 transition-all disabled:opacity-50"
+          disabled={transactions.length === 0}
+        >
+          Export JSON Backup
+        </button>
+      </div>
+      <label htmlFor="reportMonth" className="block text-sm font-medium text-gray-700 mb-1">Monthly Report</label>
+      <div className="flex space-x-3">
+        <input
+          type="month"
+          id="reportMonth"
+          className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+          value={reportMonth}
+          onChange={(e) => setReportMonth(e.target.value)}
+        />
+        <button
+          onClick={handlePrintReport}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all"
+        >
+          Print / Save PDF
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportData;
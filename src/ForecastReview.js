@@ -0,0 +1,94 @@
+import React from 'react';
+import { formatDate } from './dateUtils';
+import { currencyOf, formatMoney } from './currency';
+import { amountMinorOf, fromMinor, sumMoney } from './money';
+
+// Actual minus forecast for a reconciled transaction, in minor units
+const varianceMinor = (t) => amountMinorOf(t) - amountMinorOf(t, 'forecastAmount');
+
+// Overdue forecasts waiting to be reconciled, plus a forecast-vs-actual variance report.
+// Overdue forecasts keep their own currency; reconciledTransactions are already converted to baseCurrency.
+// onReconcile is null for viewers of a shared workspace, who can see overdue forecasts but not reconcile them.
+const ForecastReview = ({ overdueForecasts, reconciledTransactions, baseCurrency, onReconcile }) => {
+  const totalForecast = sumMoney(reconciledTransactions, t => amountMinorOf(t, 'forecastAmount'));
+  const totalActual = sumMoney(reconciledTransactions);
+  const totalVariance = sumMoney(reconciledTransactions, varianceMinor);
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner bg-yellow-50">
+      <h2 className="text-xl font-semibold text-yellow-800 mb-4 text-center">Overdue Forecasts</h2>
+      {overdueForecasts.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm mb-4">Nothing overdue. All past forecasts are reconciled.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {overdueForecasts.map(t => (
+            <li key={t.id} className="flex justify-between items-center p-3 rounded-lg bg-white border border-yellow-200">
+              <div>
+                <p className="font-medium text-gray-800 capitalize">
+                  {t.category}
+                  {t.isRecurring && <span className="text-xs text-purple-600 ml-2">(Recurring)</span>}
+                </p>
+                <p className="text-xs text-gray-500">Expected {formatDate(t.date)}</p>
+              </div>
+              <div className="flex items-center">
+                <span className={`font-semibold ${
+                  t.type === 'income' ? 'text-green-600' : t.type === 'transfer' ? 'text-blue-600' : 'text-red-600'
+                }`}>
+                  {t.type === 'income' ? '+' : t.type === 'transfer' ? '' : '-'}{formatMoney(Math.abs(t.amount || 0), currencyOf(t))}
+                </span>
+                {onReconcile && (
+                  <button
+                    onClick={() => onReconcile(t)}
+                    className="ml-3 px-2 py-1 text-xs bg-yellow-200 text-yellow-900 rounded-lg hover:bg-yellow-300 transition-all"
+                  >
+                    {t.type === 'income' ? 'Mark Received' : 'Mark Paid'}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className="text-lg font-semibold text-yellow-800 mb-2 text-center">Forecast vs Actual</h3>
+      {reconciledTransactions.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm">No reconciled forecasts yet.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-center mb-3">
+            <div className="p-2 bg-purple-100 rounded-lg shadow-sm">
+              <p className="text-xs text-purple-700">Forecast</p>
+              <p className="font-semibold text-purple-800">{formatMoney(totalForecast, baseCurrency)}</p>
+            </div>
+            <div className="p-2 bg-blue-100 rounded-lg shadow-sm">
+              <p className="text-xs text-blue-700">Actual</p>
+              <p className="font-semibold text-blue-800">{formatMoney(totalActual, baseCurrency)}</p>
+            </div>
+            <div className="p-2 bg-gray-100 rounded-lg shadow-sm">
+              <p className="text-xs text-gray-700">Variance</p>
+              <p className="font-semibold text-gray-800">{totalVariance >= 0 ? '+' : '-'}{formatMoney(Math.abs(totalVariance), baseCurrency)}</p>
+            </div>
+          </div>
+          <ul className="space-y-1 text-sm">
+            {reconciledTransactions.map(t => {
+              const variance = fromMinor(varianceMinor(t), baseCurrency);
+              // Spending more than forecast or earning less is unfavourable
+              const favourable = t.type === 'income' ? variance >= 0 : variance <= 0;
+              return (
+                <li key={t.id} className="flex justify-between">
+                  <span className="text-gray-700 capitalize">{t.category} <span className="text-xs text-gray-500">({formatDate(t.date)})</span></span>
+                  <span className={favourable ? 'text-green-700' : 'text-orange-700'}>
+                    {formatMoney(t.forecastAmount, baseCurrency)} → {formatMoney(t.amount, baseCurrency)}
+                    {' '}({variance >= 0 ? '+' : '-'}{formatMoney(Math.abs(variance), baseCurrency)})
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ForecastReview;
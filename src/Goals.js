@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { formatDate, toDateKey } from './dateUtils';
+import { formatMoney } from './currency';
+import { parseMoney, fromMinor } from './money';
+
+const projectionText = (g) => {
+  if (g.projectionBasis === 'reached') return 'Goal reached!';
+  if (!g.projectedDate) return 'Link a transaction or forecast to this goal to see when you will reach it.';
+  const date = formatDate(g.projectedDate);
+  if (g.projectionBasis === 'scheduled') return `Projected ${date} from your scheduled contributions`;
+  if (g.projectionBasis === 'history') return `Projected ${date} at your recent pace`;
+  return `Projected ${date} if your forecasted surplus goes to this goal`;
+};
+
+// Savings goals with progress, the monthly contribution needed to hit the target date and a projected completion
+// date. Contributions are transactions linked to a goal from the transaction form. Amounts are in the base currency.
+const Goals = ({ store, readOnly, progress, baseCurrency, showCustomModal, setError }) => {
+  const [name, setName] = useState('');
+  const [targetAmount, setTargetAmount] = useState('');
+  const [targetDate, setTargetDate] = useState('');
+  const [saving, setSaving] = useState(false);
+
+
+  const handleAddGoal = async () => {
+    if (!store) {
+      showCustomModal("Please log in to add savings goals.");
+      return;
+    }
+    if (!name.trim()) {
+      showCustomModal("Please enter a name for the goal.");
+      return;
+    }
+    const targetMinor = parseMoney(targetAmount, baseCurrency);
+    if (!targetMinor) {
+      showCustomModal("Please enter a valid positive target amount, like 1,234.56.");
+      return;
+    }
+    if (!targetDate || targetDate <= toDateKey(new Date())) {
+      showCustomModal("Please pick a target date in the future.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await store.add('goals', {
+        name: name.trim(),
+        targetAmount: fromMinor(targetMinor, baseCurrency),
+        targetDate: targetDate, // YYYY-MM-DD in the user's local calendar, like recurring rule dates
+        createdAt: store.timestamp(),
+      });
+      setName('');
+      setTargetAmount('');
+      setTargetDate('');
+    } catch (err) {
+      console.error("Error adding goal:", err);
+      setError("Failed to add goal. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteGoal = (goal) => {
+    showCustomModal(`Delete the goal "${goal.name}"? Its contributions stay in your transactions.`, async () => {
+      setError(null);
+      try {
+        await store.remove('goals', goal.id);
+      } catch (err) {
+        console.error("Error deleting goal:", err);
+        setError("Failed to delete goal. Please try again.");
+      }
+    });
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Savings Goals</h2>
+
+      {progress.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm mb-4">
+          {readOnly ? 'No savings goals yet.' : 'No savings goals yet. Add one below, then link transactions to it.'}
+        </p>
+      ) : (
+        <ul className="space-y-4 mb-4">
+          {progress.map(g => (
+            <li key={g.id}>
+              <div className="flex justify-between items-center text-sm mb-1">
+                <span className="font-medium text-gray-800">{g.name}</span>
+                <span className="text-gray-600">
+                  {formatMoney(g.saved, baseCurrency)} of {formatMoney(g.targetAmount, baseCurrency)}
+                  {!readOnly && (
+                    <button
+                      onClick={() => handleDeleteGoal(g)}
+                      className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                      aria-label={`Delete ${g.name} goal`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </span>
+              </div>
+              <div className="h-3 bg-gray-200 rounded-full overflow-hidden mb-1">
+                <div className="h-full bg-teal-500" style={{ width: `${g.percent}%` }} />
+              </div>
+              <p className="text-xs text-gray-500">
+                Target {formatDate(g.targetDate)}
+                {g.remaining > 0 && !g.overdue && ` · needs ${formatMoney(g.requiredMonthly, baseCurrency)}/month`}
+                {g.averageMonthly > 0 && ` · saving ${formatMoney(g.averageMonthly, baseCurrency)}/month lately`}
+              </p>
+              <p className={`text-xs ${g.overdue || g.onTrack === false ? 'text-orange-700' : 'text-teal-700'}`}>
+                {g.overdue ? `Target date passed with ${formatMoney(g.remaining, baseCurrency)} still to go` : projectionText(g)}
+                {!g.overdue && g.onTrack === false && ' (after the target date)'}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!readOnly && (
+        <>
+          <div className="grid grid-cols-3 gap-3 mb-3">
+            <div>
+              <label htmlFor="goalName" className="block text-sm font-medium text-gray-700 mb-1">Goal</label>
+              <input
+                type="text"
+                id="goalName"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g., Vacation"
+              />
+            </div>
+            <div>
+              <label htmlFor="goalTarget" className="block text-sm font-medium text-gray-700 mb-1">Target</label>
+              <input
+                type="text"
+                inputMode="decimal"
+                id="goalTarget"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={targetAmount}
+                onChange={(e) => setTargetAmount(e.target.value)}
+                placeholder="e.g., 3000.00"
+              />
+            </div>
+            <div>
+              <label htmlFor="goalDate" className="block text-sm font-medium text-gray-700 mb-1">By</label>
+              <input
+                type="date"
+                id="goalDate"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={targetDate}
+                onChange={(e) => setTargetDate(e.target.value)}
+              />
+            </div>
+          </div>
+          <button
+            onClick={handleAddGoal}
+            className="w-full bg-teal-600 text-white py-2 rounded-lg hover:bg-teal-700 transition-all focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-offset-2"
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Add Goal'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Goals;
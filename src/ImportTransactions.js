@@ -0,0 +1,394 @@
+import React, { useState } from 'react';
+import { Timestamp } from 'firebase/firestore';
+import { formatDate } from './dateUtils';
+import {
+  CSV_DATE_FORMATS,
+  CSV_DECIMAL_SEPARATORS,
+  parseCsv,
+  guessDecimalSeparator,
+  mapCsvRows,
+  parseOfx,
+  findDuplicate,
+} from './importers';
+import { parseJsonBackup } from './exporters';
+import { currencyOf, formatMoney } from './currency';
+import { moneyFields } from './money';
+import { categorizeByRules } from './categorizationRules';
+
+const MAPPED_FIELDS = [
+  { field: 'date', label: 'Date', required: true },
+  { field: 'amount', label: 'Amount', required: true },
+  { field: 'category', label: 'Category' },
+  { field: 'payee', label: 'Payee' },
+  { field: 'description', label: 'Description' },
+  { field: 'type', label: 'Type (Debit/Credit)' },
+];
+
+// Guesses the column for each field from the CSV header row
+const guessMapping = (header) => {
+  const find = (pattern) => {
+    const index = header.findIndex(h => pattern.test(h));
+    return index === -1 ? '' : String(index);
+  };
+  return {
+    date: find(/date/i),
+    amount: find(/amount|value|sum/i),
+    category: find(/category/i),
+    payee: find(/payee|merchant/i),
+    description: find(/description|name|memo/i),
+    type: find(/^type$|debit.?credit/i),
+  };
+};
+
+// Bank statement import: pick a CSV or OFX/QFX file, map CSV columns, preview, then batch-write the accepted rows.
+// They show in the list at once, while the server's acknowledgement is tracked with the other pending writes.
+const ImportTransactions = ({
+  store, userId, transactions, accounts, rules, baseCurrency, trackWrite, showCustomModal, setError,
+}) => {
+  const [step, setStep] = useState('select'); // 'select', 'map' (CSV only) or 'preview'
+  const [fileName, setFileName] = useState('');
+  const [csvRows, setCsvRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({ date: '', amount: '', category: '', payee: '', description: '', type: '' });
+  const [dateFormat, setDateFormat] = useState(CSV_DATE_FORMATS[0]);
+  const [decimalSeparator, setDecimalSeparator] = useState('.');
+  const [defaultCategory, setDefaultCategory] = useState('Uncategorized');
+  const [accountId, setAccountId] = useState(''); // A statement comes from one account, so every row goes there
+  const [candidates, setCandidates] = useState([]);
+  const [included, setIncluded] = useState({}); // candidate key -> whether it will be imported
+
+  const resetImport = () => {
+    setStep('select');
+    setFileName('');
+    setCsvRows([]);
+    setCandidates([]);
+    setIncluded({});
+  };
+
+  // Categorization rules fill in rows that came without a category of their own (backups are restored as they were).
+  // Rows with errors or a likely duplicate start out unchecked.
+  const showPreview = (parsed) => {
+    const fallbackCategory = defaultCategory.trim() || 'Uncategorized';
+    const categorized = parsed.map(c => {
+      if (c.restoreData || (c.category && c.category !== fallbackCategory)) return c;
+      const result = categorizeByRules(rules, c);
+      return result ? { ...c, category: result.category, type: result.type, ruleApplied: true } : c;
+    });
+    const initiallyIncluded = {};
+    categorized.forEach(c => {
+      initiallyIncluded[c.key] = c.errors.length === 0 && !findDuplicate(c, transactions);
+    });
+    setCandidates(categorized);
+    setIncluded(initiallyIncluded);
+    setStep('preview');
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      if (/\.json$/i.test(file.name)) {
+        // JSON backups restore every stored field, keeping the original IDs so restoring twice doesn't duplicate
+        const restored = parseJsonBackup(text).map(({ id, data }, index) => ({
+          key: `json-${index}`,
+          restoreId: id,
+          restoreData: data,
+          date: data.date ? data.date.toDate() : null,
+          amount: data.amount,
+          type: data.type,
+          category: data.category || '',
+          payee: data.payee || '',
+          description: data.description || (data.status === 'forecasted' ? 'Forecast' : ''),
+          errors: data.date && data.amount > 0 ? [] : ['Invalid transaction'],
+        }));
+        if (restored.length === 0) {
+          showCustomModal("This backup contains no transactions.");
+          return;
+        }
+        showPreview(restored);
+      } else if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+        const parsed = parseOfx(text, { defaultCategory: defaultCategory.trim() || 'Uncategorized', currency: importCurrency });
+        if (parsed.length === 0) {
+          showCustomModal("No transactions were found in this OFX/QFX file.");
+          return;
+        }
+        showPreview(parsed);
+      } else {
+        const rows = parseCsv(text);
+        if (rows.length === 0) {
+          showCustomModal("This CSV file is empty.");
+          return;
+        }
+        const guessed = guessMapping(rows[0]);
+        setCsvRows(rows);
+        setMapping(guessed);
+        setDecimalSeparator(guessDecimalSeparator(rows.slice(1), guessed.amount));
+        setStep('map');
+      }
+    } catch (err) {
+      console.error("Error reading import file:", err);
+      showCustomModal("Could not read this file. Please check it is a CSV, OFX or QFX export, or a JSON backup.");
+    }
+  };
+
+  const handleMappingPreview = () => {
+    if (mapping.date === '' || mapping.amount === '') {
+      showCustomModal("Please choose the date and amount columns.");
+      return;
+    }
+    showPreview(mapCsvRows(csvRows, {
+      mapping,
+      dateFormat,
+      decimalSeparator,
+      currency: importCurrency,
+      hasHeader,
+      defaultCategory: defaultCategory.trim() || 'Uncategorized',
+    }));
+  };
+
+  const handleCandidateCategoryChange = (key, value) => {
+    setCandidates(prev => prev.map(c => (c.key === key ? { ...c, category: value, ruleApplied: false } : c)));
+  };
+
+  const importAccount = accounts.find(a => a.id === accountId);
+  // Statement amounts are in the account's currency; without an account they are taken to be in the base currency
+  const importCurrency = importAccount ? currencyOf(importAccount) : baseCurrency;
+
+  const handleImport = () => {
+    if (!store) {
+      showCustomModal("Please log in to import transactions.");
+      return;
+    }
+    const accepted = candidates.filter(c => included[c.key] && c.errors.length === 0);
+    if (accepted.length === 0) {
+      showCustomModal("No rows are selected for import.");
+      return;
+    }
+    if (accepted.some(c => !c.category.trim())) {
+      showCustomModal("Please enter a category for every selected row.");
+      return;
+    }
+
+    setError(null);
+    // Rows the server turns down can be imported again from the same file, where the saved ones show as duplicates
+    const write = store.batch(accepted, (batch, c) => {
+      if (c.restoreData) {
+        // A restored document that no longer exists is re-created by the current user; one that still exists
+        // keeps whoever originally added it
+        const existing = transactions.find(t => t.id === c.restoreId);
+        batch.set('transactions', c.restoreId, {
+          ...c.restoreData,
+          category: c.category.trim(),
+          createdBy: existing && existing.createdBy ? existing.createdBy : userId,
+        });
+        return;
+      }
+      batch.set('transactions', store.newId('transactions'), {
+        ...moneyFields(c.amountMinor, importCurrency),
+        category: c.category.trim(),
+        type: c.type,
+        payee: c.payee || null,
+        description: c.description || null,
+        status: 'actual', // Statement rows are money that has already moved
+        accountId: accountId || null,
+        currency: importCurrency,
+        date: Timestamp.fromDate(c.date),
+        createdBy: userId,
+        createdAt: store.timestamp(),
+    });
+    });
+    trackWrite(write, (err) => (err.written > 0
+      ? `${err.failed.length} of ${accepted.length} transactions from ${fileName} weren't imported. Import the file again to add them; the ones already imported show as possible duplicates.`
+      : `Failed to import the transactions from ${fileName}. Please try again.`), accepted.length);
+    showCustomModal(`Imported ${accepted.length} transaction${accepted.length === 1 ? '' : 's'} from ${fileName}.`);
+    resetImport();
+  };
+
+  const header = csvRows[0] || [];
+  const columnOptions = header.map((h, index) => ({
+    value: String(index),
+    label: hasHeader && h ? h : `Column ${index + 1}`,
+  }));
+  const selectedCount = candidates.filter(c => included[c.key] && c.errors.length === 0).length;
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Import Bank Statement</h2>
+
+      {step === 'select' && (
+        <>
+          <div className="mb-3">
+            <label htmlFor="importDefaultCategory" className="block text-sm font-medium text-gray-700 mb-1">Default Category</label>
+            <input
+              type="text"
+              id="importDefaultCategory"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+              value={defaultCategory}
+              onChange={(e) => setDefaultCategory(e.target.value)}
+            />
+          </div>
+          {accounts.length > 0 && (
+            <div className="mb-3">
+              <label htmlFor="importAccount" className="block text-sm font-medium text-gray-700 mb-1">Account</label>
+              <select
+                id="importAccount"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={accountId}
+                onChange={(e) => setAccountId(e.target.value)}
+              >
+                <option value="">No account</option>
+                {accounts.map(a => (
+                  <option key={a.id} value={a.id}>{a.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <label htmlFor="importFile" className="block text-sm font-medium text-gray-700 mb-1">CSV, OFX or QFX file, or a JSON backup</label>
+          <input
+            type="file"
+            id="importFile"
+            accept=".csv,.ofx,.qfx,.json,text/csv,application/json"
+            className="w-full text-sm text-gray-700"
+            onChange={handleFileSelected}
+          />
+        </>
+      )}
+
+      {step === 'map' && (
+        <>
+          <p className="text-sm text-gray-600 mb-3">Match the columns in <span className="font-medium">{fileName}</span>:</p>
+          <label className="inline-flex items-center mb-3">
+            <input
+              type="checkbox"
+              checked={hasHeader}
+              onChange={(e) => setHasHeader(e.target.checked)}
+              className="form-checkbox text-blue-600"
+            />
+            <span className="ml-2 text-sm text-gray-700">First row is a header</span>
+          </label>
+          <div className="grid grid-cols-2 gap-3 mb-3">
+            {MAPPED_FIELDS.map(({ field, label, required }) => (
+              <div key={field}>
+                <label htmlFor={`map-${field}`} className="block text-sm font-medium text-gray-700 mb-1">
+                  {label}{required ? ' *' : ''}
+                </label>
+                <select
+                  id={`map-${field}`}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                  value={mapping[field]}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+                >
+                  <option value="">(not mapped)</option>
+                  {columnOptions.map(o => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div>
+              <label htmlFor="map-dateFormat" className="block text-sm font-medium text-gray-700 mb-1">Date Format</label>
+              <select
+                id="map-dateFormat"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={dateFormat}
+                onChange={(e) => setDateFormat(e.target.value)}
+              >
+                {CSV_DATE_FORMATS.map(f => (
+                  <option key={f} value={f}>{f}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="map-decimalSeparator" className="block text-sm font-medium text-gray-700 mb-1">Decimal Separator</label>
+              <select
+                id="map-decimalSeparator"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={decimalSeparator}
+                onChange={(e) => setDecimalSeparator(e.target.value)}
+              >
+                {CSV_DECIMAL_SEPARATORS.map(o => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            Without a type column, negative amounts are treated as expenses. Amounts that don't fit the decimal separator
+            are shown as errors, not imported.
+          </p>
+          <div className="flex justify-end space-x-3">
+            <button onClick={resetImport} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all">
+              Cancel
+            </button>
+            <button onClick={handleMappingPreview} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all">
+              Preview
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'preview' && (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            {candidates.length} rows found in <span className="font-medium">{fileName}</span>. Likely duplicates are unchecked.
+          </p>
+          <ul className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+            {candidates.map(c => {
+              const duplicate = c.errors.length === 0 && findDuplicate(c, transactions);
+              return (
+                <li
+                  key={c.key}
+                  className={`p-2 rounded-lg border text-sm ${
+                    c.errors.length ? 'bg-gray-100 border-gray-300' : duplicate ? 'bg-yellow-50 border-yellow-300' : 'bg-white border-gray-200'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <label className="inline-flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={!!included[c.key] && c.errors.length === 0}
+                        disabled={c.errors.length > 0}
+                        onChange={(e) => setIncluded(prev => ({ ...prev, [c.key]: e.target.checked }))}
+                        className="form-checkbox text-blue-600"
+                      />
+                      <span className="ml-2 text-gray-700">{c.date ? formatDate(c.date) : 'N/A'}</span>
+                    </label>
+                    <span className={`font-semibold ${c.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                      {isNaN(c.amount) ? '?' : `${c.type === 'income' ? '+' : '-'}${formatMoney(c.amount, importCurrency)}`}
+                    </span>
+                  </div>
+                  {(c.payee || c.description) && (
+                    <p className="text-xs text-gray-500 mt-1 truncate">{[c.payee, c.description].filter(Boolean).join(' · ')}</p>
+                  )}
+                  <input
+                    type="text"
+                    aria-label="Category"
+                    className="w-full mt-1 p-1 border border-gray-300 rounded-lg text-sm"
+                    value={c.category}
+                    onChange={(e) => handleCandidateCategoryChange(c.key, e.target.value)}
+                  />
+                  {c.ruleApplied && <p className="text-xs text-purple-600 mt-1">Categorized by a rule</p>}
+                  {c.errors.length > 0 && <p className="text-xs text-red-600 mt-1">{c.errors.join(', ')}</p>}
+                  {duplicate && <p className="text-xs text-yellow-700 mt-1">Possible duplicate of an existing transaction</p>}
+                </li>
+              );
+            })}
+          </ul>
+          <div className="flex justify-end space-x-3">
+            <button onClick={resetImport} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all">
+              Cancel
+            </button>
+            <button onClick={handleImport} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all">
+              Import {selectedCount} Transaction{selectedCount === 1 ? '' : 's'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportTransactions;
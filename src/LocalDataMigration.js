@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { BUDGET_COLLECTIONS, copyBudget } from './budgetStore';
+import { localStore, clearLocalStore } from './localStore';
+
+// Offers to move a budget kept on this device (local mode, see localStore.js) into the signed-in account, or to throw
+// it away. Documents keep their IDs, so a copy that stops part way can simply be run again. The copy shows in the
+// budget at once, but the one on this device is only removed once the server has all of it, since until then it may
+// be the only one. Hidden when there is nothing on this device.
+const LocalDataMigration = ({ store, trackWrite, showCustomModal, setError }) => {
+  const [localCount, setLocalCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(BUDGET_COLLECTIONS.map(name => localStore.getAll(name)))
+      .then(lists => {
+        if (!cancelled) setLocalCount(lists.reduce((count, items) => count + items.length, 0));
+      })
+      // A browser that can't store data locally has nothing to offer
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  if (localCount === 0 || !store) return null;
+
+  const items = `${localCount} item${localCount === 1 ? '' : 's'}`;
+
+  const handleCopy = () => {
+    showCustomModal(`Copy the ${items} kept on this device into your account? They are removed from this device afterwards.`, () => {
+      setError(null);
+      setSyncing(true);
+      const copy = copyBudget(localStore, store)
+        .then(() => clearLocalStore())
+        .then(() => setLocalCount(0))
+        .finally(() => setSyncing(false));
+      trackWrite(copy, "Failed to copy the data kept on this device. Please try again.", localCount);
+    });
+  };
+
+  const handleDiscard = () => {
+    showCustomModal(`Delete the ${items} kept on this device? This can't be undone.`, async () => {
+      setError(null);
+      try {
+        await clearLocalStore();
+        setLocalCount(0);
+      } catch (err) {
+        console.error("Error deleting local data:", err);
+        setError("Failed to delete the data kept on this device. Please try again.");
+      }
+    });
+  };
+
+  return (
+    <div className="mb-6 p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm">
+      {syncing ? (
+        <p className="text-blue-800">
+          Copied {items} into this budget. They are removed from this device once the copy has synced.
+        </p>
+      ) : (
+        <>
+          <p className="text-blue-800 mb-2">{items} from using the app without an account are still kept on this device.</p>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all"
+            >
+              Copy to This Budget
+            </button>
+            <button
+              onClick={handleDiscard}
+              className="px-3 py-1 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all"
+            >
+              Discard
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LocalDataMigration;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { PERIOD_OPTIONS } from './periods';
+
+// Period picker driving the summary cards. selection is { period, customStart, customEnd, rollingDays }.
+const PeriodSelector = ({ selection, onChange }) => {
+  const update = (field, value) => onChange({ ...selection, [field]: value });
+
+  return (
+    <div className="mb-6 grid grid-cols-2 gap-3">
+      <div className={selection.period === 'rolling' ? '' : 'col-span-2'}>
+        <label htmlFor="summaryPeriod" className="block text-sm font-medium text-gray-700 mb-1">Period</label>
+        <select
+          id="summaryPeriod"
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+          value={selection.period}
+          onChange={(e) => update('period', e.target.value)}
+        >
+          {PERIOD_OPTIONS.map(p => (
+            <option key={p.value} value={p.value}>{p.label}</option>
+          ))}
+        </select>
+      </div>
+      {selection.period === 'rolling' && (
+        <div>
+          <label htmlFor="rollingDays" className="block text-sm font-medium text-gray-700 mb-1">Days</label>
+          <input
+            type="number"
+            id="rollingDays"
+            min="1"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={selection.rollingDays}
+            onChange={(e) => update('rollingDays', e.target.value)}
+          />
+        </div>
+      )}
+      {selection.period === 'custom' && (
+        <>
+          <div>
+            <label htmlFor="periodStart" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              id="periodStart"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+              value={selection.customStart}
+              onChange={(e) => update('customStart', e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="periodEnd" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              id="periodEnd"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+              value={selection.customEnd}
+              onChange={(e) => update('customEnd', e.target.value)}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PeriodSelector;
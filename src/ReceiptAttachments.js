@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { ref, getDownloadURL } from 'firebase/storage';
+import { RECEIPT_ACCEPT, validateReceipt, uploadReceipts, deleteReceipts } from './receipts';
+import { recordTransactionChanges, receiptChange } from './transactionHistory';
+
+// Receipt files on a transaction in the list: open, attach more, or remove them. Both changes go into the
+// transaction's history; a removal can also be undone from the toast, so its file is only deleted once it can't be.
+const ReceiptAttachments = ({ store, storage, dataPath, userId, transaction, readOnly, showCustomModal, setError, trackWrite, offerUndo }) => {
+  const [uploading, setUploading] = useState(false);
+  const attachments = transaction.attachments || [];
+
+  // The tab is opened straight away, while the click still counts as a user action, so popup blockers allow it
+  const handleOpen = async (attachment) => {
+    const opened = window.open('', '_blank');
+    try {
+      const url = await getDownloadURL(ref(storage, attachment.path));
+      if (opened) {
+        opened.location.href = url;
+      } else {
+        window.location.assign(url);
+      }
+    } catch (err) {
+      if (opened) opened.close();
+      console.error("Error opening receipt:", err);
+      setError("Failed to open receipt. Please try again.");
+    }
+  };
+
+  const handleAttach = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Allow picking the same file again
+    if (files.length === 0) return;
+    const invalid = files.map(validateReceipt).find(Boolean);
+    if (invalid) {
+      showCustomModal(invalid);
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const added = await uploadReceipts(storage, dataPath, transaction.id, files);
+      trackWrite(recordTransactionChanges(store, userId, [receiptChange(store, transaction, { added })]),
+        "Failed to attach receipt. Please try again.");
+    } catch (err) {
+      console.error("Error uploading receipt:", err);
+      setError("Failed to upload receipt. Please try again.");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemove = (attachment) => {
+    showCustomModal(`Remove the receipt "${attachment.name}"?`, () => {
+      setError(null);
+      const changes = [receiptChange(store, transaction, { removed: [attachment] })];
+      const write = trackWrite(recordTransactionChanges(store, userId, changes), "Failed to remove receipt. Please try again.");
+      offerUndo(`Removed the receipt "${attachment.name}".`, changes, () => write.then(
+        () => deleteReceipts(storage, [attachment]).catch(err => console.error("Error deleting receipt file:", err)),
+        () => {} // The server turned the removal down, so the receipt is still on the transaction and keeps its file
+      ));
+    });
+  };
+
+  if (attachments.length === 0 && readOnly) return null;
+
+  return (
+    <div className="text-xs mt-1">
+      {attachments.map(a => (
+        <span key={a.path} className="inline-flex items-center mr-2">
+          <button onClick={() => handleOpen(a)} className="text-blue-600 hover:underline truncate max-w-xs" title={a.name}>
+            {a.contentType === 'application/pdf' ? '📄' : '🧾'} {a.name}
+          </button>
+          {!readOnly && (
+            <button
+              onClick={() => handleRemove(a)}
+              className="ml-1 text-gray-400 hover:text-red-600"
+              aria-label={`Remove receipt ${a.name}`}
+            >
+              ✕
+            </button>
+          )}
+        </span>
+      ))}
+      {!readOnly && (
+        <label className="inline-flex items-center text-blue-600 hover:underline cursor-pointer">
+          {uploading ? 'Uploading...' : '+ Receipt'}
+          <input
+            type="file"
+            accept={RECEIPT_ACCEPT}
+            multiple
+            className="hidden"
+            onChange={handleAttach}
+            disabled={uploading}
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ReceiptAttachments;
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { RECURRING_FREQUENCIES } from './recurring';
+import { currencyOf, formatMoney, knownCurrencies } from './currency';
+import { parseMoney, moneyFields } from './money';
+
+const frequencyLabel = (value) => {
+  const match = RECURRING_FREQUENCIES.find(f => f.value === value);
+  return match ? match.label : value;
+};
+
+// Form and list for managing recurring transaction rules (rent, paychecks, subscriptions...)
+const RecurringRules = ({
+  store, readOnly, rules, goals, currencySettings, validateTransactionInput, showCustomModal, setError,
+}) => {
+  const [amount, setAmount] = useState('');
+  const [category, setCategory] = useState('');
+  const [type, setType] = useState('expense');
+  const [currency, setCurrency] = useState(''); // Empty means the base currency
+  const [frequency, setFrequency] = useState('monthly');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [goalId, setGoalId] = useState(''); // Savings goal each occurrence contributes to, if any
+  const [saving, setSaving] = useState(false);
+
+
+  const handleAddRule = async () => {
+    if (!store) {
+      showCustomModal("Please log in to add recurring transactions.");
+      return;
+    }
+    const ruleCurrency = currency || currencySettings.baseCurrency;
+    const validationError = validateTransactionInput({ amount, currency: ruleCurrency, category, status: 'actual', date: startDate });
+    if (validationError) {
+      showCustomModal(validationError);
+      return;
+    }
+    if (!startDate) {
+      showCustomModal("Please select a start date for the recurring transaction.");
+      return;
+    }
+    if (endDate && endDate < startDate) {
+      showCustomModal("The end date must be on or after the start date.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await store.add('recurringRules', {
+        ...moneyFields(parseMoney(amount, ruleCurrency), ruleCurrency),
+        category: category.trim(),
+        type: type,
+        currency: ruleCurrency,
+        frequency: frequency,
+        startDate: startDate, // Stored as YYYY-MM-DD so occurrences are computed in the user's local calendar
+        endDate: endDate || null,
+        goalId: goalId || null,
+        createdAt: store.timestamp(),
+      });
+      setAmount('');
+      setCategory('');
+      setType('expense');
+      setCurrency('');
+      setFrequency('monthly');
+      setStartDate('');
+      setEndDate('');
+      setGoalId('');
+    } catch (err) {
+      console.error("Error adding recurring rule:", err);
+      setError("Failed to add recurring transaction. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRule = (id) => {
+    showCustomModal("Delete this recurring transaction? Its future forecasts will be removed.", async () => {
+      setError(null);
+      try {
+        await store.remove('recurringRules', id);
+      } catch (err) {
+        console.error("Error deleting recurring rule:", err);
+        setError("Failed to delete recurring transaction. Please try again.");
+      }
+    });
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Recurring Transactions</h2>
+      {!readOnly && (
+        <>
+          <div className="grid grid-cols-2 gap-3 mb-3">
+            <div>
+              <label htmlFor="recurringAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+              <input
+                type="text"
+                inputMode="decimal"
+                id="recurringAmount"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="e.g., 1200.00"
+              />
+            </div>
+            <div>
+              <label htmlFor="recurringCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+              <select
+                id="recurringCurrency"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={currency || currencySettings.baseCurrency}
+                onChange={(e) => setCurrency(e.target.value)}
+              >
+                {knownCurrencies(currencySettings).map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="recurringCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <input
+                type="text"
+                id="recurringCategory"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                placeholder="e.g., Rent, Salary"
+                list="category-options"
+                autoComplete="off"
+              />
+            </div>
+            <div>
+              <label htmlFor="recurringType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                id="recurringType"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+              >
+                <option value="expense">Expense</option>
+                <option value="income">Income</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="recurringFrequency" className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+              <select
+                id="recurringFrequency"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
+              >
+                {RECURRING_FREQUENCIES.map(f => (
+                  <option key={f.value} value={f.value}>{f.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="recurringStartDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+              <input
+                type="date"
+                id="recurringStartDate"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+              />
+            </div>
+            <div className="col-span-2">
+              <label htmlFor="recurringEndDate" className="block text-sm font-medium text-gray-700 mb-1">End Date (optional)</label>
+              <input
+                type="date"
+                id="recurringEndDate"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+              />
+            </div>
+            {goals.length > 0 && (
+              <div className="col-span-2">
+                <label htmlFor="recurringGoal" className="block text-sm font-medium text-gray-700 mb-1">Savings Goal (optional)</label>
+                <select
+                  id="recurringGoal"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                  value={goalId}
+                  onChange={(e) => setGoalId(e.target.value)}
+                >
+                  <option value="">None</option>
+                  {goals.map(g => (
+                    <option key={g.id} value={g.id}>{g.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <button
+            onClick={handleAddRule}
+            className="w-full bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition-all focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 mb-4"
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Add Recurring Transaction'}
+          </button>
+        </>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-gray-500 text-center text-sm">No recurring transactions yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {rules.map(rule => (
+            <li key={rule.id} className="flex justify-between items-center p-3 rounded-lg bg-purple-50 border border-purple-200">
+              <div>
+                <p className="font-medium text-gray-800 capitalize">{rule.category}</p>
+                <p className="text-xs text-gray-500">
+                  {frequencyLabel(rule.frequency)} from {rule.startDate}{rule.endDate ? ` until ${rule.endDate}` : ''}
+                </p>
+              </div>
+              <div className="flex items-center">
+                <span className={`font-semibold ${rule.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                  {rule.type === 'income' ? '+' : '-'}{formatMoney(Math.abs(rule.amount || 0), currencyOf(rule))}
+                </span>
+                {!readOnly && (
+                  <button
+                    onClick={() => handleDeleteRule(rule.id)}
+                    className="ml-3 px-2 py-1 text-xs bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-all"
+                    aria-label="Delete recurring transaction"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecurringRules;
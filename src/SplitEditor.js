@@ -0,0 +1,72 @@
+import React from 'react';
+import { unallocatedAmount } from './splits';
+import { formatMoney } from './currency';
+import { formatAmountInput, toMinor } from './money';
+
+// Category lines for a split transaction, used by both the add and edit forms. lines is [{ category, amount }] with
+// the amounts as typed; the running total shows how much of the transaction is still unassigned.
+const SplitEditor = ({ lines, onChange, total, currency, idPrefix }) => {
+  const remaining = unallocatedAmount(lines, total, currency);
+
+  const updateLine = (index, field, value) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    onChange(lines.filter((line, i) => i !== index));
+  };
+
+  // The last line is usually "whatever is left", so a new line starts with the unassigned amount
+  const addLine = () => {
+    onChange([...lines, { category: '', amount: remaining > 0 ? formatAmountInput(toMinor(remaining, currency), currency) : '' }]);
+  };
+
+  return (
+    <div className="space-y-2">
+      {lines.map((line, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <input
+            type="text"
+            aria-label={`Split ${index + 1} category`}
+            id={`${idPrefix}-category-${index}`}
+            className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={line.category}
+            onChange={(e) => updateLine(index, 'category', e.target.value)}
+            placeholder="Category"
+            list="category-options"
+            autoComplete="off"
+          />
+          <input
+            type="text"
+            inputMode="decimal"
+            aria-label={`Split ${index + 1} amount`}
+            id={`${idPrefix}-amount-${index}`}
+            className="w-28 p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+            value={line.amount}
+            onChange={(e) => updateLine(index, 'amount', e.target.value)}
+            placeholder="0.00"
+          />
+          {lines.length > 2 && (
+            <button
+              onClick={() => removeLine(index)}
+              className="text-xs text-gray-400 hover:text-red-600"
+              aria-label={`Remove split ${index + 1}`}
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+      <div className="flex justify-between items-center text-sm">
+        <button onClick={addLine} className="text-blue-600 hover:underline">+ Add line</button>
+        <span className={remaining === 0 ? 'text-green-700' : 'text-orange-700'}>
+          {remaining === 0 ? 'Fully assigned' : remaining > 0
+            ? `${formatMoney(remaining, currency)} left to assign`
+            : `${formatMoney(-remaining, currency)} over the total`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default SplitEditor;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { SORT_OPTIONS, EMPTY_FILTERS, hasActiveFilters, parseAmountBound } from './transactionQuery';
+
+const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all text-sm";
+
+// Search, filter and sort controls above the transaction list. members is only passed for shared workspaces. The
+// amount range is in the base currency; a bound that isn't an amount is outlined and ignored.
+const TransactionFilters = ({ filters, onFiltersChange, sort, onSortChange, categoryNames, tagNames = [], members = [], baseCurrency }) => {
+  const update = (field, value) => onFiltersChange({ ...filters, [field]: value });
+  const isInvalidAmount = (value) => value !== '' && parseAmountBound(value, baseCurrency) === null;
+  const amountClassName = (value) => (isInvalidAmount(value) ? `${inputClassName} border-red-500` : inputClassName);
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <input
+          type="search"
+          aria-label="Search transactions"
+          className={`${inputClassName} col-span-2`}
+          value={filters.search}
+          onChange={(e) => update('search', e.target.value)}
+          placeholder="Search category, payee, tags or notes"
+        />
+        <select aria-label="Filter by type" className={inputClassName} value={filters.type} onChange={(e) => update('type', e.target.value)}>
+          <option value="">All Types</option>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+          <option value="transfer">Transfer</option>
+        </select>
+        <select aria-label="Filter by status" className={inputClassName} value={filters.status} onChange={(e) => update('status', e.target.value)}>
+          <option value="">All Statuses</option>
+          <option value="actual">Actual</option>
+          <option value="forecasted">Forecasted</option>
+        </select>
+        <select aria-label="Filter by category" className={inputClassName} value={filters.category} onChange={(e) => update('category', e.target.value)}>
+          <option value="">All Categories</option>
+          {categoryNames.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <select aria-label="Sort by" className={inputClassName} value={sort} onChange={(e) => onSortChange(e.target.value)}>
+          {SORT_OPTIONS.map(o => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+        <input type="date" aria-label="From date" className={inputClassName} value={filters.dateFrom} onChange={(e) => update('dateFrom', e.target.value)} />
+        <input type="date" aria-label="To date" className={inputClassName} value={filters.dateTo} onChange={(e) => update('dateTo', e.target.value)} />
+        <input
+          type="text"
+          inputMode="decimal"
+          aria-label="Minimum amount"
+          aria-invalid={isInvalidAmount(filters.minAmount)}
+          className={amountClassName(filters.minAmount)}
+          value={filters.minAmount}
+          onChange={(e) => update('minAmount', e.target.value)}
+          placeholder={`Min amount (${baseCurrency})`}
+        />
+        <input
+          type="text"
+          inputMode="decimal"
+          aria-label="Maximum amount"
+          aria-invalid={isInvalidAmount(filters.maxAmount)}
+          className={amountClassName(filters.maxAmount)}
+          value={filters.maxAmount}
+          onChange={(e) => update('maxAmount', e.target.value)}
+          placeholder={`Max amount (${baseCurrency})`}
+        />
+        {tagNames.length > 0 && (
+          <select aria-label="Filter by tag" className={`${inputClassName} col-span-2`} value={filters.tag} onChange={(e) => update('tag', e.target.value)}>
+            <option value="">All Tags</option>
+            {tagNames.map(name => (
+              <option key={name} value={name}>#{name}</option>
+            ))}
+          </select>
+        )}
+        {members.length > 1 && (
+          <select aria-label="Filter by member" className={`${inputClassName} col-span-2`} value={filters.member} onChange={(e) => update('member', e.target.value)}>
+            <option value="">All Members</option>
+            {members.map(m => (
+              <option key={m.uid} value={m.uid}>{m.email}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {hasActiveFilters(filters) && (
+        <button onClick={() => onFiltersChange(EMPTY_FILTERS)} className="text-sm text-blue-600 hover:underline">
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TransactionFilters;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { formatDate } from './dateUtils';
+import { currencyOf, formatMoney } from './currency';
+import { memberLabel } from './workspaceRoles';
+
+const deletedAtMillis = (t) => (t.deletedAt && t.deletedAt.toMillis ? t.deletedAt.toMillis() : Infinity);
+
+// Deleted transactions, most recently deleted first, until they are restored or deleted for good. They are left out
+// of every total and report in the meantime. Hidden when the trash is empty.
+const TransactionTrash = ({ transactions, readOnly, members, showMembers, onRestore, onDeleteForever, showCustomModal }) => {
+  const [open, setOpen] = useState(false);
+
+  if (transactions.length === 0) return null;
+
+  const sorted = [...transactions].sort((a, b) => deletedAtMillis(b) - deletedAtMillis(a));
+
+  const handleDeleteForever = (list) => {
+    const what = list.length === 1 ? 'this transaction' : `all ${list.length} transactions in the trash`;
+    showCustomModal(`Delete ${what} for good? Their receipts are deleted too. This can't be undone.`, () => onDeleteForever(list));
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold text-gray-700">Trash ({transactions.length})</h2>
+        <button onClick={() => setOpen(!open)} className="text-sm text-blue-600 hover:underline">
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {open && (
+        <>
+          <ul className="space-y-2 mt-4">
+            {sorted.map(t => (
+              <li key={t.id} className="flex justify-between items-center p-2 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+                <div>
+                  <p className="font-medium text-gray-800 capitalize">{t.payee || t.category}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatDate(t.date)}: {formatMoney(Math.abs(t.amount || 0), currencyOf(t))}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    Deleted {formatDate(t.deletedAt)}{showMembers && t.deletedBy ? ` by ${memberLabel(members, t.deletedBy)}` : ''}
+                  </p>
+                </div>
+                {!readOnly && (
+                  <div className="flex items-center">
+                    <button
+                      onClick={() => onRestore([t])}
+                      className="px-2 py-1 text-xs bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-all"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handleDeleteForever([t])}
+                      className="ml-2 px-2 py-1 text-xs bg-red-100 text-red-800 rounded-lg hover:bg-red-200 transition-all"
+                    >
+                      Delete Forever
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          {!readOnly && (
+            <div className="flex space-x-2 mt-4">
+              <button
+                onClick={() => onRestore(sorted)}
+                className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all"
+              >
+                Restore All
+              </button>
+              <button
+                onClick={() => handleDeleteForever(sorted)}
+                className="flex-1 bg-red-500 text-white py-2 rounded-lg hover:bg-red-600 transition-all"
+              >
+                Empty Trash
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TransactionTrash;
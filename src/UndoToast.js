@@ -0,0 +1,41 @@
+import React, { useEffect } from 'react';
+
+// How long the offer to undo stays up
+export const UNDO_TIMEOUT_MS = 10000;
+
+// Bottom-of-screen notice after a change, with a button that takes it back. action is null or has the message to
+// show; a new action replaces the previous one, which can then no longer be undone from here (the trash and each
+// transaction's history still show it).
+const UndoToast = ({ action, onUndo, onDismiss }) => {
+  useEffect(() => {
+    if (!action) return;
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [action, onDismiss]);
+
+  if (!action) return null;
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 flex justify-center z-30 px-4" role="status">
+      <div className="flex items-center bg-gray-800 text-white text-sm rounded-lg shadow-lg px-4 py-3 max-w-md w-full">
+        <span className="flex-1">{action.message}</span>
+        <button
+          onClick={onUndo}
+          className="ml-3 px-3 py-1 bg-white text-gray-800 rounded-lg hover:bg-gray-200 transition-all"
+        >
+          Undo
+        </button>
+        <button
+          onClick={onDismiss}
+          className="ml-2 text-gray-300 hover:text-white"
+          title="Dismiss"
+          aria-label="Dismiss"
+        >
+          ×
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,324 @@
+import React, { useState } from 'react';
+import {
+  collection, addDoc, setDoc, updateDoc, deleteDoc, doc, writeBatch, serverTimestamp, deleteField, arrayUnion, arrayRemove,
+} from 'firebase/firestore';
+import useFirestoreCollection from './useFirestoreCollection';
+import { INVITABLE_ROLES, roleLabel, roleOf, normalizeEmail, isEmail, workspaceMembers } from './workspaceRoles';
+
+// Switches between the personal budget and shared workspaces, creates workspaces, and handles invitations and roles.
+// Only the owner manages members; anyone else can leave. Invitations are sent to an email address and accepted by the
+// signed-in user with that address.
+const WorkspaceManager = ({
+  db, appId, userId, userEmail, workspaces, invites, activeWorkspace, onSelectWorkspace, showCustomModal, setError,
+}) => {
+  const [newName, setNewName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [saving, setSaving] = useState(false);
+
+  const workspacesPath = `/artifacts/${appId}/workspaces`;
+  const myEmail = normalizeEmail(userEmail);
+  const isOwner = roleOf(activeWorkspace, userId) === 'owner';
+  const members = workspaceMembers(activeWorkspace);
+  const sentInvites = useFirestoreCollection(db, isOwner ? `${workspacesPath}/${activeWorkspace.id}/invites` : null,
+    () => setError("Failed to load invitations. Please try again."));
+
+  const handleCreateWorkspace = async () => {
+    if (!db || !userId) {
+      showCustomModal("Please log in to create a shared budget.");
+      return;
+    }
+    if (!myEmail) {
+      showCustomModal("Shared budgets need an email account. Please register with an email and password first.");
+      return;
+    }
+    if (!newName.trim()) {
+      showCustomModal("Please enter a name for the shared budget.");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await addDoc(collection(db, workspacesPath), {
+        name: newName.trim(),
+        ownerId: userId,
+        members: { [userId]: { role: 'owner', email: myEmail } },
+        memberIds: [userId],
+        createdAt: serverTimestamp(),
+      });
+      setNewName('');
+      onSelectWorkspace(created.id);
+    } catch (err) {
+      console.error("Error creating workspace:", err);
+      setError("Failed to create shared budget. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async () => {
+    const email = normalizeEmail(inviteEmail);
+    if (!isEmail(email)) {
+      showCustomModal("Please enter a valid email address.");
+      return;
+    }
+    if (members.some(m => m.email === email)) {
+      showCustomModal(`${email} is already a member of this budget.`);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      // The invitation's ID is the email address, so inviting the same person again just updates their role
+      await setDoc(doc(db, `${workspacesPath}/${activeWorkspace.id}/invites`, email), {
+        email,
+        role: inviteRole,
+        workspaceId: activeWorkspace.id,
+        workspaceName: activeWorkspace.name,
+        invitedBy: myEmail,
+        createdAt: serverTimestamp(),
+      });
+      setInviteEmail('');
+    } catch (err) {
+      console.error("Error sending invitation:", err);
+      setError("Failed to send invitation. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    setError(null);
+    try {
+      await deleteDoc(doc(db, `${workspacesPath}/${activeWorkspace.id}/invites`, invite.id));
+    } catch (err) {
+      console.error("Error revoking invitation:", err);
+      setError("Failed to revoke invitation. Please try again.");
+    }
+  };
+
+  // Joining and removing the invitation happen together, so an accepted invitation can't be used twice
+  const handleAcceptInvite = async (invite) => {
+    setError(null);
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(db, workspacesPath, invite.workspaceId), {
+        [`members.${userId}`]: { role: invite.role, email: myEmail },
+        memberIds: arrayUnion(userId),
+      });
+      batch.delete(doc(db, `${workspacesPath}/${invite.workspaceId}/invites`, invite.id));
+      await batch.commit();
+      onSelectWorkspace(invite.workspaceId);
+    } catch (err) {
+      console.error("Error accepting invitation:", err);
+      setError("Failed to accept invitation. Please try again.");
+    }
+  };
+
+  const handleDeclineInvite = async (invite) => {
+    setError(null);
+    try {
+      await deleteDoc(doc(db, `${workspacesPath}/${invite.workspaceId}/invites`, invite.id));
+    } catch (err) {
+      console.error("Error declining invitation:", err);
+      setError("Failed to decline invitation. Please try again.");
+    }
+  };
+
+  const handleChangeRole = async (member, role) => {
+    setError(null);
+    try {
+      await updateDoc(doc(db, workspacesPath, activeWorkspace.id), { [`members.${member.uid}.role`]: role });
+    } catch (err) {
+      console.error("Error changing member role:", err);
+      setError("Failed to change role. Please try again.");
+    }
+  };
+
+  const removeMember = async (uid) => {
+    await updateDoc(doc(db, workspacesPath, activeWorkspace.id), {
+      [`members.${uid}`]: deleteField(),
+      memberIds: arrayRemove(uid),
+    });
+  };
+
+  const handleRemoveMember = (member) => {
+    showCustomModal(`Remove ${member.email} from "${activeWorkspace.name}"?`, async () => {
+      setError(null);
+      try {
+        await removeMember(member.uid);
+      } catch (err) {
+        console.error("Error removing member:", err);
+        setError("Failed to remove member. Please try again.");
+      }
+    });
+  };
+
+  const handleLeave = () => {
+    showCustomModal(`Leave "${activeWorkspace.name}"? You'll need a new invitation to rejoin.`, async () => {
+      setError(null);
+      try {
+        await removeMember(userId);
+        onSelectWorkspace('');
+      } catch (err) {
+        console.error("Error leaving workspace:", err);
+        setError("Failed to leave the shared budget. Please try again.");
+      }
+    });
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg shadow-inner">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Budget</h2>
+
+      {invites.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {invites.map(invite => (
+            <li key={`${invite.workspaceId}-${invite.id}`} className="p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-sm">
+              <p className="text-gray-800 mb-2">
+                {invite.invitedBy || 'Someone'} invited you to <span className="font-medium">{invite.workspaceName}</span> as {roleLabel(invite.role).toLowerCase()}.
+              </p>
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => handleDeclineInvite(invite)}
+                  className="px-3 py-1 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-all"
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={() => handleAcceptInvite(invite)}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all"
+                >
+                  Accept
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label htmlFor="activeWorkspace" className="block text-sm font-medium text-gray-700 mb-1">Showing</label>
+      <select
+        id="activeWorkspace"
+        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all mb-3"
+        value={activeWorkspace ? activeWorkspace.id : ''}
+        onChange={(e) => onSelectWorkspace(e.target.value)}
+      >
+        <option value="">Personal budget</option>
+        {workspaces.map(w => (
+          <option key={w.id} value={w.id}>{w.name} ({roleLabel(roleOf(w, userId))})</option>
+        ))}
+      </select>
+
+      {activeWorkspace && (
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">Members</p>
+          <ul className="space-y-2 mb-3">
+            {members.map(m => (
+              <li key={m.uid} className="flex justify-between items-center p-2 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+                <span className="text-gray-800 truncate">{m.email}{m.uid === userId ? ' (you)' : ''}</span>
+                {isOwner && m.role !== 'owner' ? (
+                  <span className="flex items-center">
+                    <select
+                      aria-label={`Role for ${m.email}`}
+                      className="p-1 border border-gray-300 rounded-lg text-xs"
+                      value={m.role}
+                      onChange={(e) => handleChangeRole(m, e.target.value)}
+                    >
+                      {INVITABLE_ROLES.map(r => (
+                        <option key={r.value} value={r.value}>{r.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleRemoveMember(m)}
+                      className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                      aria-label={`Remove ${m.email}`}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ) : (
+                  <span className="text-xs text-gray-500">{roleLabel(m.role)}</span>
+                )}
+              </li>
+            ))}
+            {sentInvites.map(invite => (
+              <li key={invite.id} className="flex justify-between items-center p-2 rounded-lg border border-dashed border-gray-300 text-sm">
+                <span className="text-gray-600 truncate">{invite.email} (invited)</span>
+                <span className="flex items-center">
+                  <span className="text-xs text-gray-500">{roleLabel(invite.role)}</span>
+                  <button
+                    onClick={() => handleRevokeInvite(invite)}
+                    className="ml-2 text-xs text-gray-400 hover:text-red-600"
+                    aria-label={`Revoke invitation for ${invite.email}`}
+                  >
+                    ✕
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          {isOwner ? (
+            <div className="grid grid-cols-3 gap-3">
+              <input
+                type="email"
+                aria-label="Invite email"
+                className="col-span-2 w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="partner@email.com"
+              />
+              <select
+                aria-label="Invite role"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+              >
+                {INVITABLE_ROLES.map(r => (
+                  <option key={r.value} value={r.value}>{r.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleInvite}
+                className="col-span-3 w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-all"
+                disabled={saving}
+              >
+                {saving ? 'Sending...' : 'Send Invitation'}
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={handleLeave}
+              className="w-full bg-gray-200 text-gray-800 py-2 rounded-lg hover:bg-gray-300 transition-all"
+            >
+              Leave Shared Budget
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-3">
+        <input
+          type="text"
+          aria-label="New shared budget name"
+          className="col-span-2 w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 transition-all"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="e.g., Household"
+        />
+        <button
+          onClick={handleCreateWorkspace}
+          className="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 transition-all"
+          disabled={saving}
+        >
+          Create Shared
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceManager;
@@ -0,0 +1,72 @@
+import { currencyOf } from './currency';
+import { amountMinorOf, fromMinor, toMinor } from './money';
+
+export const ACCOUNT_KINDS = [
+  { value: 'checking', label: 'Checking' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'credit', label: 'Credit Card' },
+  { value: 'cash', label: 'Cash' },
+];
+
+// Credit cards hold money owed, so their balances are normally negative
+export const isLiability = (kind) => kind === 'credit';
+
+export const accountKindLabel = (kind) => {
+  const match = ACCOUNT_KINDS.find(k => k.value === kind);
+  return match ? match.label : kind;
+};
+
+export const findAccount = (accountId, accounts) => accounts.find(a => a.id === accountId) || null;
+
+// An amount converted into `currency` and rounded to its minor units, or null when there is no exchange rate
+const toMinorIn = (amount, from, currency, convert) => {
+  const converted = convert(amount, from, currency);
+  return converted === null ? null : toMinor(converted, currency);
+};
+
+// How a single actual transaction moves the balance of the given account (null = transactions with no account).
+// The change is in minor units of `currency`, the account's own currency; it is null when there is no exchange rate.
+const balanceChange = (t, accountId, currency, convert) => {
+  const amount = amountMinorOf(t);
+  let change = 0;
+  if (t.type === 'transfer') {
+    if ((t.accountId || null) === accountId) change -= amount;
+    if ((t.toAccountId || null) === accountId) change += amount;
+  } else if ((t.accountId || null) === accountId) {
+    if (t.type === 'income') change = amount;
+    if (t.type === 'expense') change = -amount;
+  }
+  if (change === 0) return 0;
+  return currencyOf(t) === currency ? change : toMinorIn(fromMinor(change, currencyOf(t)), currencyOf(t), currency, convert);
+};
+
+// Adds the changes up in minor units, so balances don't drift however many transactions there are
+const sumChanges = (transactions, accountId, currency, convert, start) => fromMinor(transactions.reduce((acc, t) => {
+  const change = balanceChange(t, accountId, currency, convert);
+  return change === null ? acc : acc + change;
+}, toMinor(start, currency)), currency);
+
+// Adds up amounts held in different currencies, in the base currency
+const sumInBase = (items, amountOf, convert, baseCurrency, start) => fromMinor(items.reduce((acc, item) => {
+  const inBase = toMinorIn(amountOf(item), currencyOf(item), baseCurrency, convert);
+  return inBase === null ? acc : acc + inBase;
+}, toMinor(start, baseCurrency)), baseCurrency);
+
+// Balance of every account, in its own currency, from its opening balance plus its actual transactions.
+// Transactions recorded before accounts existed have no accountId; they add up to `unassigned` so net worth still
+// matches the old balance. Transfers move money between accounts and leave net worth unchanged.
+// convert(amount, from, to) comes from makeConverter; unassigned and netWorth are in baseCurrency.
+export const getAccountBalances = (accounts, transactions, convert, baseCurrency) => {
+  const actual = transactions.filter(t => t.status === 'actual');
+  const balances = accounts.map(account => ({
+    ...account,
+    balance: sumChanges(actual, account.id, currencyOf(account), convert, account.openingBalance || 0),
+  }));
+  const unassigned = sumChanges(actual, null, baseCurrency, convert, 0);
+  const netWorth = sumInBase(balances, a => a.balance, convert, baseCurrency, unassigned);
+  return { balances, unassigned, netWorth };
+};
+
+// Sum of opening balances in the base currency, the starting point for running-balance charts
+export const totalOpeningBalance = (accounts, convert, baseCurrency) =>
+  sumInBase(accounts, a => a.openingBalance || 0, convert, baseCurrency, 0);
@@ -0,0 +1,43 @@
+import { collection, getDocs, doc, updateDoc, deleteDoc, deleteField, arrayRemove } from 'firebase/firestore';
+import { runBatchedWrites } from './batchWrites';
+import { deleteReceipts } from './receipts';
+import { BUDGET_COLLECTIONS } from './budgetStore';
+
+// Deletes every document in a collection, in batches
+const deleteCollection = async (db, path) => {
+  const snapshot = await getDocs(collection(db, path));
+  await runBatchedWrites(db, snapshot.docs, (batch, d) => batch.delete(d.ref));
+};
+
+// Removes a budget's data: receipts first, while the transactions still say where they are, then each collection
+const deleteBudgetData = async (db, storage, dataPath, onProgress) => {
+  const transactions = await getDocs(collection(db, `${dataPath}/transactions`));
+  await deleteReceipts(storage, transactions.docs.flatMap(d => d.data().attachments || []));
+  for (const name of BUDGET_COLLECTIONS) {
+    onProgress(`Deleting ${name}...`);
+    await deleteCollection(db, `${dataPath}/${name}`);
+  }
+};
+
+// Deletes everything the user has stored: their personal budget and any shared budget they own (the workspace
+// document goes last, since the security rules check it for every other delete). Shared budgets owned by someone
+// else are left, along with everything in them. Run before deleting the Auth user, while the rules still let them in.
+export const deleteAllUserData = async ({ db, storage, appId, userId, workspaces, onProgress = () => {} }) => {
+  const workspacesPath = `/artifacts/${appId}/workspaces`;
+  for (const workspace of workspaces) {
+    if (workspace.ownerId === userId) {
+      onProgress(`Deleting shared budget "${workspace.name}"...`);
+      await deleteBudgetData(db, storage, `${workspacesPath}/${workspace.id}`, onProgress);
+      await deleteCollection(db, `${workspacesPath}/${workspace.id}/invites`);
+      await deleteDoc(doc(db, workspacesPath, workspace.id));
+    } else {
+      onProgress(`Leaving shared budget "${workspace.name}"...`);
+      await updateDoc(doc(db, workspacesPath, workspace.id), {
+        [`members.${userId}`]: deleteField(),
+        memberIds: arrayRemove(userId),
+      });
+    }
+  }
+  onProgress('Deleting your budget...');
+  await deleteBudgetData(db, storage, `/artifacts/${appId}/users/${userId}`, onProgress);
+};
@@ -0,0 +1,25 @@
+// Firebase Auth error codes mapped to messages for the user. Anything unexpected gets a generic message; the
+// original error is still logged by the caller.
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': "That doesn't look like a valid email address.",
+  'auth/missing-email': "Please enter your email address.",
+  'auth/missing-password': "Please enter your password.",
+  'auth/user-not-found': "Incorrect email or password.",
+  'auth/wrong-password': "Incorrect email or password.",
+  'auth/invalid-credential': "Incorrect email or password.",
+  'auth/invalid-login-credentials': "Incorrect email or password.",
+  'auth/user-disabled': "This account has been disabled.",
+  'auth/email-already-in-use': "An account with this email already exists. Try logging in instead.",
+  'auth/credential-already-in-use': "An account with this email already exists. Log in to it instead.",
+  'auth/provider-already-linked': "This session is already linked to an account.",
+  'auth/weak-password': "Please choose a password with at least 6 characters.",
+  'auth/too-many-requests': "Too many attempts. Please wait a few minutes and try again.",
+  'auth/network-request-failed': "Can't reach the server. Please check your connection and try again.",
+  'auth/requires-recent-login': "For your security, please enter your password again to continue.",
+  'auth/operation-not-allowed': "This sign-in method isn't enabled for this app.",
+  'auth/expired-action-code': "This link has expired. Please request a new one.",
+  'auth/invalid-action-code': "This link is invalid or has already been used.",
+};
+
+export const authErrorMessage = (err) =>
+  (err && AUTH_ERROR_MESSAGES[err.code]) || "Something went wrong. Please try again.";
@@ -0,0 +1,36 @@
+import { writeBatch } from 'firebase/firestore';
+
+// Firestore rejects batches with more than 500 writes
+export const BATCH_LIMIT = 500;
+
+// Commits the writes for each item in Firestore batches of up to BATCH_LIMIT writes. addToBatch(batch, item) queues
+// the item's writes, writesPerItem of them (one unless given), which always land in the same batch.
+// Every batch is committed straight away, so with offline persistence all of them are applied to the local cache at
+// once, while the returned promise only settles when the server has acknowledged them all; callers hand it to
+// trackWrite (see usePendingWrites.js) rather than waiting. onProgress(written, total) follows the acknowledgements.
+// Resolves with the number of items written. A batch the server turns down doesn't stop the others, so on failure
+// the thrown error carries the count that was written as `written` and the items that weren't as `failed`.
+export const runBatchedWrites = async (db, items, addToBatch, onProgress, writesPerItem = 1) => {
+  const itemsPerBatch = Math.floor(BATCH_LIMIT / writesPerItem);
+  const chunks = [];
+  for (let start = 0; start < items.length; start += itemsPerBatch) {
+    chunks.push(items.slice(start, start + itemsPerBatch));
+  }
+  let written = 0;
+  const results = await Promise.allSettled(chunks.map((chunk) => {
+    const batch = writeBatch(db);
+    chunk.forEach(item => addToBatch(batch, item));
+    return batch.commit().then(() => {
+      written += chunk.length;
+      if (onProgress) onProgress(written, items.length);
+    });
+  }));
+  const rejected = results.filter(result => result.status === 'rejected');
+  if (rejected.length > 0) {
+    const err = rejected[0].reason;
+    err.written = written;
+    err.failed = chunks.filter((chunk, index) => results[index].status === 'rejected').flat();
+    throw err;
+  }
+  return written;
+};
@@ -0,0 +1,57 @@
+import { writeBatch } from 'firebase/firestore';
+import { runBatchedWrites, BATCH_LIMIT } from './batchWrites';
+
+jest.mock('firebase/firestore', () => ({ writeBatch: jest.fn() }));
+
+// Batches whose commits settle only when the test says so, like writes waiting for the server while offline
+const pendingBatches = () => {
+  const batches = [];
+  writeBatch.mockImplementation(() => {
+    const batch = { writes: [] };
+    batch.set = (ref, data) => batch.writes.push([ref, data]);
+    batch.commit = () => new Promise((resolve, reject) => Object.assign(batch, { resolve, reject }));
+    batches.push(batch);
+    return batch;
+  });
+  return batches;
+};
+
+const items = Array.from({ length: BATCH_LIMIT * 2 + 1 }, (_, i) => i);
+const addToBatch = (batch, item) => batch.set(`doc-${item}`, { item });
+
+describe('runBatchedWrites', () => {
+  test('commits every batch before any is acknowledged, and resolves once all are', async () => {
+    const batches = pendingBatches();
+    const progress = [];
+    const result = runBatchedWrites({}, items, addToBatch, (written, total) => progress.push([written, total]));
+
+    expect(batches.map(b => b.writes.length)).toEqual([BATCH_LIMIT, BATCH_LIMIT, 1]);
+    batches[2].resolve();
+    batches[0].resolve();
+    batches[1].resolve();
+    await expect(result).resolves.toBe(items.length);
+    expect(progress).toEqual([[1, items.length], [BATCH_LIMIT + 1, items.length], [items.length, items.length]]);
+  });
+
+  test('keeps two writes per item in the same batch', async () => {
+    const batches = pendingBatches();
+    runBatchedWrites({}, items, (batch, item) => {
+      batch.set(`doc-${item}`, { item });
+      batch.set(`history-${item}`, { item });
+    }, undefined, 2);
+    expect(batches.map(b => b.writes.length)).toEqual([500, 500, 500, 500, 2]);
+  });
+
+  test('reports what was and wasn\'t written when the server turns a batch down', async () => {
+    const batches = pendingBatches();
+    const result = runBatchedWrites({}, items, addToBatch);
+    batches[0].resolve();
+    batches[1].reject(Object.assign(new Error('denied'), { code: 'permission-denied' }));
+    batches[2].resolve();
+
+    const err = await result.catch(e => e);
+    expect(err.code).toBe('permission-denied');
+    expect(err.written).toBe(BATCH_LIMIT + 1);
+    expect(err.failed).toEqual(items.slice(BATCH_LIMIT, BATCH_LIMIT * 2));
+  });
+});
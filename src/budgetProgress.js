@@ -0,0 +1,43 @@
+import { toDateInputValue } from './dateUtils';
+import { normalizeCategory } from './categories';
+import { expandSplits } from './splits';
+import { sumMoney } from './money';
+
+// Alert thresholds offered per budget, as a percentage of the monthly limit
+export const BUDGET_THRESHOLDS = [50, 80, 90, 100];
+export const DEFAULT_BUDGET_THRESHOLD = 80;
+
+const isExpenseInMonth = (t, month) =>
+  t.type === 'expense' && toDateInputValue(t.date).startsWith(month);
+
+// Works out spending against each budget for a month (YYYY-MM).
+// spent counts actual expenses; projected adds the forecasted expenses still due that month.
+// Split transactions count only the lines filed under the budget's category.
+// status is 'over' at 100% of the limit, 'warning' at the budget's alert threshold, otherwise 'ok'.
+export const getBudgetProgress = (budgets, transactions, month) => {
+  const portions = expandSplits(transactions);
+  return budgets.map(budget => {
+    const category = normalizeCategory(budget.category);
+    const matching = portions.filter(t => normalizeCategory(t.category) === category && isExpenseInMonth(t, month));
+    const spent = sumMoney(matching.filter(t => t.status === 'actual'));
+    const projected = sumMoney(matching.filter(t => t.status === 'actual' || t.status === 'forecasted'));
+    const limit = budget.limit || 0;
+    const threshold = budget.alertThreshold || DEFAULT_BUDGET_THRESHOLD;
+    const percentOf = (value) => (limit > 0 ? (value / limit) * 100 : 0);
+    const statusFor = (percent) => {
+      if (percent >= 100) return 'over';
+      if (percent >= threshold) return 'warning';
+      return 'ok';
+    };
+    return {
+      ...budget,
+      spent,
+      projected,
+      remaining: limit - spent,
+      spentPercent: percentOf(spent),
+      projectedPercent: percentOf(projected),
+      status: statusFor(percentOf(spent)),
+      projectedStatus: statusFor(percentOf(projected)),
+    };
+  });
+};
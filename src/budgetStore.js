@@ -0,0 +1,49 @@
+// A budget store holds one budget's collections, wherever they are kept: createFirestoreStore (firestoreStore.js) for
+// a personal or shared budget in Firestore, or localStore (localStore.js) for a budget kept only in this browser.
+// Components read and write budget data through it rather than through Firestore, so they work with either:
+//
+//   isLocal                                  true for the browser-only store
+//   subscribe(name, onItems, onError, match) calls onItems with the collection's documents, newest createdAt first,
+//                                            now and after every change; returns the unsubscribe function. With
+//                                            match ({ field, value }) only documents whose field equals value.
+//   getAll(name)                             resolves with the collection's documents, once
+//   newId(name)                              an ID for a document about to be set, e.g. to upload receipts under it
+//   set(name, id, data)                      creates or replaces a document
+//   add(name, data)                          creates a document and resolves with its ID
+//   update(name, id, data)                   changes some fields of an existing document
+//   remove(name, id)                         deletes a document
+//   batch(items, addToBatch, onProgress, writesPerItem)
+//                                            the writes for each item, like runBatchedWrites: addToBatch(batch, item)
+//                                            calls batch.set, batch.update or batch.remove with the same arguments as
+//                                            above, writesPerItem times (once unless given). Resolves once every
+//                                            write is stored; on failure the error says how many items were written
+//                                            (`written`) and which weren't (`failed`)
+//   timestamp()                              the value to store in createdAt and updatedAt
+//   arrayUnion(...values), arrayRemove(...values)
+//                                            values to update an array field with, which add the values to it or take
+//                                            them out, leaving the other entries as stored; e.g. receipts attached on
+//                                            two devices at once are both kept
+//
+// Documents come back as { id, ...fields, pendingSync }. Dates are stored as Firestore Timestamps by both stores.
+
+// Every collection a budget keeps. Firestore clients can't list subcollections, so this has to be kept up to date when
+// a new one is added.
+export const BUDGET_COLLECTIONS = [
+  'transactions', 'transactionHistory', 'recurringRules', 'budgets', 'categories', 'accounts', 'goals', 'categoryRules',
+];
+
+// Newest first, the order subscribe delivers documents in; documents without createdAt go last
+export const byCreatedAtDesc = (a, b) =>
+  (b.createdAt ? b.createdAt.toMillis() : -Infinity) - (a.createdAt ? a.createdAt.toMillis() : -Infinity);
+
+// Copies every document of a budget into another store under the same IDs, e.g. a budget kept on this device into a
+// signed-in account. Running it again overwrites the earlier copies rather than duplicating them. Resolves with the
+// number of documents copied; on failure the error carries which were and weren't written, as batch's does.
+export const copyBudget = async (from, to, onProgress) => {
+  const documents = [];
+  for (const name of BUDGET_COLLECTIONS) {
+    const items = await from.getAll(name);
+    items.forEach(({ id, pendingSync, ...data }) => documents.push({ name, id, data }));
+  }
+  return to.batch(documents, (batch, { name, id, data }) => batch.set(name, id, data), onProgress);
+};
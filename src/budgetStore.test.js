@@ -0,0 +1,72 @@
+import { Timestamp } from 'firebase/firestore';
+import { BUDGET_COLLECTIONS, copyBudget, byCreatedAtDesc } from './budgetStore';
+
+// In-memory store with just what copyBudget uses: documents per collection, and a batch that stops after `failAfter`
+// writes like a failed runBatchedWrites
+const memoryStore = (collections = {}, { failAfter = Infinity } = {}) => {
+  const data = Object.fromEntries(BUDGET_COLLECTIONS.map(name => [name, new Map(collections[name] || [])]));
+  return {
+    data,
+    getAll: async (name) => [...data[name]].map(([id, fields]) => ({ id, ...fields, pendingSync: false })),
+    batch: async (items, addToBatch, onProgress) => {
+      let written = 0;
+      const batch = {
+        set: (name, id, fields) => {
+          if (written === failAfter) throw Object.assign(new Error('Write failed'), { written });
+          data[name].set(id, fields);
+          written += 1;
+        },
+      };
+      items.forEach(item => addToBatch(batch, item));
+      if (onProgress) onProgress(written, items.length);
+      return written;
+    },
+  };
+};
+
+const localBudget = () => memoryStore({
+  transactions: [['t1', { amountMinor: 1250, category: 'Groceries' }], ['t2', { amountMinor: 900, category: 'Coffee' }]],
+  budgets: [['b1', { category: 'Groceries', limit: 200 }]],
+  categoryRules: [['r1', { field: 'payee', pattern: 'cafe', category: 'Coffee' }]],
+});
+
+describe('copyBudget', () => {
+  test('copies every collection under the same IDs, without pendingSync', async () => {
+    const to = memoryStore({ transactions: [['existing', { amountMinor: 100 }]] });
+    const progress = [];
+    const copied = await copyBudget(localBudget(), to, (done, total) => progress.push([done, total]));
+
+    expect(copied).toBe(4);
+    expect(progress).toEqual([[4, 4]]);
+    expect([...to.data.transactions.keys()]).toEqual(['existing', 't1', 't2']);
+    expect(to.data.transactions.get('t1')).toEqual({ amountMinor: 1250, category: 'Groceries' });
+    expect(to.data.budgets.get('b1')).toEqual({ category: 'Groceries', limit: 200 });
+    expect(to.data.categoryRules.get('r1')).toEqual({ field: 'payee', pattern: 'cafe', category: 'Coffee' });
+  });
+
+  test('overwrites an earlier copy instead of duplicating it', async () => {
+    const from = localBudget();
+    const to = memoryStore();
+    await copyBudget(from, to);
+    from.data.transactions.set('t1', { amountMinor: 1300, category: 'Groceries' });
+    await copyBudget(from, to);
+
+    expect(to.data.transactions.size).toBe(2);
+    expect(to.data.transactions.get('t1').amountMinor).toBe(1300);
+  });
+
+  test('reports how many documents were written before a failure', async () => {
+    await expect(copyBudget(localBudget(), memoryStore({}, { failAfter: 2 }))).rejects.toMatchObject({ written: 2 });
+  });
+});
+
+describe('byCreatedAtDesc', () => {
+  test('puts the newest first and documents without createdAt last', () => {
+    const items = [
+      { id: 'old', createdAt: new Timestamp(100, 0) },
+      { id: 'undated' },
+      { id: 'new', createdAt: new Timestamp(200, 0) },
+    ];
+    expect([...items].sort(byCreatedAtDesc).map(item => item.id)).toEqual(['new', 'old', 'undated']);
+  });
+});
@@ -0,0 +1,135 @@
+import { toDateKey, toJsDate, startOfDay, endOfDay, addDays } from './dateUtils';
+import { expandRecurringRules, occurrenceKey } from './recurring';
+import { convertToBase, makeConverter, groupByCurrency, currencyOf } from './currency';
+import { sumMoney } from './money';
+import { getAccountBalances, totalOpeningBalance } from './accountBalances';
+import { getPeriodWindows, sumCashFlow } from './periods';
+import { getBudgetProgress } from './budgetProgress';
+import { getGoalProgress } from './goalProgress';
+
+// How far ahead the upcoming recurring forecasts in the transaction list, and the forecast surplus savings goals fall
+// back on, look
+export const UPCOMING_DAYS = 30;
+
+// Today through the end of the day UPCOMING_DAYS calendar days from now
+export const getUpcomingWindow = (now) => ({
+  start: startOfDay(now),
+  end: endOfDay(addDays(now, UPCOMING_DAYS)),
+});
+
+// Occurrences already recorded as actual transactions, which are not forecast again
+export const getReconciledOccurrenceKeys = (transactions) => new Set(
+  transactions
+    .filter(t => t.recurringRuleId && t.recurringOccurrence)
+    .map(t => occurrenceKey(t.recurringRuleId, t.recurringOccurrence))
+);
+
+// Forecasts whose date has passed without being reconciled, oldest first: stored forecasts dated before today, and
+// recurring occurrences from the day their rule was created until yesterday. These keep their own currency.
+export const getOverdueForecasts = (transactions, recurringRules, reconciledKeys, now) => {
+  const todayStart = startOfDay(now);
+  const endOfYesterday = new Date(todayStart.getTime() - 1);
+  return [
+    ...transactions.filter(t => t.status === 'forecasted' && toJsDate(t.date) && toJsDate(t.date) < todayStart),
+    ...recurringRules.flatMap(rule => {
+      const ruleCreated = startOfDay(toJsDate(rule.createdAt) || now);
+      return expandRecurringRules([rule], ruleCreated, endOfYesterday, reconciledKeys);
+    }),
+  ].sort((a, b) => a.date.toMillis() - b.date.toMillis());
+};
+
+// Everything the dashboard shows, worked out from the loaded collections at the moment `now`. Nothing here reads the
+// clock, React state or Firestore, so the same inputs always give the same figures. Totals are in the base currency
+// of currencySettings; periodSelection is what the PeriodSelector holds.
+export const summarizeBudget = ({
+  transactions,
+  recurringRules = [],
+  accounts = [],
+  budgets = [],
+  goals = [],
+  currencySettings,
+  periodSelection = { period: 'rolling' },
+  now,
+}) => {
+  const { baseCurrency } = currencySettings;
+  const convert = makeConverter(currencySettings);
+  const { converted: baseTransactions, missingCurrencies: missingTransactionRates } = convertToBase(transactions, currencySettings);
+  const toBase = (items) => convertToBase(items, currencySettings).converted;
+  // Currencies in use without an exchange rate; their amounts are left out of the converted totals
+  const missingCurrencies = [...new Set([
+    ...missingTransactionRates,
+    ...accounts.map(currencyOf).filter(code => convert(1, code, baseCurrency) === null),
+  ])].sort();
+
+  const actual = baseTransactions.filter(t => t.status === 'actual');
+  const totalIncome = sumMoney(actual.filter(t => t.type === 'income'));
+  const totalExpenses = sumMoney(actual.filter(t => t.type === 'expense'));
+
+  // Per-account balances include opening balances and transfers; the headline balance is net worth
+  const { balances: accountBalances, unassigned: unassignedBalance, netWorth } = getAccountBalances(accounts, transactions, convert, baseCurrency);
+
+  const reconciledKeys = getReconciledOccurrenceKeys(transactions);
+  const upcoming = getUpcomingWindow(now);
+  const recurringForecasts = expandRecurringRules(recurringRules, upcoming.start, upcoming.end, reconciledKeys);
+
+  // Stored and recurring forecasts dated within [start, end], in the base currency
+  const getForecastsBetween = (start, end) => [
+    ...baseTransactions.filter(t => t.status === 'forecasted' && toJsDate(t.date) && toJsDate(t.date) >= start && toJsDate(t.date) <= end),
+    ...toBase(expandRecurringRules(recurringRules, start, end, reconciledKeys)),
+  ];
+
+  // Cash flow for the selected period, the previous period, and the forecast for the rest of the period.
+  // An invalid custom range falls back to the default rolling window.
+  const periodWindows = getPeriodWindows(periodSelection.period, periodSelection, now) || getPeriodWindows('rolling', {}, now);
+  const actualCashFlow = sumCashFlow(baseTransactions, 'actual', periodWindows.actualStart, periodWindows.actualEnd);
+  const previousCashFlow = sumCashFlow(baseTransactions, 'actual', periodWindows.previousStart, periodWindows.previousEnd);
+  const forecastCashFlow = periodWindows.forecastStart
+    ? sumCashFlow(getForecastsBetween(periodWindows.forecastStart, periodWindows.forecastEnd), 'forecasted', periodWindows.forecastStart, periodWindows.forecastEnd)
+    : null;
+
+  // The same period's actual cash flow in each currency's own terms, shown when more than one currency is in use
+  const cashFlowByCurrency = Object.entries(groupByCurrency(transactions))
+    .map(([code, items]) => ({
+      currency: code,
+      ...sumCashFlow(items, 'actual', periodWindows.actualStart, periodWindows.actualEnd),
+    }))
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+
+  // Budgets for the current month, with the rest of the month's recurring forecasts as projected spending
+  const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+  const budgetProgress = getBudgetProgress(
+    budgets,
+    [...baseTransactions, ...toBase(expandRecurringRules(recurringRules, upcoming.start, endOfMonth, reconciledKeys))],
+    toDateKey(now).slice(0, 7)
+  );
+
+  // Savings goals, projected from the next year of forecasts and the upcoming window's forecasted surplus
+  const goalHorizonEnd = endOfDay(new Date(now.getFullYear() + 1, now.getMonth(), now.getDate()));
+  const goalProgress = getGoalProgress(goals, baseTransactions, getForecastsBetween(upcoming.start, goalHorizonEnd), {
+    today: now,
+    forecastSurplus: sumCashFlow(getForecastsBetween(upcoming.start, upcoming.end), 'forecasted', upcoming.start, upcoming.end).net,
+    currency: baseCurrency,
+  });
+
+  return {
+    baseTransactions,
+    missingCurrencies,
+    totalIncome,
+    totalExpenses,
+    accountBalances,
+    unassignedBalance,
+    netWorth,
+    openingBalance: totalOpeningBalance(accounts, convert, baseCurrency),
+    recurringForecasts,
+    getForecastsBetween,
+    periodWindows,
+    actualCashFlow,
+    previousCashFlow,
+    forecastCashFlow,
+    cashFlowByCurrency,
+    overdueForecasts: getOverdueForecasts(transactions, recurringRules, reconciledKeys, now),
+    reconciledTransactions: baseTransactions.filter(t => t.status === 'actual' && t.forecastAmount != null),
+    budgetProgress,
+    goalProgress,
+  };
+};
@@ -0,0 +1,193 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput, toDateKey } from './dateUtils';
+import { moneyFields, toMinor } from './money';
+import { summarizeBudget, getUpcomingWindow, getOverdueForecasts, getReconciledOccurrenceKeys } from './budgetSummary';
+
+// Saturday evening, the day before the clocks spring forward in America/New_York (see setupTimezone.js)
+const NOW = new Date(2024, 2, 9, 20, 0, 0);
+const CURRENCY_SETTINGS = { baseCurrency: 'USD', rates: { EUR: 0.5 } }; // 1 USD = 0.5 EUR; no rate for JPY
+
+const on = (key) => Timestamp.fromDate(parseDateInput(key));
+
+const tx = (id, { amount, currency = 'USD', date, ...fields }) => ({
+  id,
+  type: 'expense',
+  status: 'actual',
+  currency,
+  ...moneyFields(toMinor(amount, currency), currency),
+  date: on(date),
+  ...fields,
+});
+
+const weeklyGroceries = {
+  id: 'weekly-groceries',
+  ...moneyFields(5000, 'USD'),
+  currency: 'USD',
+  category: 'Groceries',
+  type: 'expense',
+  frequency: 'weekly',
+  startDate: '2024-03-02',
+  createdAt: Timestamp.fromDate(new Date(2024, 2, 1, 9, 0, 0)),
+};
+
+const transactions = [
+  tx('salary', { type: 'income', category: 'Salary', amount: 1000.10, date: '2024-03-01' }),
+  tx('last-month', { type: 'income', category: 'Salary', amount: 200, date: '2024-02-05' }),
+  // 300 coffees at 10 cents: adding the decimals up drifts, adding minor units doesn't
+  ...Array.from({ length: 300 }, (_, i) => tx(`coffee-${i}`, { category: 'Coffee', amount: 0.1, date: '2024-03-05' })),
+  tx('groceries', { category: 'Groceries', amount: 40, date: '2024-03-08' }),
+  tx('reconciled', {
+    category: 'Groceries',
+    amount: 55.25,
+    date: '2024-03-09',
+    recurringRuleId: 'weekly-groceries',
+    recurringOccurrence: '2024-03-09',
+    ...moneyFields(5000, 'USD', 'forecastAmount'),
+  }),
+  tx('savings', { category: 'Savings', amount: 250, date: '2024-03-02', goalId: 'emergency' }),
+  tx('dinner', { category: 'Dining', amount: 10, currency: 'EUR', date: '2024-03-07' }),
+  tx('sushi', { category: 'Dining', amount: 1000, currency: 'JPY', date: '2024-03-06' }),
+  tx('internet', { category: 'Internet', amount: 30, status: 'forecasted', date: '2024-03-05' }),
+  tx('freelance', { type: 'income', category: 'Freelance', amount: 500, status: 'forecasted', date: '2024-03-20' }),
+];
+
+const summarize = (overrides = {}) => summarizeBudget({
+  transactions,
+  recurringRules: [weeklyGroceries],
+  budgets: [{ id: 'groceries-budget', category: 'groceries', limit: 100 }],
+  goals: [{ id: 'emergency', name: 'Emergency fund', targetAmount: 1000, targetDate: '2024-12-31' }],
+  currencySettings: CURRENCY_SETTINGS,
+  now: NOW,
+  ...overrides,
+});
+
+describe('summarizeBudget', () => {
+  test('totals actual transactions exactly, in the base currency', () => {
+    const summary = summarize();
+    expect(summary.totalIncome).toBe(1200.1);
+    // 300 x 0.10 + 40 + 55.25 + 250 + EUR 10 (USD 20); the JPY expense has no rate and is left out
+    expect(summary.totalExpenses).toBe(395.25);
+    expect(summary.netWorth).toBe(804.85);
+    expect(summary.missingCurrencies).toEqual(['JPY']);
+  });
+
+  test('converts foreign transactions and labels them with the base currency', () => {
+    const dinner = summarize().baseTransactions.find(t => t.id === 'dinner');
+    expect(dinner).toMatchObject({ amount: 20, amountMinor: 2000, currency: 'USD', originalAmount: 10, originalCurrency: 'EUR' });
+  });
+
+  test('works out account balances in their own currencies and net worth in the base currency', () => {
+    const summary = summarize({
+      transactions: [tx('rent', { category: 'Rent', amount: 40, date: '2024-03-01', accountId: 'checking' })],
+      accounts: [
+        { id: 'checking', name: 'Checking', currency: 'USD', openingBalance: 100 },
+        { id: 'euro', name: 'Euro savings', currency: 'EUR', openingBalance: 50 },
+      ],
+    });
+    expect(summary.accountBalances.map(a => [a.id, a.balance])).toEqual([['checking', 60], ['euro', 50]]);
+    expect(summary.unassignedBalance).toBe(0);
+    expect(summary.netWorth).toBe(160);
+    expect(summary.openingBalance).toBe(200);
+  });
+
+  test('forecasts the upcoming recurring occurrences that are not reconciled yet', () => {
+    const { recurringForecasts } = summarize();
+    // The March 9 occurrence was recorded as an actual transaction
+    expect(recurringForecasts.map(t => t.recurringOccurrence)).toEqual(['2024-03-16', '2024-03-23', '2024-03-30', '2024-04-06']);
+    recurringForecasts.forEach(t => {
+      expect(toDateKey(t.date.toDate())).toBe(t.recurringOccurrence);
+      expect(t.date.toDate().getHours()).toBe(12);
+    });
+  });
+
+  test('lists overdue forecasts, stored and recurring, oldest first', () => {
+    const { overdueForecasts } = summarize();
+    expect(overdueForecasts.map(t => [t.id, toDateKey(t.date.toDate())])).toEqual([
+      ['weekly-groceries-2024-03-02', '2024-03-02'],
+      ['internet', '2024-03-05'],
+    ]);
+  });
+
+  test('compares the rolling window with the one before it and forecasts the next one', () => {
+    const summary = summarize();
+    expect(summary.periodWindows.label).toBe('Last 30 Days');
+    expect(summary.actualCashFlow).toEqual({ income: 1000.1, expenses: 395.25, net: 604.85 });
+    expect(summary.previousCashFlow).toEqual({ income: 200, expenses: 0, net: 200 });
+    // Four weekly grocery forecasts up to April 8 and the freelance payment
+    expect(summary.forecastCashFlow).toEqual({ income: 500, expenses: 200, net: 300 });
+  });
+
+  test('compares this month to date with the same days last month', () => {
+    const summary = summarize({ periodSelection: { period: 'thisMonth' } });
+    expect(summary.actualCashFlow).toEqual({ income: 1000.1, expenses: 395.25, net: 604.85 });
+    expect(summary.previousCashFlow).toEqual({ income: 200, expenses: 0, net: 200 });
+    expect(summary.forecastCashFlow).toEqual({ income: 500, expenses: 150, net: 350 });
+  });
+
+  test('falls back to the rolling window for an invalid custom range', () => {
+    const summary = summarize({ periodSelection: { period: 'custom', customStart: '2024-03-10', customEnd: '2024-03-01' } });
+    expect(summary.periodWindows.label).toBe('Last 30 Days');
+  });
+
+  test('gives each currency its own cash flow', () => {
+    const { cashFlowByCurrency } = summarize({ periodSelection: { period: 'thisMonth' } });
+    expect(cashFlowByCurrency).toEqual([
+      { currency: 'EUR', income: 0, expenses: 10, net: -10 },
+      { currency: 'JPY', income: 0, expenses: 1000, net: -1000 },
+      { currency: 'USD', income: 1000.1, expenses: 375.25, net: 624.85 },
+    ]);
+  });
+
+  test('projects budgets with the rest of the month of recurring forecasts', () => {
+    const [groceries] = summarize().budgetProgress;
+    expect(groceries.spent).toBe(95.25);
+    expect(groceries.projected).toBe(245.25);
+    expect(groceries.status).toBe('warning');
+    expect(groceries.projectedStatus).toBe('over');
+  });
+
+  test('tracks goal contributions', () => {
+    const [goal] = summarize().goalProgress;
+    expect(goal.saved).toBe(250);
+    expect(goal.remaining).toBe(750);
+    expect(goal.overdue).toBe(false);
+  });
+
+  test('lists reconciled transactions for the forecast review', () => {
+    expect(summarize().reconciledTransactions.map(t => t.id)).toEqual(['reconciled']);
+  });
+
+  test('only depends on the clock it is given', () => {
+    const later = summarize({ now: new Date(2024, 3, 20, 9, 0, 0) });
+    expect(toDateKey(later.periodWindows.actualEnd)).toBe('2024-04-20');
+    expect(later.recurringForecasts[0].recurringOccurrence).toBe('2024-04-20');
+    expect(JSON.stringify(summarize())).toBe(JSON.stringify(summarize()));
+  });
+});
+
+describe('getUpcomingWindow', () => {
+  test('runs from the start of today to the end of the 30th day after, across the DST change', () => {
+    const { start, end } = getUpcomingWindow(NOW);
+    expect(start).toEqual(new Date(2024, 2, 9, 0, 0, 0, 0));
+    expect(end).toEqual(new Date(2024, 3, 8, 23, 59, 59, 999));
+  });
+});
+
+describe('getOverdueForecasts', () => {
+  const forecast = (id, date) => tx(id, { category: 'Bills', amount: 10, status: 'forecasted', date });
+
+  test.each([
+    ['just after midnight on the spring-forward day', new Date(2024, 2, 10, 0, 30), '2024-03-10', '2024-03-09'],
+    ['late on the fall-back day', new Date(2024, 10, 3, 23, 30), '2024-11-03', '2024-11-02'],
+    ['just before midnight on New Year\'s Eve', new Date(2024, 11, 31, 23, 59), '2024-12-31', '2024-12-30'],
+  ])('counts a forecast for today as due, not overdue, %s', (_, now, today, yesterday) => {
+    const overdue = getOverdueForecasts([forecast('today', today), forecast('yesterday', yesterday)], [], new Set(), now);
+    expect(overdue.map(t => t.id)).toEqual(['yesterday']);
+  });
+
+  test('skips recurring occurrences that were reconciled', () => {
+    const reconciled = getReconciledOccurrenceKeys(transactions);
+    const overdue = getOverdueForecasts([], [weeklyGroceries], reconciled, new Date(2024, 2, 17, 8, 0));
+    expect(overdue.map(t => t.recurringOccurrence)).toEqual(['2024-03-02', '2024-03-16']);
+  });
+});
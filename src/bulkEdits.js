@@ -0,0 +1,52 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput, toDateKey } from './dateUtils';
+import { amountMinorOf, moneyFields } from './money';
+import { currencyOf } from './currency';
+import { isSplit } from './splits';
+
+// The changes a batch action on selected transactions makes, in the form recordTransactionChanges takes
+// ([{ transaction, data, action }]). Transactions the action would leave as they are get no change, and those it
+// can't apply to are returned as skipped, so the user can be told.
+
+export const trashChanges = (transactions, userId, timestamp) => ({
+  changes: transactions.map(t => ({ transaction: t, data: { deletedAt: timestamp, deletedBy: userId }, action: 'deleted' })),
+  skipped: [],
+});
+
+// Transfers keep their fixed category, and split transactions have theirs on each line
+export const categoryChanges = (transactions, category) => {
+  const skipped = transactions.filter(t => t.type === 'transfer' || isSplit(t));
+  return {
+    changes: transactions
+      .filter(t => !skipped.includes(t) && t.category !== category)
+      .map(t => ({ transaction: t, data: { category } })),
+    skipped,
+  };
+};
+
+// Marking forecasts as actual reconciles them as they were forecast, keeping the forecast for the variance report
+// like the single-transaction reconcile does. Turning actuals into forecasts only changes the status.
+export const statusChanges = (transactions, status, timestamp) => ({
+  changes: transactions
+    .filter(t => (t.status || 'actual') !== status)
+    .map(t => ({
+      transaction: t,
+      data: status === 'actual'
+        ? {
+          status,
+          ...moneyFields(amountMinorOf(t), currencyOf(t), 'forecastAmount'),
+          forecastDate: t.date || null,
+          reconciledAt: timestamp,
+        }
+        : { status },
+    })),
+  skipped: [],
+});
+
+// Dates are stored at local noon, like the forms store them
+export const dateChanges = (transactions, dateKey) => ({
+  changes: transactions
+    .filter(t => !(t.date && t.date.toDate && toDateKey(t.date.toDate()) === dateKey))
+    .map(t => ({ transaction: t, data: { date: Timestamp.fromDate(parseDateInput(dateKey)) } })),
+  skipped: [],
+});
@@ -0,0 +1,67 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput, toDateKey } from './dateUtils';
+import { moneyFields } from './money';
+import { trashChanges, categoryChanges, statusChanges, dateChanges } from './bulkEdits';
+
+const on = (key) => Timestamp.fromDate(parseDateInput(key));
+
+const groceries = {
+  id: 'groceries',
+  ...moneyFields(4250, 'USD'),
+  currency: 'USD',
+  category: 'Groceries',
+  type: 'expense',
+  status: 'actual',
+  date: on('2024-03-08'),
+};
+const rent = { ...groceries, id: 'rent', ...moneyFields(95000, 'USD'), category: 'Rent', status: 'forecasted', date: on('2024-04-01') };
+const transfer = { ...groceries, id: 'transfer', type: 'transfer', category: 'Transfer' };
+const split = {
+  ...groceries,
+  id: 'split',
+  category: 'Split',
+  splits: [{ category: 'Groceries', amount: 30 }, { category: 'Household', amount: 12.5 }],
+};
+
+describe('trashChanges', () => {
+  test('marks every transaction deleted by the user', () => {
+    expect(trashChanges([groceries, rent], 'alice', 'now')).toEqual({
+      changes: [
+        { transaction: groceries, data: { deletedAt: 'now', deletedBy: 'alice' }, action: 'deleted' },
+        { transaction: rent, data: { deletedAt: 'now', deletedBy: 'alice' }, action: 'deleted' },
+      ],
+      skipped: [],
+    });
+  });
+});
+
+describe('categoryChanges', () => {
+  test('skips transfers and splits and leaves those already in the category alone', () => {
+    const { changes, skipped } = categoryChanges([groceries, rent, transfer, split], 'Groceries');
+    expect(changes).toEqual([{ transaction: rent, data: { category: 'Groceries' } }]);
+    expect(skipped).toEqual([transfer, split]);
+  });
+});
+
+describe('statusChanges', () => {
+  test('reconciles forecasts as they were forecast', () => {
+    const { changes } = statusChanges([groceries, rent], 'actual', 'now');
+    expect(changes).toEqual([{
+      transaction: rent,
+      data: { status: 'actual', ...moneyFields(95000, 'USD', 'forecastAmount'), forecastDate: rent.date, reconciledAt: 'now' },
+    }]);
+  });
+
+  test('turns actuals into forecasts by status alone', () => {
+    const { changes } = statusChanges([groceries, rent], 'forecasted', 'now');
+    expect(changes).toEqual([{ transaction: groceries, data: { status: 'forecasted' } }]);
+  });
+});
+
+describe('dateChanges', () => {
+  test('moves transactions to the day, skipping those already on it', () => {
+    const { changes } = dateChanges([groceries, rent], '2024-03-08');
+    expect(changes.map(change => change.transaction)).toEqual([rent]);
+    expect(toDateKey(changes[0].data.date.toDate())).toBe('2024-03-08');
+  });
+});
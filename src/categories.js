@@ -0,0 +1,41 @@
+// Palette offered when creating a category
+export const CATEGORY_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+
+// Which transaction types a category is offered for
+export const CATEGORY_SCOPES = [
+  { value: 'expense', label: 'Expenses' },
+  { value: 'income', label: 'Income' },
+  { value: 'both', label: 'Both' },
+];
+
+// Categories match ignoring case and surrounding whitespace
+export const normalizeCategory = (category) => (category || '').trim().toLowerCase();
+
+// Finds the managed category matching a free-text name, if any
+export const findCategory = (name, categories) =>
+  categories.find(c => normalizeCategory(c.name) === normalizeCategory(name)) || null;
+
+// Snaps typed input to the managed category's spelling so "groceries " is stored as "Groceries"
+export const canonicalCategoryName = (name, categories) => {
+  const match = findCategory(name, categories);
+  return match ? match.name : name.trim();
+};
+
+// Managed categories offered for a transaction type, alphabetically
+export const categoriesForType = (categories, type) =>
+  categories
+    .filter(c => !c.scope || c.scope === 'both' || c.scope === type)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+// Every distinct category name in use, managed or typed on a transaction, alphabetically
+export const collectCategoryNames = (categories, transactions) => {
+  const names = new Set(categories.map(c => c.name));
+  transactions.forEach(t => {
+    // Split transactions are filed under each of their lines rather than the "Split" placeholder
+    const used = Array.isArray(t.splits) && t.splits.length > 1 ? t.splits.map(s => s.category) : [t.category];
+    used.forEach(name => {
+      if (name) names.add(name);
+    });
+  });
+  return [...names].sort((a, b) => a.localeCompare(b));
+};
@@ -0,0 +1,122 @@
+import { normalizeCategory } from './categories';
+import { isSplit } from './splits';
+
+// Auto-categorization rules, stored in the categoryRules collection as
+//   { match, minAmount, maxAmount, category, type, learned, createdAt }
+// match is text the payee or description must contain (ignoring case); minAmount/maxAmount bound the amount (inclusive) and
+// either may be null. Every condition a rule has must hold. type is 'expense', 'income' or null to keep the
+// transaction's own type. learned marks rules suggested from past categorizations rather than written by hand.
+
+// Bank descriptions often carry card numbers, dates or reference codes ("TESCO STORES 2231 12/05"), so learned rules
+// match on the words only
+export const descriptionKey = (description) =>
+  (description || '')
+    .toLowerCase()
+    .replace(/[^a-z\s&'-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const ruleMatches = (rule, t) => {
+  if (t.type === 'transfer') return false;
+  const match = (rule.match || '').trim().toLowerCase();
+  const hasRange = rule.minAmount != null || rule.maxAmount != null;
+  if (!match && !hasRange) return false;
+  // Learned rules match on descriptionKey, so the text is tried both as written and with the noise removed
+  if (match && ![t.payee, t.description].some(text =>
+    (text || '').toLowerCase().includes(match) || descriptionKey(text).includes(match))) {
+    return false;
+  }
+  if (hasRange) {
+    const amount = t.amount;
+    if (amount === undefined || amount === null || isNaN(amount)) return false;
+    if (rule.minAmount != null && amount < rule.minAmount) return false;
+    if (rule.maxAmount != null && amount > rule.maxAmount) return false;
+  }
+  return true;
+};
+
+// Rules written by hand win over learned ones, then rules with more conditions win over broader ones, so
+// "Amazon, under 20 → Books" is tried before "Amazon → Shopping"
+const ruleRank = (rule) =>
+  (rule.learned ? 0 : 4) + (rule.match ? 2 : 0) + (rule.minAmount != null || rule.maxAmount != null ? 1 : 0);
+
+export const sortRules = (rules) => [...rules].sort((a, b) => ruleRank(b) - ruleRank(a));
+
+// The first rule that applies to a transaction, or null
+export const findMatchingRule = (rules, t) => sortRules(rules).find(rule => ruleMatches(rule, t)) || null;
+
+// The category and type a transaction would get from the rules, or null if no rule applies
+export const categorizeByRules = (rules, t) => {
+  const rule = findMatchingRule(rules, t);
+  if (!rule) return null;
+  return { category: rule.category, type: rule.type || t.type, ruleId: rule.id };
+};
+
+// Short human-readable summary of a rule's conditions, e.g. 'contains "tesco" · 10.00 to 50.00'
+export const describeRule = (rule, formatAmount = (value) => value.toFixed(2)) => {
+  const parts = [];
+  if (rule.match) parts.push(`contains "${rule.match}"`);
+  if (rule.minAmount != null && rule.maxAmount != null) {
+    parts.push(`${formatAmount(rule.minAmount)} to ${formatAmount(rule.maxAmount)}`);
+  } else if (rule.minAmount != null) {
+    parts.push(`at least ${formatAmount(rule.minAmount)}`);
+  } else if (rule.maxAmount != null) {
+    parts.push(`up to ${formatAmount(rule.maxAmount)}`);
+  }
+  return parts.join(' · ');
+};
+
+// Suggests rules from how transactions with the same payee (or description, when there is no payee) have been
+// categorized by hand. A payee needs at least minCount categorized transactions, and one category for at least
+// `agreement` of them. Payees the existing rules already file the same way are skipped.
+export const learnRules = (transactions, rules, { minCount = 2, agreement = 0.8 } = {}) => {
+  const groups = {};
+  transactions
+    .filter(t => t.type !== 'transfer' && !isSplit(t) && t.category && t.status === 'actual')
+    .forEach(t => {
+      const key = descriptionKey(t.payee || t.description);
+      if (key.length < 3) return;
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(t);
+    });
+
+  return Object.entries(groups)
+    .filter(([, items]) => items.length >= minCount)
+    .map(([key, items]) => {
+      const counts = {};
+      items.forEach(t => {
+        const name = normalizeCategory(t.category);
+        if (!counts[name]) counts[name] = { category: t.category, count: 0 };
+        counts[name].count += 1;
+      });
+      const top = Object.values(counts).sort((a, b) => b.count - a.count)[0];
+      return { key, items, top };
+    })
+    .filter(({ items, top }) => top.count / items.length >= agreement)
+    .filter(({ items, top }) => {
+      const current = categorizeByRules(rules, items[0]);
+      return !current || normalizeCategory(current.category) !== normalizeCategory(top.category);
+    })
+    .map(({ key, items, top }) => ({
+      match: key,
+      minAmount: null,
+      maxAmount: null,
+      category: top.category,
+      type: null, // Refunds share a description with purchases, so learned rules leave the type alone
+      learned: true,
+      basedOn: top.count,
+      examples: items.length,
+    }))
+    .sort((a, b) => b.basedOn - a.basedOn);
+};
+
+// What re-running the rules over existing transactions would change: one entry per transaction whose category or
+// type differs from what the rules give. Transfers and split transactions are left alone.
+export const previewRuleChanges = (rules, transactions) =>
+  transactions
+    .filter(t => t.type !== 'transfer' && !isSplit(t) && !t.isRecurring)
+    .map(t => ({ transaction: t, result: categorizeByRules(rules, t) }))
+    .filter(({ transaction, result }) => result && (
+      normalizeCategory(result.category) !== normalizeCategory(transaction.category) || result.type !== transaction.type
+    ))
+    .map(({ transaction, result }) => ({ transaction, category: result.category, type: result.type }));
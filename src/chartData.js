@@ -0,0 +1,173 @@
+import { toDateKey, toJsDate } from './dateUtils';
+import { findCategory, normalizeCategory, CATEGORY_COLORS } from './categories';
+import { expandSplits } from './splits';
+import { transactionTags, normalizeTag } from './tags';
+import { DEFAULT_CURRENCY, amountMinorOf, sumMoney, toMinor, fromMinor } from './money';
+
+const isBetween = (date, start, end) => date && date >= start && date <= end;
+
+// How a transaction moves the overall balance, in minor units. Transfers only move money between accounts, so they
+// don't change it.
+export const signedAmountMinor = (t) => {
+  if (t.type === 'income') return amountMinorOf(t);
+  if (t.type === 'expense') return -amountMinorOf(t);
+  return 0;
+};
+
+// Actual expenses in the range grouped by category, largest first. Managed categories keep their color.
+// Split transactions count each line under its own category.
+export const spendingByCategory = (transactions, categories, start, end) => {
+  const totals = {};
+  expandSplits(transactions).forEach(t => {
+    if (t.status !== 'actual' || t.type !== 'expense' || !isBetween(toJsDate(t.date), start, end)) return;
+    const key = normalizeCategory(t.category);
+    if (!totals[key]) {
+      const managed = findCategory(t.category, categories);
+      totals[key] = { name: managed ? managed.name : t.category, items: [], color: managed ? managed.color : null };
+    }
+    totals[key].items.push(t);
+  });
+  return Object.values(totals)
+    .map(({ items, ...entry }) => ({ ...entry, value: sumMoney(items) }))
+    .sort((a, b) => b.value - a.value)
+    .map((entry, index) => ({ ...entry, color: entry.color || CATEGORY_COLORS[index % CATEGORY_COLORS.length] }));
+};
+
+// Actual expenses in [start, end] grouped by tag, largest first. A transaction counts toward each of its tags, so the
+// slices can add up to more than the total spent; untagged spending is left out.
+export const spendingByTag = (transactions, start, end) => {
+  const totals = {};
+  transactions.forEach(t => {
+    if (t.status !== 'actual' || t.type !== 'expense' || !isBetween(toJsDate(t.date), start, end)) return;
+    transactionTags(t).forEach(tag => {
+      const key = normalizeTag(tag);
+      if (!totals[key]) totals[key] = { name: tag, items: [] };
+      totals[key].items.push(t);
+    });
+  });
+  return Object.values(totals)
+    .map(({ name, items }) => ({ name, value: sumMoney(items) }))
+    .sort((a, b) => b.value - a.value)
+    .map((entry, index) => ({ ...entry, color: CATEGORY_COLORS[index % CATEGORY_COLORS.length] }));
+};
+
+// Actual income and expenses per calendar month in the range, oldest first, including empty months
+export const monthlyIncomeVsExpense = (transactions, start, end) => {
+  const months = [];
+  const cursor = new Date(start.getFullYear(), start.getMonth(), 1, 12);
+  while (cursor <= end) {
+    months.push({
+      month: toDateKey(cursor).slice(0, 7),
+      label: cursor.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+    });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  const itemsByMonth = Object.fromEntries(months.map(m => [m.month, []]));
+  transactions.forEach(t => {
+    const date = toJsDate(t.date);
+    if (t.status !== 'actual' || !isBetween(date, start, end)) return;
+    const items = itemsByMonth[toDateKey(date).slice(0, 7)];
+    if (items) items.push(t);
+  });
+  return months.map(m => ({
+    ...m,
+    income: sumMoney(itemsByMonth[m.month].filter(t => t.type === 'income')),
+    expenses: sumMoney(itemsByMonth[m.month].filter(t => t.type === 'expense')),
+  }));
+};
+
+// Day-by-day running balance from start to end. Days up to today carry `actual` (from actual transactions);
+// days after today carry `projected` (actual balance plus forecasts). Today has both so the two lines join.
+// startingBalance is the accounts' opening balances, which exist before any transaction. Everything is in `currency`.
+export const runningBalanceSeries = (
+  transactions, forecasts, start, end, today = new Date(), startingBalance = 0, currency = DEFAULT_CURRENCY
+) => {
+  const todayKey = toDateKey(today);
+  const changesByDay = {};
+  let openingBalance = toMinor(startingBalance, currency);
+
+  transactions.forEach(t => {
+    const date = toJsDate(t.date);
+    if (t.status !== 'actual' || !date) return;
+    if (date < start) {
+      openingBalance += signedAmountMinor(t);
+    } else if (date <= end) {
+      const key = toDateKey(date);
+      changesByDay[key] = (changesByDay[key] || 0) + signedAmountMinor(t);
+    }
+  });
+  // Only forecasts after today move the projected line; overdue ones are left to reconciliation
+  forecasts.forEach(t => {
+    const date = toJsDate(t.date);
+    if (!isBetween(date, start, end) || toDateKey(date) <= todayKey) return;
+    const key = toDateKey(date);
+    changesByDay[key] = (changesByDay[key] || 0) + signedAmountMinor(t);
+  });
+
+  const series = [];
+  let runningBalance = openingBalance;
+  const cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate(), 12);
+  while (cursor <= end) {
+    const key = toDateKey(cursor);
+    runningBalance += changesByDay[key] || 0;
+    const rounded = fromMinor(runningBalance, currency);
+    series.push({
+      date: key,
+      label: cursor.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      actual: key <= todayKey ? rounded : null,
+      projected: key >= todayKey ? rounded : null,
+    });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return series;
+};
+
+// Day-by-day projected balance for the next `days` days, starting from today's actual balance and applying forecasts
+// in date order. Forecasts dated before today are overdue and left to reconciliation. Each day lists the forecasts
+// it applied. breach is the first day that ends below threshold (null if none, or if threshold is null) along with
+// the outflows that day that took the balance under; causes is empty when the balance starts out below it.
+// Balances and threshold are in `currency`, which the forecasts must already be converted to.
+export const projectBalance = (startingBalance, forecasts, days, threshold, today = new Date(), currency = DEFAULT_CURRENCY) => {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 12);
+  const end = new Date(start);
+  end.setDate(end.getDate() + days);
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+
+  const itemsByDay = {};
+  forecasts.forEach(t => {
+    const date = toJsDate(t.date);
+    if (!date) return;
+    const key = toDateKey(date);
+    if (key < startKey || key > endKey) return;
+    if (!itemsByDay[key]) itemsByDay[key] = [];
+    itemsByDay[key].push(t);
+  });
+
+  const series = [];
+  let balance = toMinor(startingBalance, currency);
+  let breach = null;
+  let lowest = null;
+  const cursor = new Date(start);
+  while (cursor <= end) {
+    const key = toDateKey(cursor);
+    const items = itemsByDay[key] || [];
+    const opening = fromMinor(balance, currency);
+    balance = items.reduce((acc, t) => acc + signedAmountMinor(t), balance);
+    const rounded = fromMinor(balance, currency);
+    const point = { date: key, balance: rounded, items };
+    series.push(point);
+    if (!lowest || rounded < lowest.balance) lowest = point;
+    if (!breach && threshold !== null && rounded < threshold) {
+      breach = {
+        ...point,
+        openingBalance: opening,
+        causes: opening < threshold ? [] : items
+          .filter(t => signedAmountMinor(t) < 0)
+          .sort((a, b) => signedAmountMinor(a) - signedAmountMinor(b)),
+      };
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return { series, breach, lowest, endBalance: fromMinor(balance, currency) };
+};
@@ -0,0 +1,178 @@
+import { DEFAULT_CURRENCY, currencyOf, amountMinorOf, fromMinor, toMinor, moneyFields } from './money';
+
+export { DEFAULT_CURRENCY, currencyOf };
+
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'CAD', 'GBP', 'AUD', 'CHF', 'JPY', 'MXN'];
+
+// Exchange rates are kept on this device only, in localStorage under this key
+const STORAGE_KEY = 'budgetTracker.currencySettings';
+
+// rates[code] is how many units of `code` one unit of the base currency buys, e.g. { EUR: 0.92 } with a USD base.
+// That is the layout exchange rate services publish, so their files import as-is.
+export const DEFAULT_CURRENCY_SETTINGS = { baseCurrency: DEFAULT_CURRENCY, rates: {} };
+
+export const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(code);
+
+export const loadCurrencySettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && isCurrencyCode(stored.baseCurrency) && stored.rates && typeof stored.rates === 'object') {
+      return { baseCurrency: stored.baseCurrency, rates: stored.rates };
+    }
+  } catch (err) {
+    console.error("Error reading exchange rates:", err);
+  }
+  return DEFAULT_CURRENCY_SETTINGS;
+};
+
+export const saveCurrencySettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error("Error saving exchange rates:", err);
+  }
+};
+
+// Units of `code` per unit of the base currency, or null when no rate has been entered
+const rateOf = (code, settings) => {
+  if (code === settings.baseCurrency) return 1;
+  const rate = settings.rates[code];
+  return rate > 0 ? rate : null;
+};
+
+// Converts between any two currencies through the base currency. Returns null when a rate is missing.
+export const convertAmount = (amount, from, to, settings) => {
+  if (from === to) return amount;
+  const fromRate = rateOf(from, settings);
+  const toRate = rateOf(to, settings);
+  if (fromRate === null || toRate === null) return null;
+  return (amount / fromRate) * toRate;
+};
+
+// A convert(amount, from, to) function bound to the current settings, for modules that shouldn't know about rates
+export const makeConverter = (settings) => (amount, from, to) => convertAmount(amount, from, to, settings);
+
+// An item's amount field ('amount' or 'forecastAmount') in minor units of the base currency, rounded to it, or null
+// when the item's currency has no rate
+export const baseAmountMinorOf = (item, settings, field = 'amount') => {
+  const currency = currencyOf(item);
+  if (currency === settings.baseCurrency) return amountMinorOf(item, field);
+  const factor = convertAmount(1, currency, settings.baseCurrency, settings);
+  if (factor === null) return null;
+  return toMinor(fromMinor(amountMinorOf(item, field), currency) * factor, settings.baseCurrency);
+};
+
+// Copies of the transactions with `amount` (and `forecastAmount`, when reconciled) in the base currency, for summaries
+// and charts. Converted amounts are rounded to the base currency's minor unit and the copies take its code, so they
+// add up like any other base-currency amount; the original amount and currency stay on `originalAmount` and
+// `originalCurrency`. Transactions in a currency without a rate are left out and their codes reported.
+export const convertToBase = (transactions, settings) => {
+  const missing = new Set();
+  const converted = [];
+  transactions.forEach(t => {
+    const currency = currencyOf(t);
+    if (currency === settings.baseCurrency) {
+      converted.push(t);
+      return;
+    }
+    const amountMinor = baseAmountMinorOf(t, settings);
+    if (amountMinor === null) {
+      missing.add(currency);
+      return;
+    }
+    converted.push({
+      ...t,
+      ...moneyFields(amountMinor, settings.baseCurrency),
+      currency: settings.baseCurrency,
+      originalAmount: t.amount,
+      originalCurrency: currency,
+      ...(t.forecastAmount != null
+        ? moneyFields(baseAmountMinorOf(t, settings, 'forecastAmount'), settings.baseCurrency, 'forecastAmount')
+        : {}),
+    });
+  });
+  return { converted, missingCurrencies: [...missing].sort() };
+};
+
+// Switching the base currency re-expresses every rate against the new base, so the rate table stays correct.
+// Returns null when there is no rate for the new base to convert with.
+export const changeBaseCurrency = (settings, baseCurrency) => {
+  const newBaseRate = rateOf(baseCurrency, settings);
+  if (newBaseRate === null) return null;
+  const rates = {};
+  [settings.baseCurrency, ...Object.keys(settings.rates)].forEach(code => {
+    const rate = rateOf(code, settings);
+    if (code !== baseCurrency && rate !== null) rates[code] = rate / newBaseRate;
+  });
+  return { baseCurrency, rates };
+};
+
+// Every currency the user might pick: the base, anything with a rate, then the common ones
+export const knownCurrencies = (settings) => [
+  ...new Set([settings.baseCurrency, ...Object.keys(settings.rates).sort(), ...COMMON_CURRENCIES]),
+];
+
+// Reads an exchange rate file: JSON ({ "base": "USD", "rates": { "EUR": 0.92 } } or just { "EUR": 0.92 }) or CSV with
+// one "CODE,rate" pair per line. Rates quoted against another base are converted to the current one.
+// Throws an Error with a user-facing message when the file can't be used.
+export const parseExchangeRates = (text, settings) => {
+  let base = settings.baseCurrency;
+  let entries;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (data.rates && typeof data.rates === 'object') {
+      if (data.base) base = String(data.base).toUpperCase();
+      entries = Object.entries(data.rates);
+    } else {
+      entries = Object.entries(data);
+    }
+  } else {
+    entries = trimmed.split(/\r?\n/)
+      .map(line => line.split(/[,;\t]/).map(cell => cell.trim()))
+      .filter(cells => cells.length >= 2 && !isNaN(parseFloat(cells[1])));
+  }
+
+  const fileRates = {};
+  entries.forEach(([code, rate]) => {
+    const normalized = String(code).toUpperCase();
+    const value = parseFloat(rate);
+    if (isCurrencyCode(normalized) && value > 0) fileRates[normalized] = value;
+  });
+  if (Object.keys(fileRates).length === 0) {
+    throw new Error("No exchange rates found in the file.");
+  }
+  if (base === settings.baseCurrency) return fileRates;
+
+  // The file is quoted in another base: it needs a rate for our base to translate through
+  const ourBaseInFile = fileRates[settings.baseCurrency];
+  if (!ourBaseInFile) {
+    throw new Error(`The file's rates are quoted in ${base} and don't include ${settings.baseCurrency}.`);
+  }
+  const rates = { [base]: 1 / ourBaseInFile };
+  Object.entries(fileRates).forEach(([code, rate]) => {
+    if (code !== settings.baseCurrency) rates[code] = rate / ourBaseInFile;
+  });
+  return rates;
+};
+
+// Groups transactions by their currency code, e.g. { USD: [...], EUR: [...] }
+export const groupByCurrency = (transactions) => {
+  const groups = {};
+  transactions.forEach(t => {
+    const currency = currencyOf(t);
+    if (!groups[currency]) groups[currency] = [];
+    groups[currency].push(t);
+  });
+  return groups;
+};
+
+const formatters = {};
+
+// Formats an amount in the given currency for the user's locale
+export const formatMoney = (value, currency = DEFAULT_CURRENCY) => {
+  if (!formatters[currency]) {
+    formatters[currency] = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+  }
+  return formatters[currency].format(value || 0);
+};
@@ -0,0 +1,67 @@
+// Utility function to convert Firebase timestamp or Date object to readable date string
+export const formatDate = (dateValue) => {
+  if (dateValue && dateValue.toDate) { // Firebase Timestamp
+    return dateValue.toDate().toLocaleDateString();
+  }
+  if (dateValue instanceof Date) { // JavaScript Date object
+    return dateValue.toLocaleDateString();
+  }
+  // If it's a string in YYYY-MM-DD format, parse it
+  if (typeof dateValue === 'string' && dateValue.match(/^\d{4}-\d{2}-\d{2}$/)) {
+    const [year, month, day] = dateValue.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString();
+  }
+  return 'N/A';
+};
+
+// Utility function to convert a stored date value into the YYYY-MM-DD string a date input expects
+export const toDateInputValue = (dateValue) => {
+  let date = null;
+  if (dateValue && dateValue.toDate) { // Firebase Timestamp
+    date = dateValue.toDate();
+  } else if (dateValue instanceof Date) {
+    date = dateValue;
+  } else if (typeof dateValue === 'string' && dateValue.match(/^\d{4}-\d{2}-\d{2}$/)) {
+    return dateValue;
+  }
+  if (!date) return '';
+  return toDateKey(date);
+};
+
+// Parses a YYYY-MM-DD string into a local Date at noon (noon avoids DST/timezone day shifts).
+// Every calendar date picked in the app is stored this way, so it reads back as the same day in the same time zone
+// whatever DST does around it.
+export const parseDateInput = (value) => {
+  if (typeof value !== 'string' || !value.match(/^\d{4}-\d{2}-\d{2}$/)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, 12, 0, 0);
+};
+
+// Formats a Date as a local-calendar YYYY-MM-DD key
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// A Firestore Timestamp (or anything with toDate) as a Date; null for missing or pending values
+export const toJsDate = (dateValue) => (dateValue && dateValue.toDate ? dateValue.toDate() : null);
+
+export const startOfDay = (date) => {
+  const copy = new Date(date);
+  copy.setHours(0, 0, 0, 0);
+  return copy;
+};
+
+export const endOfDay = (date) => {
+  const copy = new Date(date);
+  copy.setHours(23, 59, 59, 999);
+  return copy;
+};
+
+// Moves a date by calendar days, keeping the local time of day even across a DST change
+export const addDays = (date, days) => {
+  const copy = new Date(date);
+  copy.setDate(copy.getDate() + days);
+  return copy;
+};
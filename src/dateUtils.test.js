@@ -0,0 +1,165 @@
+import { Timestamp } from 'firebase/firestore';
+import {
+  parseDateInput,
+  toDateKey,
+  toDateInputValue,
+  toJsDate,
+  startOfDay,
+  endOfDay,
+  addDays,
+} from './dateUtils';
+
+// These tests run in America/New_York (see setupTimezone.js), where 2024 springs forward on March 10 (midnight to
+// 23:00 is 23 hours) and falls back on November 3 (25 hours)
+const SPRING_FORWARD = '2024-03-10';
+const FALL_BACK = '2024-11-03';
+const HOUR = 60 * 60 * 1000;
+
+// Every YYYY-MM-DD key of a year, built without Date arithmetic so the test doesn't share the code under test
+const everyDayOf = (year) => {
+  const keys = [];
+  for (let month = 1; month <= 12; month++) {
+    const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    for (let day = 1; day <= days; day++) {
+      keys.push(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+    }
+  }
+  return keys;
+};
+
+// Days of the year on which the local UTC offset changes, found by comparing each midnight with the next
+const transitionDaysOf = (year) => everyDayOf(year).filter(key => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d).getTimezoneOffset() !== new Date(y, m - 1, d + 1).getTimezoneOffset();
+});
+
+describe('test time zone', () => {
+  test('observes daylight saving time, so the DST cases below mean something', () => {
+    expect(transitionDaysOf(2024)).toEqual([SPRING_FORWARD, FALL_BACK]);
+  });
+});
+
+describe('parseDateInput', () => {
+  test('reads every day of a leap year back as the same calendar day, at local noon', () => {
+    everyDayOf(2024).forEach(key => {
+      const date = parseDateInput(key);
+      expect(toDateKey(date)).toBe(key);
+      expect(date.getHours()).toBe(12);
+      expect(date.getMinutes()).toBe(0);
+    });
+  });
+
+  test('survives a round trip through a Firestore Timestamp on every day of the year', () => {
+    everyDayOf(2024).forEach(key => {
+      const stored = Timestamp.fromDate(parseDateInput(key));
+      expect(toDateInputValue(stored)).toBe(key);
+      expect(toDateKey(toJsDate(stored))).toBe(key);
+    });
+  });
+
+  test.each([SPRING_FORWARD, FALL_BACK])('keeps %s on its own day even though that day is not 24 hours long', (key) => {
+    const date = parseDateInput(key);
+    expect(toDateKey(date)).toBe(key);
+    expect(toDateKey(new Date(date.getTime() - 11 * HOUR))).toBe(key);
+    expect(toDateKey(new Date(date.getTime() + 11 * HOUR))).toBe(key);
+  });
+
+  test('is needed: a bare date string is read as UTC midnight, which is the previous day here', () => {
+    expect(toDateKey(new Date(SPRING_FORWARD))).toBe('2024-03-09');
+    expect(toDateKey(parseDateInput(SPRING_FORWARD))).toBe(SPRING_FORWARD);
+  });
+
+  test('is still the same day for a reader in UTC, such as the server or an export', () => {
+    everyDayOf(2024).forEach(key => {
+      expect(parseDateInput(key).toISOString().slice(0, 10)).toBe(key);
+    });
+  });
+
+  test.each([
+    ['2024-02-29', '2024-02-29'],
+    ['2024-12-31', '2024-12-31'],
+    ['2025-01-01', '2025-01-01'],
+  ])('handles the year and month edge %s', (input, expected) => {
+    expect(toDateKey(parseDateInput(input))).toBe(expected);
+  });
+
+  test.each([
+    [''],
+    ['2024-3-10'],
+    ['03/10/2024'],
+    ['2024-03-10T12:00:00'],
+    [null],
+    [undefined],
+    [20240310],
+  ])('returns null for %p', (input) => {
+    expect(parseDateInput(input)).toBeNull();
+  });
+});
+
+describe('toDateInputValue', () => {
+  test('formats Timestamps, Dates and date strings as YYYY-MM-DD', () => {
+    expect(toDateInputValue(Timestamp.fromDate(parseDateInput(FALL_BACK)))).toBe(FALL_BACK);
+    expect(toDateInputValue(new Date(2024, 10, 3, 0, 30))).toBe(FALL_BACK);
+    expect(toDateInputValue(FALL_BACK)).toBe(FALL_BACK);
+  });
+
+  test('returns an empty string for anything else', () => {
+    expect(toDateInputValue(null)).toBe('');
+    expect(toDateInputValue('next week')).toBe('');
+  });
+});
+
+describe('toJsDate', () => {
+  test('converts Timestamps and passes over pending or missing values', () => {
+    const date = parseDateInput(SPRING_FORWARD);
+    expect(toJsDate(Timestamp.fromDate(date))).toEqual(date);
+    expect(toJsDate(null)).toBeNull();
+    expect(toJsDate(undefined)).toBeNull();
+  });
+});
+
+describe('startOfDay and endOfDay', () => {
+  test.each([
+    [SPRING_FORWARD, 23],
+    [FALL_BACK, 25],
+    ['2024-07-04', 24],
+  ])('span %s, a %i hour day', (key, hours) => {
+    const start = startOfDay(parseDateInput(key));
+    const end = endOfDay(parseDateInput(key));
+    expect(toDateKey(start)).toBe(key);
+    expect(toDateKey(end)).toBe(key);
+    expect([start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds()]).toEqual([0, 0, 0, 0]);
+    expect([end.getHours(), end.getMinutes(), end.getSeconds(), end.getMilliseconds()]).toEqual([23, 59, 59, 999]);
+    expect(end.getTime() - start.getTime() + 1).toBe(hours * HOUR);
+  });
+
+  test('do not change the date passed in', () => {
+    const date = parseDateInput(FALL_BACK);
+    startOfDay(date);
+    endOfDay(date);
+    expect(date.getHours()).toBe(12);
+  });
+});
+
+describe('addDays', () => {
+  test.each([
+    ['2024-03-09', 1, SPRING_FORWARD],
+    [SPRING_FORWARD, 1, '2024-03-11'],
+    ['2024-11-02', 1, FALL_BACK],
+    [FALL_BACK, 1, '2024-11-04'],
+    ['2024-03-01', 30, '2024-03-31'],
+    ['2024-11-10', -30, '2024-10-11'],
+    ['2024-12-31', 1, '2025-01-01'],
+  ])('moves %s by %i days to %s, still at noon', (from, days, expected) => {
+    const moved = addDays(parseDateInput(from), days);
+    expect(toDateKey(moved)).toBe(expected);
+    expect(moved.getHours()).toBe(12);
+  });
+
+  test('counts calendar days where adding 24 hours would not', () => {
+    const midnight = startOfDay(parseDateInput(FALL_BACK));
+    expect(toDateKey(new Date(midnight.getTime() + 24 * HOUR))).toBe(FALL_BACK);
+    expect(toDateKey(addDays(midnight, 1))).toBe('2024-11-04');
+    expect(addDays(midnight, 1).getHours()).toBe(0);
+  });
+});
@@ -0,0 +1,218 @@
+import { Timestamp } from 'firebase/firestore';
+import { toDateInputValue, formatDate } from './dateUtils';
+import { currencyOf, formatMoney } from './currency';
+import { amountMinorOf, fromMinor, minorDigits, sumMoney } from './money';
+import { isSplit, expandSplits } from './splits';
+import { transactionTags, normalizeTag } from './tags';
+
+// Bump when the backup layout changes so older files can still be recognised
+export const BACKUP_VERSION = 1;
+
+// Transaction fields stored as Firestore Timestamps; they are written to backups as ISO 8601 strings
+const TIMESTAMP_FIELDS = ['date', 'createdAt', 'updatedAt', 'forecastDate', 'reconciledAt'];
+
+const CSV_COLUMNS = ['id', 'date', 'type', 'status', 'category', 'amount', 'currency', 'splits', 'payee', 'description', 'tags', 'notes'];
+
+// Quotes a CSV cell when it contains a delimiter, quote or line break
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A cell of free text, such as an imported payee. Spreadsheets run text starting with =, +, - or @ as a formula (some
+// also text starting with a tab or carriage return), so such text gets a leading apostrophe to be shown as typed.
+// Amounts aren't free text and keep their minus sign.
+const escapeCsvText = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return escapeCsvCell(/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+};
+
+// An amount with exactly as many decimals as its currency has, e.g. "12.50" for USD and "1250" for JPY
+const csvAmount = (item, currency) => fromMinor(amountMinorOf({ ...item, currency }), currency).toFixed(minorDigits(currency));
+
+// CSV export with dates normalised to ISO (YYYY-MM-DD) so spreadsheets and tax software read them consistently
+export const transactionsToCsv = (transactions) => {
+  const lines = transactions.map(t => CSV_COLUMNS.map(column => {
+    if (column === 'date') return escapeCsvCell(toDateInputValue(t.date));
+    if (column === 'amount') return escapeCsvCell(csvAmount(t, currencyOf(t)));
+    if (column === 'currency') return escapeCsvCell(currencyOf(t));
+    // Split lines as "Groceries=60.00; Household=40.00"
+    if (column === 'splits') return escapeCsvText(isSplit(t) ? t.splits.map(s => `${s.category}=${csvAmount(s, currencyOf(t))}`).join('; ') : '');
+    if (column === 'tags') return escapeCsvText(transactionTags(t).join('; '));
+    return escapeCsvText(t[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+};
+
+// Full JSON backup. Every field is kept and Timestamps become ISO strings, so parseJsonBackup can restore it exactly.
+export const createJsonBackup = (transactions) => {
+  const serialized = transactions.map(t => {
+    const { pendingSync, ...copy } = t; // Local sync state, not part of the data
+    TIMESTAMP_FIELDS.forEach(field => {
+      if (copy[field] && copy[field].toDate) {
+        copy[field] = copy[field].toDate().toISOString();
+      }
+    });
+    return copy;
+  });
+  return JSON.stringify({
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    transactions: serialized,
+  }, null, 2);
+};
+
+// Reads a backup written by createJsonBackup back into Firestore-ready documents (Timestamps restored).
+// Throws if the file isn't a backup this app understands.
+export const parseJsonBackup = (text) => {
+  const backup = JSON.parse(text);
+  if (!backup || backup.version !== BACKUP_VERSION || !Array.isArray(backup.transactions)) {
+    throw new Error('Unrecognised backup file');
+  }
+  return backup.transactions.map(({ id, ...data }) => {
+    TIMESTAMP_FIELDS.forEach(field => {
+      if (typeof data[field] === 'string') {
+        const date = new Date(data[field]);
+        data[field] = isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+      }
+    });
+    return { id, data };
+  });
+};
+
+// Triggers a browser download of the given text
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Builds a standalone printable HTML page for one month (month is YYYY-MM). The browser's print dialog turns it into a PDF.
+// summary carries the dashboard numbers: totalIncome, totalExpenses, balance (net worth), plus actualCashFlow and forecastCashFlow
+// for the selected period (forecastCashFlow is null once the period is over), the periodWindows describing it and the
+// baseCurrency they are in. transactions are converted to the base currency (see convertToBase); each row still shows
+// the amount in its original currency.
+export const buildMonthlyReportHtml = (transactions, month, summary) => {
+  const money = (value) => formatMoney(value, summary.baseCurrency);
+  const monthTransactions = transactions
+    .filter(t => toDateInputValue(t.date).startsWith(month))
+    .sort((a, b) => toDateInputValue(a.date).localeCompare(toDateInputValue(b.date)));
+  const actual = monthTransactions.filter(t => t.status === 'actual');
+  const monthIncome = sumMoney(actual.filter(t => t.type === 'income'));
+  const monthExpenses = sumMoney(actual.filter(t => t.type === 'expense'));
+
+  const expensesByCategory = {};
+  expandSplits(actual.filter(t => t.type === 'expense')).forEach(t => {
+    if (!expensesByCategory[t.category]) expensesByCategory[t.category] = [];
+    expensesByCategory[t.category].push(t);
+  });
+  const categoryRows = Object.entries(expensesByCategory)
+    .map(([name, items]) => [name, sumMoney(items)])
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, total]) => `<tr><td>${escapeHtml(name)}</td><td class="num">${money(total)}</td></tr>`)
+    .join('');
+
+  // A transaction counts toward each of its tags
+  const expensesByTag = {};
+  actual.filter(t => t.type === 'expense').forEach(t => {
+    transactionTags(t).forEach(tag => {
+      const key = normalizeTag(tag);
+      if (!expensesByTag[key]) expensesByTag[key] = { name: tag, items: [] };
+      expensesByTag[key].items.push(t);
+    });
+  });
+  const tagRows = Object.values(expensesByTag)
+    .map(({ name, items }) => ({ name, total: sumMoney(items) }))
+    .sort((a, b) => b.total - a.total)
+    .map(({ name, total }) => `<tr><td>#${escapeHtml(name)}</td><td class="num">${money(total)}</td></tr>`)
+    .join('');
+
+  const transactionRows = monthTransactions.map(t => `
+    <tr>
+      <td>${escapeHtml(toDateInputValue(t.date))}</td>
+      <td>${escapeHtml(isSplit(t) ? t.splits.map(s => s.category).join(', ') : t.category)}</td>
+      <td>${escapeHtml(t.payee || '')}</td>
+      <td>${escapeHtml(t.type)}</td>
+      <td>${escapeHtml(t.status)}</td>
+      <td class="num">${t.type === 'income' ? '+' : t.type === 'transfer' ? '' : '-'}${escapeHtml(formatMoney(Math.abs(t.originalAmount ?? t.amount ?? 0), t.originalCurrency || currencyOf(t)))}</td>
+    </tr>`).join('');
+
+  const [year, monthNumber] = month.split('-').map(Number);
+  const title = new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  const { totalIncome, totalExpenses, balance, actualCashFlow, forecastCashFlow, periodWindows } = summary;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Budget Report - ${escapeHtml(title)}</title>
+<style>
+  body { font-family: 'Inter', Arial, sans-serif; color: #1f2937; margin: 2rem; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 2rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; }
+  .cards { display: flex; gap: 1rem; }
+  .card { flex: 1; border: 1px solid #d1d5db; border-radius: 0.5rem; padding: 0.75rem; text-align: center; }
+  .card p { margin: 0.25rem 0; }
+  .label { font-size: 0.8rem; color: #4b5563; }
+  .value { font-size: 1.1rem; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; margin-top: 0.5rem; }
+  th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  .num { text-align: right; }
+  @media print { body { margin: 0.5in; } }
+</style>
+</head>
+<body>
+<h1>Budget Report: ${escapeHtml(title)}</h1>
+<p class="label">Generated ${escapeHtml(formatDate(new Date()))}</p>
+
+<h2>Overview</h2>
+<div class="cards">
+  <div class="card"><p class="label">Total Income</p><p class="value">${money(totalIncome)}</p></div>
+  <div class="card"><p class="label">Total Expenses</p><p class="value">${money(totalExpenses)}</p></div>
+  <div class="card"><p class="label">Net Worth</p><p class="value">${money(balance)}</p></div>
+</div>
+
+<h2>${escapeHtml(title)}</h2>
+<div class="cards">
+  <div class="card"><p class="label">Income</p><p class="value">${money(monthIncome)}</p></div>
+  <div class="card"><p class="label">Expenses</p><p class="value">${money(monthExpenses)}</p></div>
+  <div class="card"><p class="label">Net</p><p class="value">${money(monthIncome - monthExpenses)}</p></div>
+</div>
+
+<h2>Actual Cash Flow (${escapeHtml(periodWindows.label)})</h2>
+<div class="cards">
+  <div class="card"><p class="label">Income</p><p class="value">${money(actualCashFlow.income)}</p></div>
+  <div class="card"><p class="label">Expenses</p><p class="value">${money(actualCashFlow.expenses)}</p></div>
+  <div class="card"><p class="label">Net Flow</p><p class="value">${money(actualCashFlow.net)}</p></div>
+</div>
+${forecastCashFlow ? `
+<h2>Forecasted Cash Flow (${escapeHtml(periodWindows.forecastLabel)})</h2>
+<div class="cards">
+  <div class="card"><p class="label">Anticipated Income</p><p class="value">${money(forecastCashFlow.income)}</p></div>
+  <div class="card"><p class="label">Anticipated Expenses</p><p class="value">${money(forecastCashFlow.expenses)}</p></div>
+  <div class="card"><p class="label">Net Forecast</p><p class="value">${money(forecastCashFlow.net)}</p></div>
+</div>
+` : ''}
+<h2>Expenses by Category</h2>
+${categoryRows ? `<table><tr><th>Category</th><th class="num">Spent</th></tr>${categoryRows}</table>` : '<p>No actual expenses this month.</p>'}
+${tagRows ? `
+<h2>Expenses by Tag</h2>
+<table><tr><th>Tag</th><th class="num">Spent</th></tr>${tagRows}</table>
+` : ''}
+<h2>Transactions</h2>
+${transactionRows ? `<table><tr><th>Date</th><th>Category</th><th>Payee</th><th>Type</th><th>Status</th><th class="num">Amount</th></tr>${transactionRows}</table>` : '<p>No transactions this month.</p>'}
+</body>
+</html>`;
+};
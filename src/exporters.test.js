@@ -0,0 +1,28 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput } from './dateUtils';
+import { moneyFields } from './money';
+import { transactionsToCsv } from './exporters';
+
+const refund = {
+  id: 'refund',
+  ...moneyFields(-4250, 'USD'),
+  currency: 'USD',
+  category: 'Groceries',
+  type: 'expense',
+  status: 'actual',
+  date: Timestamp.fromDate(parseDateInput('2024-03-08')),
+};
+
+const rowOf = (transaction) => transactionsToCsv([transaction]).split('\r\n')[1];
+
+describe('transactionsToCsv', () => {
+  test('keeps text starting like a formula from running in a spreadsheet', () => {
+    const row = rowOf({ ...refund, payee: '=HYPERLINK("http://example.com")', description: '+1 555', notes: '@SUM(A1)', tags: ['-x'] });
+    expect(row).toBe(`refund,2024-03-08,expense,actual,Groceries,-42.50,USD,,"'=HYPERLINK(""http://example.com"")",'+1 555,'-x,'@SUM(A1)`);
+  });
+
+  test('leaves ordinary text as it is', () => {
+    expect(rowOf({ ...refund, payee: 'Corner Shop', description: 'Milk, eggs' }))
+      .toBe('refund,2024-03-08,expense,actual,Groceries,-42.50,USD,,Corner Shop,"Milk, eggs",,');
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  getDocs,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  arrayUnion,
+  arrayRemove,
+} from 'firebase/firestore';
+import { snapshotToItems } from './useFirestoreCollection';
+import { runBatchedWrites } from './batchWrites';
+import { byCreatedAtDesc } from './budgetStore';
+
+// The budget store (see budgetStore.js) for a budget kept in Firestore under dataPath: the user's own budget or a
+// shared workspace. Writes resolve once the server has them, so callers hand them to trackWrite rather than waiting.
+export const createFirestoreStore = (db, dataPath) => {
+  const collectionRef = (name) => collection(db, `${dataPath}/${name}`);
+  const docRef = (name, id) => doc(db, `${dataPath}/${name}`, id);
+
+  return {
+    isLocal: false,
+    subscribe: (name, onItems, onError, match) => {
+      // Metadata changes are included so pendingSync clears once the server acknowledges a write. A matching query
+      // is sorted here instead, since ordering it by createdAt would need a composite index per field.
+      const options = { includeMetadataChanges: true };
+      if (match) {
+        return onSnapshot(query(collectionRef(name), where(match.field, '==', match.value)), options,
+          (snapshot) => onItems(snapshotToItems(snapshot).sort(byCreatedAtDesc)), onError);
+      }
+      return onSnapshot(query(collectionRef(name), orderBy('createdAt', 'desc')), options,
+        (snapshot) => onItems(snapshotToItems(snapshot)), onError);
+    },
+    getAll: async (name) => snapshotToItems(await getDocs(collectionRef(name))),
+    newId: (name) => doc(collectionRef(name)).id,
+    set: (name, id, data) => setDoc(docRef(name, id), data),
+    add: async (name, data) => (await addDoc(collectionRef(name), data)).id,
+    update: (name, id, data) => updateDoc(docRef(name, id), data),
+    remove: (name, id) => deleteDoc(docRef(name, id)),
+    batch: (items, addToBatch, onProgress, writesPerItem) => runBatchedWrites(db, items, (batch, item) => addToBatch({
+      set: (name, id, data) => batch.set(docRef(name, id), data),
+      update: (name, id, data) => batch.update(docRef(name, id), data),
+      remove: (name, id) => batch.delete(docRef(name, id)),
+    }, item), onProgress, writesPerItem),
+    timestamp: () => serverTimestamp(),
+    arrayUnion: (...values) => arrayUnion(...values),
+    arrayRemove: (...values) => arrayRemove(...values),
+  };
+};
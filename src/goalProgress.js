@@ -0,0 +1,89 @@
+import { parseDateInput, toDateKey, toJsDate } from './dateUtils';
+import { DEFAULT_CURRENCY, amountMinorOf, fromMinor, roundMoney, sumMoney, toMinor } from './money';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// How far back the contribution history goes when working out the usual monthly contribution
+const HISTORY_MONTHS = 3;
+
+const monthsBetween = (from, to) => (to - from) / (DAYS_PER_MONTH * DAY_MS);
+
+const addMonths = (date, months) => new Date(date.getTime() + months * DAYS_PER_MONTH * DAY_MS);
+
+// Average contributed per month over the last few months. A goal started more recently than that is averaged over
+// its own age, but never less than a month, so a single early deposit doesn't look like a huge monthly rate.
+export const averageMonthlyContribution = (contributions, today = new Date()) => {
+  const windowStart = addMonths(today, -HISTORY_MONTHS);
+  const recent = contributions.filter(t => {
+    const date = toJsDate(t.date);
+    return date && date > windowStart && date <= today;
+  });
+  if (recent.length === 0) return 0;
+  const earliest = Math.min(...recent.map(t => toJsDate(t.date).getTime()));
+  const months = Math.min(HISTORY_MONTHS, Math.max(1, monthsBetween(new Date(earliest), today)));
+  return sumMoney(recent) / months;
+};
+
+// Progress towards each savings goal. Contributions are transactions linked to the goal through goalId, whatever
+// their type: an expense or transfer into savings, or income set aside for the goal.
+// forecasts are the upcoming forecasted transactions (stored and recurring); the ones linked to a goal are scheduled
+// contributions. The projection applies those first, then continues at the usual monthly contribution, or, with no
+// history yet, at forecastSurplus (forecasted income minus forecasted expenses per month).
+// All amounts are expected in the base currency, passed as `currency`.
+export const getGoalProgress = (
+  goals, transactions, forecasts, { today = new Date(), forecastSurplus = 0, currency = DEFAULT_CURRENCY } = {}
+) =>
+  goals.map(goal => {
+    const contributions = transactions.filter(t => t.goalId === goal.id && t.status === 'actual');
+    const saved = sumMoney(contributions);
+    const target = goal.targetAmount || 0;
+    const remaining = Math.max(roundMoney(target - saved, currency), 0);
+    const targetDate = parseDateInput(goal.targetDate);
+    const monthsLeft = targetDate ? monthsBetween(today, targetDate) : null;
+    // With less than a month to go the whole remainder is due now
+    const requiredMonthly = remaining === 0 ? 0 : monthsLeft !== null && monthsLeft > 1 ? remaining / monthsLeft : remaining;
+    const averageMonthly = averageMonthlyContribution(contributions, today);
+
+    let projectedDate = null;
+    let projectionBasis = null; // 'reached', 'scheduled', 'history' or 'surplus'
+    if (remaining === 0) {
+      projectedDate = today;
+      projectionBasis = 'reached';
+    } else {
+      // Counted down in minor units, so scheduled contributions that exactly cover the remainder reach zero
+      let toGoMinor = toMinor(remaining, currency);
+      let cursor = today;
+      const scheduled = forecasts
+        .filter(t => t.goalId === goal.id && toJsDate(t.date) && toJsDate(t.date) > today)
+        .sort((a, b) => toJsDate(a.date) - toJsDate(b.date));
+      for (const t of scheduled) {
+        toGoMinor -= amountMinorOf(t);
+        cursor = toJsDate(t.date);
+        if (toGoMinor <= 0) {
+          projectedDate = cursor;
+          projectionBasis = 'scheduled';
+          break;
+        }
+      }
+      const rate = averageMonthly > 0 ? averageMonthly : Math.max(forecastSurplus, 0);
+      if (!projectedDate && rate > 0) {
+        projectedDate = addMonths(cursor, fromMinor(toGoMinor, currency) / rate);
+        projectionBasis = averageMonthly > 0 ? 'history' : 'surplus';
+      }
+    }
+
+    return {
+      ...goal,
+      saved,
+      remaining,
+      percent: target > 0 ? Math.min((saved / target) * 100, 100) : 0,
+      requiredMonthly,
+      averageMonthly,
+      projectedDate,
+      projectionBasis,
+      // Compared by calendar day so a projection landing on the target date counts as on track
+      onTrack: projectedDate && targetDate ? toDateKey(projectedDate) <= toDateKey(targetDate) : null,
+      overdue: remaining > 0 && targetDate !== null && toDateKey(targetDate) < toDateKey(today),
+    };
+  });
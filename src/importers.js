@@ -0,0 +1,200 @@
+import { toDateKey } from './dateUtils';
+import { currencyOf, amountMinorOf, toMinor, fromMinor, parseMoney } from './money';
+
+// Date formats offered in the CSV column-mapping step
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// Decimal separators offered in the CSV column-mapping step. The other character can only group thousands.
+export const CSV_DECIMAL_SEPARATORS = [
+  { value: '.', label: 'Point (1,234.56)' },
+  { value: ',', label: 'Comma (1.234,56)' },
+];
+
+// Splits CSV text into rows of cells. Handles quoted cells, escaped quotes ("") and CRLF line endings.
+// The delimiter (comma, semicolon or tab) is guessed from the first line.
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+// Strips a currency symbol or code from either end, as in "$45.00", "€ 45,00" or "45.00 EUR"
+const stripCurrency = (text) => text.replace(/^[^\d.,+-]+|[^\d.,+-]+$/g, '');
+
+// Parses a bank-export amount such as "$1,234.56", "-45.00", "45.00-" or "(45.00)" into signed minor units, reading
+// it with parseMoney and the decimal separator chosen for the file. Anything else, such as "12,50" when the separator
+// is a point or "1e5", is null rather than a guess.
+export const parseStatementAmount = (value, currency, decimalSeparator = '.') => {
+  if (typeof value !== 'string') return null;
+  let text = value.trim();
+  let negative = false;
+  const parenthesized = text.match(/^\((.*)\)$/);
+  if (parenthesized) {
+    negative = true;
+    text = parenthesized[1];
+  }
+  text = stripCurrency(text);
+  if (/^[-+]/.test(text) || /-$/.test(text)) {
+    negative = negative || text.includes('-');
+    text = stripCurrency(text.replace(/^[-+]|-$/, ''));
+  }
+  const minor = parseMoney(text, currency, { decimalSeparator });
+  if (minor === null) return null;
+  return negative && minor !== 0 ? -minor : minor;
+};
+
+// The fields of an import candidate for a parsed amount: the unsigned amount in minor units, which is what gets
+// written, and as a decimal for the preview, the categorization rules and duplicate detection (NaN when invalid)
+const candidateAmount = (signedMinor, currency) => (signedMinor === null
+  ? { amountMinor: null, amount: NaN }
+  : { amountMinor: Math.abs(signedMinor), amount: fromMinor(Math.abs(signedMinor), currency) });
+
+// The decimal separator the amount column most likely uses: a comma when amounts end in a comma and one or two
+// digits ("12,50") more often than in a point and one or two digits
+export const guessDecimalSeparator = (rows, column) => {
+  if (column === '' || column === undefined) return '.';
+  const cells = rows.map(row => stripCurrency((row[Number(column)] || '').replace(/[()]/g, '')));
+  const endingIn = (separator) => cells.filter(cell => new RegExp(`\\${separator}\\d{1,2}$`).test(cell)).length;
+  return endingIn(',') > endingIn('.') ? ',' : '.';
+};
+
+// Parses a CSV date cell in the given format into a local Date at noon
+export const parseStatementDate = (value, format) => {
+  const parts = (value || '').trim().split(/[-/.]/).map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+  let year;
+  let month;
+  let day;
+  if (format === 'MM/DD/YYYY') {
+    [month, day, year] = parts;
+  } else if (format === 'DD/MM/YYYY') {
+    [day, month, year] = parts;
+  } else {
+    [year, month, day] = parts;
+  }
+  if (year < 100) year += 2000;
+  const date = new Date(year, month - 1, day, 12, 0, 0);
+  // Reject rollovers such as 31/02
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+};
+
+// Turns a type cell into 'income' or 'expense', or null when the cell doesn't say
+const parseTypeCell = (value) => {
+  const normalized = (value || '').trim().toLowerCase();
+  if (!normalized) return null;
+  if (['income', 'credit', 'deposit', 'cr'].includes(normalized)) return 'income';
+  if (['expense', 'debit', 'withdrawal', 'payment', 'dr'].includes(normalized)) return 'expense';
+  return null;
+};
+
+// Converts CSV rows into import candidates using the column mapping chosen by the user.
+// mapping holds column indexes (or '' when unmapped) for date, amount, category, payee, description and type.
+// Amounts are in currency and written with decimalSeparator.
+export const mapCsvRows = (rows, { mapping, dateFormat, decimalSeparator, currency, hasHeader, defaultCategory }) =>
+  rows.slice(hasHeader ? 1 : 0).map((cells, index) => {
+    const cellAt = (column) => (column === '' || column === undefined ? '' : cells[Number(column)] || '');
+    const signedMinor = parseStatementAmount(cellAt(mapping.amount), currency, decimalSeparator);
+    const date = parseStatementDate(cellAt(mapping.date), dateFormat);
+    const type = parseTypeCell(cellAt(mapping.type)) || (signedMinor < 0 ? 'expense' : 'income');
+    const errors = [];
+    if (!date) errors.push('Invalid date');
+    if (!signedMinor) errors.push('Invalid amount');
+    return {
+      key: `csv-${index}`,
+      date,
+      ...candidateAmount(signedMinor, currency),
+      type,
+      category: cellAt(mapping.category) || defaultCategory,
+      payee: cellAt(mapping.payee),
+      description: cellAt(mapping.description),
+      errors,
+    };
+  });
+
+// Reads the value of an OFX tag. OFX 1.x (SGML) often omits closing tags, so the value runs to the next tag.
+const ofxTagValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+// Parses OFX/QFX statement text into import candidates with amounts in currency. OFX amounts have no grouping, and
+// the decimal separator may be a point or a comma.
+export const parseOfx = (text, { defaultCategory, currency }) => {
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  return blocks.map((block, index) => {
+    // DTPOSTED looks like 20240115 or 20240115120000[-5:EST]; only the calendar date matters
+    const posted = ofxTagValue(block, 'DTPOSTED');
+    const dateMatch = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+    const date = dateMatch ? new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]), 12, 0, 0) : null;
+    const amountText = ofxTagValue(block, 'TRNAMT');
+    const signedMinor = parseStatementAmount(amountText, currency, amountText.includes(',') ? ',' : '.');
+    const name = ofxTagValue(block, 'NAME');
+    const memo = ofxTagValue(block, 'MEMO');
+    const errors = [];
+    if (!date) errors.push('Invalid date');
+    if (!signedMinor) errors.push('Invalid amount');
+    return {
+      key: `ofx-${index}`,
+      date,
+      ...candidateAmount(signedMinor, currency),
+      type: signedMinor < 0 ? 'expense' : 'income',
+      category: defaultCategory,
+      payee: name,
+      description: memo,
+      errors,
+    };
+  });
+};
+
+// A candidate is a likely duplicate when an existing transaction has the same day, amount (in minor units)
+// and category (ignoring case and surrounding whitespace)
+export const findDuplicate = (candidate, transactions) => {
+  if (!candidate.date) return null;
+  const candidateDay = toDateKey(candidate.date);
+  const candidateCategory = (candidate.category || '').trim().toLowerCase();
+  return transactions.find(t =>
+    t.date && t.date.toDate &&
+    toDateKey(t.date.toDate()) === candidateDay &&
+    amountMinorOf(t) === toMinor(candidate.amount, currencyOf(t)) &&
+    (t.category || '').trim().toLowerCase() === candidateCategory
+  ) || null;
+};
@@ -0,0 +1,90 @@
+import { parseStatementAmount, guessDecimalSeparator, mapCsvRows, parseCsv, parseOfx } from './importers';
+
+describe('parseStatementAmount', () => {
+  test('reads amounts in minor units with the chosen decimal separator', () => {
+    expect(parseStatementAmount('1,234.56', 'USD', '.')).toBe(123456);
+    expect(parseStatementAmount('1.234,56', 'EUR', ',')).toBe(123456);
+    expect(parseStatementAmount('12,50', 'EUR', ',')).toBe(1250);
+    expect(parseStatementAmount('1 234,56', 'EUR', ',')).toBe(123456);
+    expect(parseStatementAmount('1.234', 'EUR', ',')).toBe(123400);
+  });
+
+  test('reads signs and currency symbols', () => {
+    expect(parseStatementAmount('$1,234.56', 'USD', '.')).toBe(123456);
+    expect(parseStatementAmount('-45.00', 'USD', '.')).toBe(-4500);
+    expect(parseStatementAmount('(45.00)', 'USD', '.')).toBe(-4500);
+    expect(parseStatementAmount('45.00-', 'USD', '.')).toBe(-4500);
+    expect(parseStatementAmount('-$45.00', 'USD', '.')).toBe(-4500);
+    expect(parseStatementAmount('-12,50 €', 'EUR', ',')).toBe(-1250);
+    expect(parseStatementAmount('+12.50', 'USD', '.')).toBe(1250);
+  });
+
+  test('rejects cells that do not fit the decimal separator instead of guessing', () => {
+    expect(parseStatementAmount('12,50', 'EUR', '.')).toBeNull();
+    expect(parseStatementAmount('1.234,56', 'EUR', '.')).toBeNull();
+    expect(parseStatementAmount('1,234.56', 'USD', ',')).toBeNull();
+    expect(parseStatementAmount('1.234.56', 'USD', '.')).toBeNull();
+    expect(parseStatementAmount('12.345', 'USD', '.')).toBeNull();
+  });
+
+  test('rejects malformed cells', () => {
+    expect(parseStatementAmount('1e5', 'USD', '.')).toBeNull();
+    expect(parseStatementAmount('12.3.4', 'USD', '.')).toBeNull();
+    expect(parseStatementAmount('abc', 'USD', '.')).toBeNull();
+    expect(parseStatementAmount('', 'USD', '.')).toBeNull();
+    expect(parseStatementAmount('--5', 'USD', '.')).toBeNull();
+  });
+});
+
+describe('guessDecimalSeparator', () => {
+  test('picks a comma when amounts end in a comma and cents', () => {
+    expect(guessDecimalSeparator([['2024-03-01', '-12,50'], ['2024-03-02', '1.234,00']], '1')).toBe(',');
+    expect(guessDecimalSeparator([['2024-03-01', '-12.50'], ['2024-03-02', '1,234']], '1')).toBe('.');
+    expect(guessDecimalSeparator([['2024-03-01', '-12,50']], '')).toBe('.');
+  });
+});
+
+describe('mapCsvRows', () => {
+  const rows = parseCsv('Date;Amount;Payee\n01/03/2024;-12,50;Bakery\n02/03/2024;1.234,56;Salary\n03/03/2024;12.50;Cafe\n');
+  const options = {
+    mapping: { date: '0', amount: '1', category: '', payee: '2', description: '', type: '' },
+    dateFormat: 'DD/MM/YYYY',
+    currency: 'EUR',
+    hasHeader: true,
+    defaultCategory: 'Uncategorized',
+  };
+
+  test('reads European amounts with a comma separator', () => {
+    const [bakery, salary] = mapCsvRows(rows, { ...options, decimalSeparator: ',' });
+    expect(bakery).toMatchObject({ amountMinor: 1250, amount: 12.5, type: 'expense', payee: 'Bakery', errors: [] });
+    expect(salary).toMatchObject({ amountMinor: 123456, amount: 1234.56, type: 'income', errors: [] });
+  });
+
+  test('reports amounts that do not fit the separator as row errors', () => {
+    const [, salary, cafe] = mapCsvRows(rows, { ...options, decimalSeparator: ',' });
+    expect(salary.errors).toEqual([]);
+    expect(cafe.errors).toEqual(['Invalid amount']);
+    const [bakery] = mapCsvRows(rows, { ...options, decimalSeparator: '.' });
+    expect(bakery.errors).toEqual(['Invalid amount']);
+  });
+});
+
+describe('parseOfx', () => {
+  const statement = (...amounts) => `<OFX><BANKTRANLIST>${amounts.map(amount =>
+    `<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240301<TRNAMT>${amount}<NAME>Bakery</STMTTRN>`).join('')}</BANKTRANLIST></OFX>`;
+
+  test('reads amounts with a point or a comma into minor units of the currency', () => {
+    const [point, comma, yen] = [
+      ...parseOfx(statement('-12.50', '1234,56'), { defaultCategory: 'Uncategorized', currency: 'EUR' }),
+      ...parseOfx(statement('-1500'), { defaultCategory: 'Uncategorized', currency: 'JPY' }),
+    ];
+    expect(point).toMatchObject({ amountMinor: 1250, type: 'expense', errors: [] });
+    expect(comma).toMatchObject({ amountMinor: 123456, type: 'income', errors: [] });
+    expect(yen).toMatchObject({ amountMinor: 1500, amount: 1500, type: 'expense', errors: [] });
+  });
+
+  test('reports malformed amounts as row errors', () => {
+    const rows = parseOfx(statement('1e5', '12.345', '0.00'), { defaultCategory: 'Uncategorized', currency: 'USD' });
+    expect(rows.map(row => row.errors)).toEqual([['Invalid amount'], ['Invalid amount'], ['Invalid amount']]);
+  });
+});
@@ -0,0 +1,222 @@
+import { Timestamp } from 'firebase/firestore';
+import { BUDGET_COLLECTIONS, byCreatedAtDesc } from './budgetStore';
+
+// The budget store (see budgetStore.js) for using the app without an account: one budget kept in this browser's
+// IndexedDB. Nothing leaves the device, so there is no sign-in, sharing or receipt storage. Open tabs see each
+// other's changes through a BroadcastChannel.
+
+const DATABASE_NAME = 'budgetTracker.local';
+const DATABASE_VERSION = 1;
+const DOCUMENTS = 'documents'; // Every document, keyed by [collection, id]
+const CHANNEL_NAME = 'budgetTracker.local.changes';
+
+// Timestamps lose their class when IndexedDB copies them, so they are stored under this key and rebuilt on read
+const TIMESTAMP_KEY = '__timestamp';
+
+const isPlainObject = (value) => !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+export const toStorable = (value) => {
+  if (value instanceof Timestamp) return { [TIMESTAMP_KEY]: [value.seconds, value.nanoseconds] };
+  if (Array.isArray(value)) return value.map(toStorable);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, toStorable(field)]));
+  }
+  return value;
+};
+
+export const fromStorable = (value) => {
+  if (Array.isArray(value)) return value.map(fromStorable);
+  if (isPlainObject(value)) {
+    if (Array.isArray(value[TIMESTAMP_KEY])) return new Timestamp(...value[TIMESTAMP_KEY]);
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, fromStorable(field)]));
+  }
+  return value;
+};
+
+// 20 random letters and digits, the same shape as Firestore's generated IDs, so documents keep their IDs when a local
+// budget is copied into an account
+const ID_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const generateId = () => Array.from(window.crypto.getRandomValues(new Uint8Array(20)))
+  .map(byte => ID_CHARACTERS[byte % ID_CHARACTERS.length])
+  .join('');
+
+// store.arrayUnion and store.arrayRemove stand in for the array until the write reads the stored one. Entries are
+// compared by value, as Firestore does.
+const ARRAY_OPERATION_KEY = '__arrayOperation';
+
+const arrayOperation = (operation, values) => ({ [ARRAY_OPERATION_KEY]: operation, values });
+
+const sameEntry = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const applyArrayOperations = (stored, data) => Object.fromEntries(Object.entries(data).map(([field, value]) => {
+  if (!isPlainObject(value) || !value[ARRAY_OPERATION_KEY]) return [field, value];
+  const current = Array.isArray(stored[field]) ? stored[field] : [];
+  if (value[ARRAY_OPERATION_KEY] === 'union') {
+    return [field, [...current, ...value.values.filter(v => !current.some(entry => sameEntry(entry, v)))]];
+  }
+  return [field, current.filter(entry => !value.values.some(v => sameEntry(entry, v)))];
+}));
+
+const notFound = (name, id) => Object.assign(new Error(`No document ${name}/${id} to update.`), { code: 'not-found' });
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("This browser can't store data locally."));
+        return;
+      }
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const documents = request.result.createObjectStore(DOCUMENTS, { keyPath: ['collection', 'id'] });
+        documents.createIndex('collection', 'collection');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open (e.g. storage blocked in a private window) is retried on the next call
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+};
+
+const readCollection = async (name) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = database.transaction(DOCUMENTS).objectStore(DOCUMENTS).index('collection').getAll(name);
+    request.onsuccess = () => resolve(request.result
+      .map(record => ({ id: record.id, ...fromStorable(record.data), pendingSync: false }))
+      .sort(byCreatedAtDesc));
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Applies writes ({ type: 'set' | 'update' | 'remove', name, id, data }) in one IndexedDB transaction, so they all
+// happen or none do. An update of a missing document fails the whole transaction, as it would in Firestore.
+const applyWrites = async (writes) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(DOCUMENTS, 'readwrite');
+    const documents = transaction.objectStore(DOCUMENTS);
+    let failure = null;
+    writes.forEach(({ type, name, id, data }) => {
+      if (type === 'set') {
+        documents.put({ collection: name, id, data: applyArrayOperations({}, toStorable(data)) });
+      } else if (type === 'remove') {
+        documents.delete([name, id]);
+      } else {
+        // Requests run in the order they were made, so this sees any earlier write to the same document
+        const request = documents.get([name, id]);
+        request.onsuccess = () => {
+          if (!request.result) {
+            failure = notFound(name, id);
+            transaction.abort();
+            return;
+          }
+          const stored = request.result.data;
+          documents.put({ ...request.result, data: { ...stored, ...applyArrayOperations(stored, toStorable(data)) } });
+        };
+      }
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(failure || transaction.error);
+    transaction.onabort = () => reject(failure || transaction.error);
+  });
+};
+
+const listeners = new Set(); // { name, onItems, onError, match }
+let channel = null;
+
+const deliver = (listener) => {
+  readCollection(listener.name)
+    .then(items => {
+      const { match } = listener;
+      if (listeners.has(listener)) listener.onItems(match ? items.filter(item => item[match.field] === match.value) : items);
+    })
+    .catch(err => {
+      if (listeners.has(listener) && listener.onError) listener.onError(err);
+    });
+};
+
+const notifyListeners = (names) => {
+  listeners.forEach(listener => {
+    if (names.includes(listener.name)) deliver(listener);
+  });
+};
+
+// Other tabs only hear which collections changed and read them again
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => notifyListeners(event.data);
+  }
+  return channel;
+};
+
+const announceChanges = (names) => {
+  notifyListeners(names);
+  const changes = getChannel();
+  if (changes) changes.postMessage(names);
+};
+
+const commit = async (writes) => {
+  await applyWrites(writes);
+  announceChanges([...new Set(writes.map(write => write.name))]);
+};
+
+export const localStore = {
+  isLocal: true,
+  subscribe: (name, onItems, onError, match) => {
+    getChannel();
+    const listener = { name, onItems, onError, match };
+    listeners.add(listener);
+    deliver(listener);
+    return () => listeners.delete(listener);
+  },
+  getAll: async (name) => (await readCollection(name)).map(({ pendingSync, ...item }) => item),
+  newId: () => generateId(),
+  set: (name, id, data) => commit([{ type: 'set', name, id, data }]),
+  add: async (name, data) => {
+    const id = generateId();
+    await commit([{ type: 'set', name, id, data }]);
+    return id;
+  },
+  update: (name, id, data) => commit([{ type: 'update', name, id, data }]),
+  remove: (name, id) => commit([{ type: 'remove', name, id }]),
+  // All in one transaction, however many writes: on failure nothing was written
+  batch: async (items, addToBatch, onProgress) => {
+    const writes = [];
+    const batch = {
+      set: (name, id, data) => writes.push({ type: 'set', name, id, data }),
+      update: (name, id, data) => writes.push({ type: 'update', name, id, data }),
+      remove: (name, id) => writes.push({ type: 'remove', name, id }),
+    };
+    items.forEach(item => addToBatch(batch, item));
+    try {
+      if (writes.length > 0) await commit(writes);
+    } catch (err) {
+      err.written = 0;
+      err.failed = items;
+      throw err;
+    }
+    if (onProgress) onProgress(items.length, items.length);
+    return items.length;
+  },
+  timestamp: () => Timestamp.now(),
+  arrayUnion: (...values) => arrayOperation('union', values),
+  arrayRemove: (...values) => arrayOperation('remove', values),
+};
+
+// Deletes everything kept on this device, e.g. once it has been copied into an account
+export const clearLocalStore = async () => {
+  const database = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = database.transaction(DOCUMENTS, 'readwrite');
+    transaction.objectStore(DOCUMENTS).clear();
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  announceChanges(BUDGET_COLLECTIONS);
+};
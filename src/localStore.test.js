@@ -0,0 +1,182 @@
+import { BroadcastChannel as NodeBroadcastChannel } from 'worker_threads';
+import { waitFor } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { BUDGET_COLLECTIONS, copyBudget } from './budgetStore';
+import { localStore, clearLocalStore, toStorable, fromStorable } from './localStore';
+
+// Stands in for the browser's BroadcastChannel between tabs; unref'd so an open channel doesn't keep jest running
+class TestBroadcastChannel extends NodeBroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+}
+
+// Collects what a subscription delivers, latest last
+const subscribeTo = (name, match) => {
+  const deliveries = [];
+  const errors = [];
+  const unsubscribe = localStore.subscribe(name, items => deliveries.push(items), err => errors.push(err), match);
+  return { deliveries, errors, unsubscribe, latest: () => deliveries[deliveries.length - 1] };
+};
+
+const groceries = { amountMinor: 1250, category: 'Groceries', createdAt: new Timestamp(1710000000, 0) };
+const rent = { amountMinor: 95000, category: 'Rent', createdAt: new Timestamp(1710000500, 0) };
+
+beforeAll(() => {
+  global.BroadcastChannel = TestBroadcastChannel;
+});
+
+afterAll(() => {
+  delete global.BroadcastChannel;
+});
+
+beforeEach(async () => {
+  await clearLocalStore();
+});
+
+describe('toStorable and fromStorable', () => {
+  test('keep Timestamps, including nested ones, through a structured clone', () => {
+    const transaction = {
+      amountMinor: 1250,
+      date: new Timestamp(1710000000, 0),
+      createdAt: new Timestamp(1710000123, 456000000),
+      tags: ['food', 'weekly'],
+      splits: [{ category: 'Groceries', amountMinor: 1000 }, { category: 'Household', amountMinor: 250 }],
+      forecastDate: null,
+    };
+    // What IndexedDB hands back: a copy without class instances
+    const stored = JSON.parse(JSON.stringify(toStorable(transaction)));
+    const restored = fromStorable(stored);
+
+    expect(restored.date).toBeInstanceOf(Timestamp);
+    expect(restored.date.isEqual(transaction.date)).toBe(true);
+    expect(restored.createdAt.isEqual(transaction.createdAt)).toBe(true);
+    expect({ ...restored, date: null, createdAt: null }).toEqual({ ...transaction, date: null, createdAt: null });
+  });
+
+  test('leave plain values alone', () => {
+    expect(toStorable('Groceries')).toBe('Groceries');
+    expect(fromStorable({ currency: 'EUR', rates: { USD: 2 } })).toEqual({ currency: 'EUR', rates: { USD: 2 } });
+  });
+});
+
+describe('localStore', () => {
+  test('delivers a collection newest first, and again after every change', async () => {
+    const subscription = subscribeTo('transactions');
+    await waitFor(() => expect(subscription.latest()).toEqual([]));
+
+    await localStore.set('transactions', 'groceries', groceries);
+    await localStore.set('transactions', 'rent', rent);
+    await waitFor(() => expect(subscription.latest().map(t => t.id)).toEqual(['rent', 'groceries']));
+    expect(subscription.latest()[0]).toEqual({ id: 'rent', ...rent, pendingSync: false });
+    expect(subscription.latest()[0].createdAt).toBeInstanceOf(Timestamp);
+
+    await localStore.update('transactions', 'rent', { category: 'Housing' });
+    await waitFor(() => expect(subscription.latest()[0].category).toBe('Housing'));
+    await localStore.remove('transactions', 'rent');
+    await waitFor(() => expect(subscription.latest().map(t => t.id)).toEqual(['groceries']));
+    subscription.unsubscribe();
+    expect(subscription.errors).toEqual([]);
+  });
+
+  test('only delivers matching documents to a filtered subscription', async () => {
+    await localStore.set('transactionHistory', 'h1', { transactionId: 'rent', action: 'updated' });
+    await localStore.set('transactionHistory', 'h2', { transactionId: 'groceries', action: 'deleted' });
+    const subscription = subscribeTo('transactionHistory', { field: 'transactionId', value: 'rent' });
+
+    await waitFor(() => expect(subscription.latest().map(entry => entry.id)).toEqual(['h1']));
+    subscription.unsubscribe();
+  });
+
+  test('adds documents under new 20-character IDs', async () => {
+    const id = await localStore.add('budgets', { category: 'Groceries', limitMinor: 20000 });
+
+    expect(id).toMatch(/^[A-Za-z0-9]{20}$/);
+    expect(await localStore.getAll('budgets')).toEqual([{ id, category: 'Groceries', limitMinor: 20000 }]);
+  });
+
+  test('rejects an update of a missing document', async () => {
+    await expect(localStore.update('transactions', 'missing', { category: 'Rent' })).rejects.toMatchObject({ code: 'not-found' });
+    expect(await localStore.getAll('transactions')).toEqual([]);
+  });
+
+  test('writes a batch all or nothing', async () => {
+    await localStore.set('transactions', 'groceries', groceries);
+    const progress = [];
+    const written = await localStore.batch(['Food', 'Weekly Shop'],
+      (batch, category) => batch.update('transactions', 'groceries', { category }),
+      (done, total) => progress.push([done, total]));
+    expect(written).toBe(2);
+    expect(progress).toEqual([[2, 2]]);
+
+    // The second item updates a transaction that doesn't exist, so the first item's writes are undone too
+    const failing = localStore.batch(['groceries', 'missing'], (batch, id) => {
+      batch.set('budgets', id, { category: id });
+      batch.update('transactions', id, { category: 'Changed' });
+    }, null, 2);
+    await expect(failing).rejects.toMatchObject({ code: 'not-found', written: 0 });
+    expect(await localStore.getAll('budgets')).toEqual([]);
+    expect((await localStore.getAll('transactions'))[0].category).toBe('Weekly Shop');
+  });
+
+  test('adds to and takes from an array field without replacing the other entries', async () => {
+    const receipt = (name) => ({ name, path: `receipts/${name}` });
+    await localStore.set('transactions', 'groceries', { ...groceries, attachments: localStore.arrayUnion(receipt('a.pdf')) });
+    await localStore.update('transactions', 'groceries', { attachments: localStore.arrayUnion(receipt('a.pdf'), receipt('b.pdf')) });
+    expect((await localStore.getAll('transactions'))[0].attachments).toEqual([receipt('a.pdf'), receipt('b.pdf')]);
+
+    await localStore.update('transactions', 'groceries', { attachments: localStore.arrayRemove(receipt('a.pdf')) });
+    expect((await localStore.getAll('transactions'))[0].attachments).toEqual([receipt('b.pdf')]);
+  });
+
+  test('tells subscribers in other tabs about changes', async () => {
+    let otherTab;
+    jest.isolateModules(() => {
+      otherTab = require('./localStore').localStore;
+    });
+    const subscription = subscribeTo('transactions');
+    await waitFor(() => expect(subscription.latest()).toEqual([]));
+    const countBefore = subscription.deliveries.length;
+
+    await otherTab.set('transactions', 'rent', { ...rent, createdAt: null });
+    await waitFor(() => expect(subscription.latest().map(t => t.id)).toEqual(['rent']));
+    expect(subscription.deliveries.length).toBeGreaterThan(countBefore);
+    subscription.unsubscribe();
+  });
+});
+
+describe('clearLocalStore', () => {
+  test('deletes every collection and tells subscribers', async () => {
+    await localStore.set('transactions', 'rent', rent);
+    await localStore.set('goals', 'car', { name: 'Car', targetMinor: 500000 });
+    const subscription = subscribeTo('transactions');
+    await waitFor(() => expect(subscription.latest()).toHaveLength(1));
+
+    await clearLocalStore();
+    await waitFor(() => expect(subscription.latest()).toEqual([]));
+    expect(await localStore.getAll('goals')).toEqual([]);
+    subscription.unsubscribe();
+  });
+});
+
+describe('copyBudget from the local store', () => {
+  test('moves a document of every collection, keeping IDs and Timestamps', async () => {
+    for (const name of BUDGET_COLLECTIONS) {
+      await localStore.set(name, `${name}-1`, { label: name, createdAt: rent.createdAt });
+    }
+    const copies = [];
+    const account = { batch: async (items, addToBatch) => {
+      items.forEach(item => addToBatch({ set: (name, id, data) => copies.push({ name, id, data }) }, item));
+      return items.length;
+    } };
+
+    expect(await copyBudget(localStore, account)).toBe(BUDGET_COLLECTIONS.length);
+    expect(copies.map(copy => copy.name)).toEqual(BUDGET_COLLECTIONS);
+    copies.forEach(({ name, id, data }) => {
+      expect(id).toBe(`${name}-1`);
+      expect(data).toEqual({ label: name, createdAt: rent.createdAt });
+      expect(data.createdAt).toBeInstanceOf(Timestamp);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// Transactions and accounts saved before currencies existed were always shown in dollars
+export const DEFAULT_CURRENCY = 'USD';
+
+export const currencyOf = (item) => (item && item.currency) || DEFAULT_CURRENCY;
+
+// Amounts are stored as whole numbers of the currency's minor unit (cents for USD, yen for JPY) on amountMinor, and
+// only turned back into decimals for display and for the decimal `amount` copy kept alongside (see moneyFields).
+// Adding floats drifts by a cent every few hundred entries; adding integers doesn't.
+
+// Largest amount accepted from the user, in major units. Keeps every minor-unit total a safe integer.
+const MAX_AMOUNT = 1e12;
+
+const digitsCache = {};
+
+// Decimal places of a currency's minor unit: 2 for USD, 0 for JPY, 3 for KWD
+export const minorDigits = (currency = DEFAULT_CURRENCY) => {
+  if (digitsCache[currency] === undefined) {
+    try {
+      digitsCache[currency] = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (err) {
+      digitsCache[currency] = 2;
+    }
+  }
+  return digitsCache[currency];
+};
+
+const unitsPerMajor = (currency) => 10 ** minorDigits(currency);
+
+// Rounds half away from zero, so 0.125 and -0.125 become 13 and -13 cents. toPrecision first drops the float noise
+// that would otherwise turn 1.005 * 100 into 100.49999999999999 and round it down.
+export const toMinor = (amount, currency) => {
+  const scaled = Number((Math.abs(amount) * unitsPerMajor(currency)).toPrecision(15));
+  const minor = Math.round(scaled);
+  return amount < 0 && minor !== 0 ? -minor : minor;
+};
+
+export const fromMinor = (minor, currency) => minor / unitsPerMajor(currency);
+
+export const roundMoney = (amount, currency) => fromMinor(toMinor(amount, currency), currency);
+
+// Minor units of an item's amount field ('amount', or e.g. 'forecastAmount'). Documents saved before amounts were
+// stored in minor units only have the decimal, which is rounded the same way new input is.
+export const amountMinorOf = (item, field = 'amount') => {
+  const minor = item[`${field}Minor`];
+  return Number.isInteger(minor) ? minor : toMinor(item[field] || 0, currencyOf(item));
+};
+
+// The fields written for an amount: the integer is the real value; the decimal copy is what server-side amount
+// filters and sorting use, and what app versions still cached by the service worker read.
+export const moneyFields = (minor, currency, field = 'amount') => ({
+  [field]: fromMinor(minor, currency),
+  [`${field}Minor`]: minor,
+});
+
+// Adds up items' amounts exactly. The items must share one currency, such as the base-currency copies made by
+// convertToBase; minorOf picks the (possibly signed) amount of each item in minor units.
+export const sumMoney = (items, minorOf = amountMinorOf) => {
+  if (items.length === 0) return 0;
+  return fromMinor(items.reduce((acc, item) => acc + minorOf(item), 0), currencyOf(items[0]));
+};
+
+// Splits an amount in minor units across weights (any non-negative numbers) in proportion, rounding each share and
+// letting the last one absorb the difference, so the shares always add back up to the total
+export const allocateMinor = (totalMinor, weights) => {
+  const weightTotal = weights.reduce((acc, w) => acc + (w || 0), 0);
+  let assigned = 0;
+  return weights.map((weight, index) => {
+    const share = index === weights.length - 1
+      ? totalMinor - assigned
+      : Math.round(weightTotal > 0 ? ((weight || 0) / weightTotal) * totalMinor : 0);
+    assigned += share;
+    return share;
+  });
+};
+
+const groupSeparators = {};
+
+// The locale's digit grouping character: ',' in en-US, '.' in de-DE
+const groupSeparatorOf = (locale) => {
+  const key = locale || '';
+  if (groupSeparators[key] === undefined) {
+    const group = new Intl.NumberFormat(locale).formatToParts(12345).find(p => p.type === 'group');
+    groupSeparators[key] = group ? group.value : ',';
+  }
+  return groupSeparators[key];
+};
+
+// Reads a typed amount such as "1,234.56", "1.234,56" or "1 234,56" into minor units. Returns null unless it is a
+// plain number: no exponents ("1e5"), no more decimal places than the currency has, and grouping in threes.
+// When both '.' and ',' appear the last one is the decimal point. A lone separator is only read as grouping when it
+// is the locale's grouping character followed by exactly three digits, so "1,234" is 1234 in en-US but 1.234 in de-DE.
+// Given decimalSeparator ('.' or ','), nothing is guessed: that character is the decimal point and the other one
+// can only group digits.
+export const parseMoney = (input, currency, { allowNegative = false, locale, decimalSeparator } = {}) => {
+  const text = String(input ?? '').trim().replace(/[\s']/g, '');
+  const negative = text.startsWith('-');
+  const body = negative ? text.slice(1) : text;
+  if (!/^\d[\d.,]*$/.test(body) || /[.,]$/.test(body) || (negative && !allowNegative)) return null;
+
+  const lastDot = body.lastIndexOf('.');
+  const lastComma = body.lastIndexOf(',');
+  let decimalPoint = null;
+  if (decimalSeparator) {
+    decimalPoint = body.includes(decimalSeparator) ? decimalSeparator : null;
+  } else if (lastDot >= 0 && lastComma >= 0) {
+    decimalPoint = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const occurrences = body.split(separator).length - 1;
+    const isGrouping = occurrences > 1
+      || (separator === groupSeparatorOf(locale) && body.length - body.lastIndexOf(separator) === 4);
+    decimalPoint = isGrouping ? null : separator;
+  }
+
+  const decimalAt = decimalPoint ? body.lastIndexOf(decimalPoint) : body.length;
+  const wholePart = body.slice(0, decimalAt);
+  const fraction = body.slice(decimalAt + 1);
+  if (decimalSeparator && wholePart.includes(decimalSeparator)) return null;
+  const groups = wholePart.split(/[.,]/);
+  if (groups.slice(1).some(g => g.length !== 3) || groups[0].length === 0) return null;
+  if (groups.length > 1 && groups[0].length > 3) return null;
+  if (!/^\d*$/.test(fraction) || fraction.length > minorDigits(currency)) return null;
+
+  const whole = Number(groups.join(''));
+  if (whole >= MAX_AMOUNT) return null;
+  const minor = whole * unitsPerMajor(currency) + Number(fraction.padEnd(minorDigits(currency), '0') || 0);
+  return negative && minor !== 0 ? -minor : minor;
+};
+
+// An amount in minor units as the forms show it for editing: the locale's decimal point, no grouping, so parseMoney
+// reads it back unchanged
+export const formatAmountInput = (minor, currency, locale) => {
+  const digits = minorDigits(currency);
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false })
+    .format(fromMinor(minor, currency));
+};
+
+// Documents saved before amounts were stored in minor units: the amount, a reconciled forecast, or split lines
+// still only have decimals
+export const needsAmountMigration = (item) =>
+  !Number.isInteger(item.amountMinor)
+  || (item.forecastAmount != null && !Number.isInteger(item.forecastAmountMinor))
+  || (Array.isArray(item.splits) && item.splits.some(s => !Number.isInteger(s.amountMinor)));
+
+// The update that brings such a document up to date. Split lines are re-spread over the rounded total so they still
+// add up to it exactly.
+export const migratedAmountFields = (item) => {
+  const currency = currencyOf(item);
+  const amountMinor = amountMinorOf(item);
+  const update = moneyFields(amountMinor, currency);
+  if (item.forecastAmount != null) {
+    Object.assign(update, moneyFields(amountMinorOf(item, 'forecastAmount'), currency, 'forecastAmount'));
+  }
+  if (Array.isArray(item.splits)) {
+    const shares = allocateMinor(amountMinor, item.splits.map(s => Math.abs(amountMinorOf({ ...s, currency }))));
+    update.splits = item.splits.map((s, index) => ({ ...s, ...moneyFields(shares[index], currency) }));
+  }
+  return update;
+};
@@ -0,0 +1,147 @@
+import { parseDateInput, startOfDay, endOfDay, addDays } from './dateUtils';
+import { amountMinorOf, sumMoney } from './money';
+
+export const PERIOD_OPTIONS = [
+  { value: 'thisMonth', label: 'This Month' },
+  { value: 'lastMonth', label: 'Last Month' },
+  { value: 'quarterToDate', label: 'Quarter to Date' },
+  { value: 'yearToDate', label: 'Year to Date' },
+  { value: 'rolling', label: 'Rolling Days' },
+  { value: 'custom', label: 'Custom Range' },
+];
+
+export const DEFAULT_ROLLING_DAYS = 30;
+
+const isLastDayOfMonth = (date) => addDays(date, 1).getDate() === 1;
+
+// Moves a date by whole months. The day is clamped to the target month's length, and a month-end date stays at month end.
+const shiftMonths = (date, months) => {
+  const lastDayOfTarget = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  const day = isLastDayOfMonth(date) ? lastDayOfTarget : Math.min(date.getDate(), lastDayOfTarget);
+  const shifted = new Date(date);
+  shifted.setFullYear(date.getFullYear(), date.getMonth() + months, day);
+  return shifted;
+};
+
+const formatRange = (start, end) => `${start.toLocaleDateString()} – ${end.toLocaleDateString()}`;
+
+// Resolves a period selection into the windows the summary cards use:
+//   actualStart..actualEnd     actual transactions (never later than today)
+//   forecastStart..forecastEnd forecasted transactions still to come (null once the period is over)
+//   previousStart..previousEnd the matching earlier window for trend comparison
+// Calendar periods compare like-for-like (this month to date vs the same days last month);
+// rolling and custom ranges compare against the equally long window just before them.
+// Rolling N days keeps the dashboard's original meaning: the last N days of actuals and the next N days of forecasts.
+export const getPeriodWindows = (period, { customStart, customEnd, rollingDays } = {}, now = new Date()) => {
+  const todayStart = startOfDay(now);
+  const todayEnd = endOfDay(now);
+  let start;
+  let end;
+  let label;
+  let monthsBack = null;
+
+  switch (period) {
+    case 'thisMonth':
+      start = new Date(now.getFullYear(), now.getMonth(), 1);
+      end = endOfDay(new Date(now.getFullYear(), now.getMonth() + 1, 0));
+      label = now.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+      monthsBack = 1;
+      break;
+    case 'lastMonth':
+      start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      end = endOfDay(new Date(now.getFullYear(), now.getMonth(), 0));
+      label = start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+      monthsBack = 1;
+      break;
+    case 'quarterToDate': {
+      const quarterStartMonth = Math.floor(now.getMonth() / 3) * 3;
+      start = new Date(now.getFullYear(), quarterStartMonth, 1);
+      end = endOfDay(new Date(now.getFullYear(), quarterStartMonth + 3, 0));
+      label = `Q${quarterStartMonth / 3 + 1} ${now.getFullYear()} to Date`;
+      monthsBack = 3;
+      break;
+    }
+    case 'yearToDate':
+      start = new Date(now.getFullYear(), 0, 1);
+      end = endOfDay(new Date(now.getFullYear(), 11, 31));
+      label = `${now.getFullYear()} to Date`;
+      monthsBack = 12;
+      break;
+    case 'custom': {
+      const customStartDate = parseDateInput(customStart);
+      const customEndDate = parseDateInput(customEnd);
+      if (!customStartDate || !customEndDate || customStartDate > customEndDate) return null;
+      start = startOfDay(customStartDate);
+      end = endOfDay(customEndDate);
+      label = formatRange(start, end);
+      break;
+    }
+    default: { // rolling
+      const days = Math.max(1, parseInt(rollingDays, 10) || DEFAULT_ROLLING_DAYS);
+      const actualStart = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+      const previousEnd = new Date(actualStart.getTime() - 1);
+      return {
+        label: `Last ${days} Days`,
+        forecastLabel: `Next ${days} Days`,
+        actualStart,
+        actualEnd: todayEnd,
+        forecastStart: todayStart,
+        forecastEnd: endOfDay(addDays(now, days)),
+        previousStart: new Date(previousEnd.getTime() - days * 24 * 60 * 60 * 1000 + 1),
+        previousEnd,
+        previousLabel: `Previous ${days} Days`,
+      };
+    }
+  }
+
+  start = startOfDay(start);
+  const actualEnd = end < todayEnd ? end : todayEnd;
+  const hasFuture = end >= todayStart;
+  const forecastStart = start > todayStart ? start : todayStart;
+
+  let previousStart;
+  let previousEnd;
+  if (monthsBack) {
+    previousStart = shiftMonths(start, -monthsBack);
+    previousEnd = endOfDay(shiftMonths(startOfDay(actualEnd), -monthsBack));
+  } else {
+    const length = actualEnd.getTime() - start.getTime();
+    previousEnd = new Date(start.getTime() - 1);
+    previousStart = new Date(previousEnd.getTime() - length);
+  }
+
+  return {
+    label,
+    forecastLabel: hasFuture ? `Rest of ${label.replace(/ to Date$/, '')}` : null,
+    actualStart: start,
+    actualEnd,
+    forecastStart: hasFuture ? forecastStart : null,
+    forecastEnd: hasFuture ? end : null,
+    previousStart,
+    previousEnd,
+    previousLabel: formatRange(previousStart, previousEnd),
+  };
+};
+
+// Sums income and expenses for transactions with the given status dated within [start, end].
+// The transactions must share one currency; they are added up in minor units so the totals don't drift.
+export const sumCashFlow = (transactions, status, start, end) => {
+  const inWindow = !start || !end ? [] : transactions.filter(t => {
+    if (t.status !== status || !t.date || !t.date.toDate) return false;
+    const date = t.date.toDate();
+    return date >= start && date <= end;
+  });
+  const income = inWindow.filter(t => t.type === 'income');
+  const expenses = inWindow.filter(t => t.type === 'expense');
+  return {
+    income: sumMoney(income),
+    expenses: sumMoney(expenses),
+    net: sumMoney([...income, ...expenses], t => (t.type === 'income' ? amountMinorOf(t) : -amountMinorOf(t))),
+  };
+};
+
+// Percentage change from previous to current, or null when there is nothing to compare against
+export const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return ((current - previous) / Math.abs(previous)) * 100;
+};
@@ -0,0 +1,35 @@
+import { ref, uploadBytes, deleteObject } from 'firebase/storage';
+
+// Receipts are images or PDFs kept in Firebase Storage next to the budget's data, under
+// <dataPath>/receipts/<transactionId>/. The transaction stores one entry per file in attachments:
+//   [{ name, path, contentType, size }]
+export const RECEIPT_ACCEPT = 'image/*,application/pdf';
+export const MAX_RECEIPT_BYTES = 10 * 1024 * 1024; // Files must be smaller than this, as in storage.rules
+
+export const validateReceipt = (file) => {
+  if (!/^image\//.test(file.type) && file.type !== 'application/pdf') {
+    return `${file.name} isn't an image or PDF.`;
+  }
+  if (file.size >= MAX_RECEIPT_BYTES) {
+    return `${file.name} is 10 MB or larger.`;
+  }
+  return null;
+};
+
+// Storage paths have no leading slash. The timestamp keeps two uploads with the same file name apart.
+const receiptPath = (dataPath, transactionId, fileName) =>
+  `${dataPath.replace(/^\//, '')}/receipts/${transactionId}/${Date.now()}-${fileName.replace(/[^\w.-]+/g, '_')}`;
+
+// Uploads the files and resolves with their attachment entries, ready to add to the transaction
+export const uploadReceipts = (storage, dataPath, transactionId, files) =>
+  Promise.all(files.map(async (file) => {
+    const path = receiptPath(dataPath, transactionId, file.name);
+    await uploadBytes(ref(storage, path), file, { contentType: file.type });
+    return { name: file.name, path, contentType: file.type, size: file.size };
+  }));
+
+// Removes the stored files. A file that is already gone counts as removed.
+export const deleteReceipts = (storage, attachments) =>
+  Promise.all((attachments || []).map(a => deleteObject(ref(storage, a.path)).catch(err => {
+    if (err.code !== 'storage/object-not-found') throw err;
+  })));
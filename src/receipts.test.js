@@ -0,0 +1,19 @@
+import { MAX_RECEIPT_BYTES, validateReceipt } from './receipts';
+
+// The storage SDK doesn't load under jsdom, and validation doesn't use it
+jest.mock('firebase/storage', () => ({}));
+
+describe('validateReceipt', () => {
+  test('accepts images and PDFs smaller than the limit storage.rules sets', () => {
+    expect(validateReceipt({ name: 'till.pdf', type: 'application/pdf', size: MAX_RECEIPT_BYTES - 1 })).toBeNull();
+    expect(validateReceipt({ name: 'photo.jpg', type: 'image/jpeg', size: 1024 })).toBeNull();
+  });
+
+  test('turns down a file of exactly the limit, which storage.rules would reject', () => {
+    expect(validateReceipt({ name: 'scan.png', type: 'image/png', size: MAX_RECEIPT_BYTES })).toBe('scan.png is 10 MB or larger.');
+  });
+
+  test('turns down other kinds of file', () => {
+    expect(validateReceipt({ name: 'notes.txt', type: 'text/plain', size: 10 })).toBe("notes.txt isn't an image or PDF.");
+  });
+});
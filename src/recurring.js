@@ -0,0 +1,112 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput, toDateKey } from './dateUtils';
+import { currencyOf, amountMinorOf, moneyFields } from './money';
+
+// Supported recurrence frequencies, in the order they are offered in the UI
+export const RECURRING_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 Weeks' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'monthly-last-business-day', label: 'Monthly (Last Business Day)' },
+  { value: 'yearly', label: 'Yearly' },
+];
+
+// Hard stop so a malformed rule can never spin forever. Counted from the requested range, not the rule's start.
+const MAX_OCCURRENCES = 1000;
+
+// Longest time between two occurrences of each frequency, in days
+const MAX_GAP_DAYS = { weekly: 7, biweekly: 14, monthly: 31, 'monthly-last-business-day': 31, yearly: 366 };
+
+const daysInMonth = (year, monthIndex) => new Date(year, monthIndex + 1, 0).getDate();
+
+// Same day of month as the start date, clamped to the end of shorter months (e.g. the 31st becomes the 30th)
+const clampedMonthDate = (year, monthIndex, day) =>
+  new Date(year, monthIndex, Math.min(day, daysInMonth(year, monthIndex)), 12, 0, 0);
+
+// Last weekday (Mon-Fri) of the given month
+const lastBusinessDayOfMonth = (year, monthIndex) => {
+  const date = new Date(year, monthIndex, daysInMonth(year, monthIndex), 12, 0, 0);
+  while (date.getDay() === 0 || date.getDay() === 6) {
+    date.setDate(date.getDate() - 1);
+  }
+  return date;
+};
+
+// Returns the nth occurrence date for a rule, counting from its start date (n = 0 is the first occurrence)
+const nthOccurrence = (rule, start, n) => {
+  switch (rule.frequency) {
+    case 'weekly':
+    case 'biweekly': {
+      const date = new Date(start);
+      date.setDate(start.getDate() + n * (rule.frequency === 'weekly' ? 7 : 14));
+      return date;
+    }
+    case 'monthly':
+      return clampedMonthDate(start.getFullYear(), start.getMonth() + n, start.getDate());
+    case 'monthly-last-business-day': {
+      // The start month only counts if its last business day isn't before the start date
+      const offset = lastBusinessDayOfMonth(start.getFullYear(), start.getMonth()) < start ? 1 : 0;
+      const monthDate = new Date(start.getFullYear(), start.getMonth() + n + offset, 1, 12, 0, 0);
+      return lastBusinessDayOfMonth(monthDate.getFullYear(), monthDate.getMonth());
+    }
+    case 'yearly':
+      return clampedMonthDate(start.getFullYear() + n, start.getMonth(), start.getDate());
+    default:
+      return null;
+  }
+};
+
+// An occurrence number that is certainly before rangeStart, so a rule started long ago doesn't have every occurrence
+// since its start walked through. Two gaps of slack cover the month the last-business-day rule may skip at the start.
+const firstOccurrenceToCheck = (rule, start, rangeStart) => {
+  const gap = MAX_GAP_DAYS[rule.frequency];
+  if (!gap || !(rangeStart > start)) return 0;
+  const elapsedDays = (rangeStart - start) / (24 * 60 * 60 * 1000);
+  return Math.max(0, Math.floor(elapsedDays / gap) - 2);
+};
+
+// Lists every date a rule fires on between rangeStart and rangeEnd (both inclusive), honouring the rule's end date
+export const getRecurringOccurrences = (rule, rangeStart, rangeEnd) => {
+  const start = parseDateInput(rule.startDate);
+  if (!start) return [];
+  const ruleEnd = parseDateInput(rule.endDate);
+  const lastDate = ruleEnd && ruleEnd < rangeEnd ? ruleEnd : rangeEnd;
+
+  const occurrences = [];
+  const first = firstOccurrenceToCheck(rule, start, rangeStart);
+  for (let n = first; n < first + MAX_OCCURRENCES; n++) {
+    const date = nthOccurrence(rule, start, n);
+    if (!date || date > lastDate) break;
+    if (date >= rangeStart) {
+      occurrences.push(date);
+    }
+  }
+  return occurrences;
+};
+
+// Key identifying one occurrence of a rule; reconciled transactions store it so the occurrence isn't forecast again
+export const occurrenceKey = (ruleId, dateKey) => `${ruleId}:${dateKey}`;
+
+// Expands recurring rules into forecasted transaction objects shaped like Firestore transaction documents.
+// These are generated on the fly and never written to the database. Occurrences whose key is in
+// reconciledKeys have already been recorded as actual transactions and are skipped.
+export const expandRecurringRules = (rules, rangeStart, rangeEnd, reconciledKeys = new Set()) =>
+  rules
+    .flatMap(rule =>
+      getRecurringOccurrences(rule, rangeStart, rangeEnd)
+        .filter(date => !reconciledKeys.has(occurrenceKey(rule.id, toDateKey(date))))
+        .map(date => ({
+          id: `${rule.id}-${toDateKey(date)}`,
+          ...moneyFields(amountMinorOf(rule), currencyOf(rule)),
+          category: rule.category,
+          type: rule.type,
+          currency: rule.currency,
+          goalId: rule.goalId || null,
+          status: 'forecasted',
+          date: Timestamp.fromDate(date),
+          recurringRuleId: rule.id,
+          recurringOccurrence: toDateKey(date),
+          isRecurring: true,
+        }))
+    )
+    .sort((a, b) => a.date.toMillis() - b.date.toMillis());
@@ -0,0 +1,28 @@
+import { parseDateInput, toDateKey } from './dateUtils';
+import { getRecurringOccurrences } from './recurring';
+
+const occurrencesIn = (rule, from, to) =>
+  getRecurringOccurrences(rule, parseDateInput(from), parseDateInput(to)).map(toDateKey);
+
+describe('getRecurringOccurrences', () => {
+  test('lists the occurrences inside the range', () => {
+    const rule = { frequency: 'monthly', startDate: '2024-01-31' };
+    expect(occurrencesIn(rule, '2024-02-01', '2024-04-30')).toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+
+  test('keeps forecasting rules that started long ago', () => {
+    expect(occurrencesIn({ frequency: 'weekly', startDate: '1990-01-01' }, '2024-03-01', '2024-03-15'))
+      .toEqual(['2024-03-04', '2024-03-11']);
+    expect(occurrencesIn({ frequency: 'monthly', startDate: '1900-01-31' }, '2024-02-01', '2024-02-29'))
+      .toEqual(['2024-02-29']);
+    expect(occurrencesIn({ frequency: 'monthly-last-business-day', startDate: '1950-06-30' }, '2024-03-01', '2024-03-31'))
+      .toEqual(['2024-03-29']);
+    expect(occurrencesIn({ frequency: 'yearly', startDate: '1000-03-10' }, '2024-01-01', '2024-12-31'))
+      .toEqual(['2024-03-10']);
+  });
+
+  test('stops at the rule end date', () => {
+    const rule = { frequency: 'biweekly', startDate: '2024-03-01', endDate: '2024-03-20' };
+    expect(occurrencesIn(rule, '2024-03-01', '2024-04-30')).toEqual(['2024-03-01', '2024-03-15']);
+  });
+});
@@ -0,0 +1,36 @@
+/* eslint-disable no-restricted-globals */
+// Service worker built by CRA's InjectManifest step. It precaches the app shell so the app opens offline;
+// Firestore keeps the data itself in IndexedDB.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations are answered with the cached index.html; requests for files are left alone
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Tailwind and the Inter font come from CDNs; keep a copy so the app still looks right offline
+const EXTERNAL_ASSET_ORIGINS = ['https://cdn.tailwindcss.com', 'https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+registerRoute(
+  ({ url }) => EXTERNAL_ASSET_ORIGINS.includes(url.origin),
+  new StaleWhileRevalidate({
+    cacheName: 'external-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 30 })],
+  })
+);
+
+// Lets the page activate a new version right away instead of waiting for every tab to close
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
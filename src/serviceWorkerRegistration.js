@@ -0,0 +1,15 @@
+// Registers the service worker in production builds so the app can be installed and opened offline.
+// Development builds skip it, otherwise stale cached bundles would hide code changes.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker only works when PUBLIC_URL is on the same origin the page is served from
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((err) => console.error("Error registering service worker:", err));
+  });
+};
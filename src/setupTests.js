@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has neither IndexedDB nor crypto.getRandomValues, which the local store (localStore.js) uses
+import 'fake-indexeddb/auto';
+import { webcrypto } from 'crypto';
+
+if (!window.crypto) window.crypto = webcrypto;
@@ -0,0 +1,6 @@
+// Jest global setup. The date tests are written for a zone with daylight saving time, so every run uses the same one
+// whatever the machine is set to. It has to be set here, before the test environments start: changing process.env.TZ
+// from inside a test file doesn't reach the clock.
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,72 @@
+import { normalizeCategory } from './categories';
+import { currencyOf, amountMinorOf, moneyFields, allocateMinor, parseMoney, fromMinor } from './money';
+
+// A split transaction keeps one parent amount and stores its category lines as splits: [{ category, amount, amountMinor }].
+// The parent's own category is this placeholder; category-level totals use the lines instead.
+export const SPLIT_CATEGORY = 'Split';
+
+export const isSplit = (t) => Array.isArray(t.splits) && t.splits.length > 1;
+
+// Minor units of a split line. Lines are in the parent's original currency, but only their proportions are used.
+const lineMinor = (line, t) => amountMinorOf({ ...line, currency: t.originalCurrency || currencyOf(t) });
+
+// The category lines a transaction contributes: its splits, or the whole amount under its single category.
+// Split amounts are spread over the parent's amount in proportion, so lines stay correct after the parent is
+// converted to another currency and always add up to it exactly.
+export const categoryPortions = (t) => {
+  const currency = currencyOf(t);
+  if (!isSplit(t)) return [{ category: t.category, ...moneyFields(amountMinorOf(t), currency) }];
+  const shares = allocateMinor(amountMinorOf(t), t.splits.map(s => lineMinor(s, t)));
+  return t.splits.map((s, index) => ({ category: s.category, ...moneyFields(shares[index], currency) }));
+};
+
+// One copy of each transaction per category line, for budgets, charts and reports that group by category
+export const expandSplits = (transactions) => transactions.flatMap(t => (
+  isSplit(t)
+    ? categoryPortions(t).map((portion, index) => ({ ...t, ...portion, splitOf: t.id, splitIndex: index }))
+    : [t]
+));
+
+// Re-spreads split lines over a new total (in minor units of `currency`) in the same proportions, e.g. when a forecast
+// is reconciled for a different amount. The last line absorbs the rounding difference.
+export const scaleSplits = (splits, totalMinor, currency) => {
+  const shares = allocateMinor(totalMinor, splits.map(s => amountMinorOf({ ...s, currency })));
+  return splits.map((s, index) => ({ ...s, ...moneyFields(shares[index], currency) }));
+};
+
+// Every category a transaction is filed under
+export const transactionCategories = (t) => (isSplit(t) ? t.splits.map(s => s.category) : [t.category]);
+
+export const hasCategory = (t, category) =>
+  transactionCategories(t).some(name => normalizeCategory(name) === normalizeCategory(category));
+
+// Starting lines when the user turns on splitting; the first line keeps whatever category was already typed
+export const newSplitLines = (category = '') => [{ category, amount: '' }, { category: '', amount: '' }];
+
+// Amounts are compared in minor units so 33.33 + 33.33 + 33.34 adds up to 100 despite floating point.
+// Lines that aren't valid amounts yet count as nothing.
+const typedMinor = (value, currency) => parseMoney(value, currency) || 0;
+
+// What's left to assign across the lines of a split, for the form's running total
+export const unallocatedAmount = (lines, total, currency) => {
+  const allocated = lines.reduce((acc, line) => acc + typedMinor(line.amount, currency), 0);
+  return fromMinor(typedMinor(total, currency) - allocated, currency);
+};
+
+// Form validation for split lines, with amounts as typed in `currency`. Returns an error message, or null if the
+// lines are valid.
+export const validateSplits = (lines, total, currency) => {
+  if (lines.length < 2) {
+    return "A split needs at least two category lines.";
+  }
+  if (lines.some(line => !line.category.trim())) {
+    return "Please enter a category for every split line.";
+  }
+  if (lines.some(line => !(parseMoney(line.amount, currency) > 0))) {
+    return "Please enter a valid positive amount for every split line.";
+  }
+  if (unallocatedAmount(lines, total, currency) !== 0) {
+    return "The split amounts must add up to the transaction total.";
+  }
+  return null;
+};
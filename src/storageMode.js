@@ -0,0 +1,21 @@
+// Where the budget is kept: 'firebase' (Firestore, behind a sign-in) or 'local' (this browser only, no account).
+// The choice is remembered on this device. Without a Firebase configuration only 'local' is possible.
+const STORAGE_KEY = 'budgetTracker.storageMode';
+
+export const loadStorageMode = (firebaseAvailable) => {
+  if (!firebaseAvailable) return 'local';
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) === 'local' ? 'local' : 'firebase';
+  } catch (err) {
+    console.error("Error reading storage mode:", err);
+    return 'firebase';
+  }
+};
+
+export const saveStorageMode = (mode) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch (err) {
+    console.error("Error saving storage mode:", err);
+  }
+};
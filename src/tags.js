@@ -0,0 +1,35 @@
+// Tags are free-form labels stored on a transaction as tags: ['vacation', 'tax-deductible']. Unlike categories a
+// transaction can have any number of them, so totals by tag can add up to more than the total spent.
+
+// Tags match ignoring case and surrounding whitespace
+export const normalizeTag = (tag) => (tag || '').trim().toLowerCase();
+
+export const transactionTags = (t) => (Array.isArray(t.tags) ? t.tags : []);
+
+// Reads the comma-separated tag input ("vacation, #Tax") into a list without blanks or repeats
+export const parseTags = (text) => {
+  const tags = [];
+  (text || '').split(',').forEach(part => {
+    const tag = part.trim().replace(/^#+/, '').trim();
+    if (tag && !tags.some(existing => normalizeTag(existing) === normalizeTag(tag))) {
+      tags.push(tag);
+    }
+  });
+  return tags;
+};
+
+// The inverse of parseTags, for filling the edit form
+export const formatTags = (tags) => (tags || []).join(', ');
+
+export const hasTag = (t, tag) => transactionTags(t).some(name => normalizeTag(name) === normalizeTag(tag));
+
+// Every distinct tag in use, alphabetically, spelled as it was first seen
+export const collectTagNames = (transactions) => {
+  const names = {};
+  transactions.forEach(t => {
+    transactionTags(t).forEach(tag => {
+      if (!names[normalizeTag(tag)]) names[normalizeTag(tag)] = tag;
+    });
+  });
+  return Object.values(names).sort((a, b) => a.localeCompare(b));
+};
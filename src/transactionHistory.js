@@ -0,0 +1,142 @@
+import { amountMinorOf, fromMinor } from './money';
+import { currencyOf, formatMoney } from './currency';
+import { formatDate } from './dateUtils';
+import { formatTags } from './tags';
+import { findAccount } from './accountBalances';
+
+// Every change made to a transaction through the app is recorded in the budget's transactionHistory collection:
+//   { transactionId, action, changes: [{ field, from, to }], changedBy, createdAt }
+// Deleting only moves a transaction to the trash (deletedAt and deletedBy are set), so it can be restored.
+
+export const HISTORY_COLLECTION = 'transactionHistory';
+
+export const HISTORY_ACTIONS = {
+  updated: 'Edited',
+  deleted: 'Moved to trash',
+  restored: 'Restored',
+};
+
+const REVERSE_ACTIONS = { updated: 'updated', deleted: 'restored', restored: 'deleted' };
+
+// The fields whose changes are recorded, in the order they are listed. The decimal amount is left out since it
+// always follows amountMinor.
+const TRACKED_FIELDS = [
+  { field: 'amountMinor', label: 'Amount' },
+  { field: 'currency', label: 'Currency' },
+  { field: 'type', label: 'Type' },
+  { field: 'status', label: 'Status' },
+  { field: 'date', label: 'Date' },
+  { field: 'category', label: 'Category' },
+  { field: 'splits', label: 'Split' },
+  { field: 'accountId', label: 'Account' },
+  { field: 'toAccountId', label: 'To account' },
+  { field: 'goalId', label: 'Savings goal' },
+  { field: 'payee', label: 'Payee' },
+  { field: 'description', label: 'Description' },
+  { field: 'notes', label: 'Notes' },
+  { field: 'tags', label: 'Tags' },
+  { field: 'attachments', label: 'Receipts' },
+];
+
+export const isTrashed = (t) => !!t.deletedAt;
+
+// A field's value as recorded: missing, empty and null are all null, since Firestore can't store undefined and
+// older documents simply lack fields newer ones write as null or []
+const recordedValue = (t, field) => {
+  if (field === 'amountMinor') return amountMinorOf(t);
+  const value = t[field];
+  if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+  return value;
+};
+
+const sameValue = (a, b) => {
+  if (a && b && a.toMillis && b.toMillis) return a.toMillis() === b.toMillis();
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// The tracked fields that writing data over transaction would change
+export const diffTransaction = (transaction, data) => {
+  const updated = { ...transaction, ...data };
+  return TRACKED_FIELDS
+    .map(({ field }) => ({ field, from: recordedValue(transaction, field), to: recordedValue(updated, field) }))
+    .filter(change => !sameValue(change.from, change.to));
+};
+
+// Applies changes to transactions, [{ transaction, data, action, write }] with action 'updated' unless given, each
+// together with its history entry in the same batch so neither is written without the other. data is what the
+// transaction becomes, for the history and undo; write, when given, is what is stored instead, see receiptChange. An
+// edit that changes no tracked field gets no entry. Resolves and fails like store.batch.
+export const recordTransactionChanges = (store, userId, changes, onProgress) =>
+  store.batch(changes, (batch, { transaction, data, action = 'updated', write = data }) => {
+    batch.update('transactions', transaction.id, { ...write, updatedAt: store.timestamp() });
+    const fieldChanges = diffTransaction(transaction, data);
+    if (action === 'updated' && fieldChanges.length === 0) return;
+    batch.set(HISTORY_COLLECTION, store.newId(HISTORY_COLLECTION), {
+      transactionId: transaction.id,
+      action,
+      changes: fieldChanges,
+      changedBy: userId,
+      createdAt: store.timestamp(),
+    });
+  }, onProgress, 2);
+
+// The change that attaches receipts to a transaction (added) or removes them (removed), for recordTransactionChanges.
+// The history gets the whole list before and after, but only the entries are added or removed, so receipts attached
+// elsewhere in the meantime are kept.
+export const receiptChange = (store, transaction, { added = [], removed = [] }) => {
+  const removedPaths = removed.map(a => a.path);
+  return {
+    transaction,
+    data: { attachments: [...(transaction.attachments || []).filter(a => !removedPaths.includes(a.path)), ...added] },
+    write: { attachments: added.length > 0 ? store.arrayUnion(...added) : store.arrayRemove(...removed) },
+  };
+};
+
+// The changes that put the transactions back the way they were before `changes`, for undo
+export const revertChanges = (changes) => changes.map(({ transaction, data, action = 'updated' }) => ({
+  transaction: { ...transaction, ...data },
+  data: Object.fromEntries(Object.keys(data).map(key => [key, transaction[key] === undefined ? null : transaction[key]])),
+  action: REVERSE_ACTIONS[action],
+}));
+
+const formatValue = (field, value, currency, { accounts, goals }) => {
+  if (value === null) return 'none';
+  switch (field) {
+    case 'amountMinor':
+      return formatMoney(fromMinor(value, currency), currency);
+    case 'date':
+      return formatDate(value);
+    case 'splits':
+      return value.map(s => `${s.category} ${formatMoney(fromMinor(amountMinorOf({ ...s, currency }), currency), currency)}`).join(', ');
+    case 'accountId':
+    case 'toAccountId': {
+      const account = findAccount(value, accounts);
+      return account ? account.name : 'a deleted account';
+    }
+    case 'goalId': {
+      const goal = goals.find(g => g.id === value);
+      return goal ? goal.name : 'a deleted goal';
+    }
+    case 'tags':
+      return formatTags(value);
+    case 'attachments':
+      return value.map(a => a.name).join(', ');
+    default:
+      return String(value);
+  }
+};
+
+// An entry's changes as { field, label, from, to } text. Amounts are shown in the currency they were in on each
+// side of the change, which is the transaction's current one unless the same change switched it.
+export const describeChanges = (entry, transaction, { accounts = [], goals = [] } = {}) => {
+  const currencyChange = entry.changes.find(c => c.field === 'currency');
+  const current = currencyOf(transaction);
+  const fromCurrency = currencyChange && currencyChange.from ? currencyChange.from : current;
+  const toCurrency = currencyChange && currencyChange.to ? currencyChange.to : current;
+  return entry.changes.map(change => ({
+    field: change.field,
+    label: (TRACKED_FIELDS.find(f => f.field === change.field) || { label: change.field }).label,
+    from: formatValue(change.field, change.from, fromCurrency, { accounts, goals }),
+    to: formatValue(change.field, change.to, toCurrency, { accounts, goals }),
+  }));
+};
@@ -0,0 +1,191 @@
+import { Timestamp } from 'firebase/firestore';
+import { parseDateInput } from './dateUtils';
+import { moneyFields } from './money';
+import {
+  HISTORY_COLLECTION,
+  diffTransaction,
+  recordTransactionChanges,
+  receiptChange,
+  revertChanges,
+  describeChanges,
+} from './transactionHistory';
+
+const on = (key) => Timestamp.fromDate(parseDateInput(key));
+
+const groceries = {
+  id: 'groceries',
+  ...moneyFields(4250, 'USD'),
+  currency: 'USD',
+  category: 'Groceries',
+  type: 'expense',
+  status: 'actual',
+  date: on('2024-03-08'),
+  accountId: 'checking',
+  payee: 'Corner Shop',
+  tags: ['weekly'],
+  createdBy: 'alice',
+};
+
+// Records the writes store.batch would make, so the tests can look at them
+const recordingStore = () => {
+  const writes = [];
+  let nextId = 1;
+  return {
+    writes,
+    batchCalls: [],
+    newId: (name) => `${name}-${nextId++}`,
+    timestamp: () => 'now',
+    arrayUnion: (...values) => ({ union: values }),
+    arrayRemove: (...values) => ({ remove: values }),
+    batch(items, addToBatch, onProgress, writesPerItem) {
+      this.batchCalls.push({ count: items.length, writesPerItem });
+      const batch = {
+        set: (name, id, data) => writes.push({ type: 'set', name, id, data }),
+        update: (name, id, data) => writes.push({ type: 'update', name, id, data }),
+      };
+      items.forEach(item => addToBatch(batch, item));
+      return Promise.resolve(items.length);
+    },
+  };
+};
+
+describe('diffTransaction', () => {
+  test('lists only the tracked fields that change', () => {
+    const changes = diffTransaction(groceries, {
+      ...moneyFields(4500, 'USD'),
+      category: 'Groceries',
+      date: on('2024-03-09'),
+      notes: 'Forgot the milk',
+      updatedAt: 'now',
+    });
+    expect(changes).toEqual([
+      { field: 'amountMinor', from: 4250, to: 4500 },
+      { field: 'date', from: on('2024-03-08'), to: on('2024-03-09') },
+      { field: 'notes', from: null, to: 'Forgot the milk' },
+    ]);
+  });
+
+  test('compares dates by value and treats missing, empty and null the same', () => {
+    expect(diffTransaction(groceries, { date: on('2024-03-08'), notes: null, description: '', goalId: null })).toEqual([]);
+    expect(diffTransaction({ ...groceries, tags: undefined }, { tags: [] })).toEqual([]);
+  });
+
+  test('reads amounts saved before minor units the same way as new ones', () => {
+    const legacy = { id: 'legacy', amount: 12.5, currency: 'USD', category: 'Coffee' };
+    expect(diffTransaction(legacy, moneyFields(1250, 'USD'))).toEqual([]);
+  });
+});
+
+describe('recordTransactionChanges', () => {
+  test('writes each update together with its history entry', async () => {
+    const store = recordingStore();
+    await recordTransactionChanges(store, 'bob', [
+      { transaction: groceries, data: { category: 'Household' } },
+      { transaction: groceries, data: { deletedAt: 'now', deletedBy: 'bob' }, action: 'deleted' },
+    ]);
+
+    expect(store.batchCalls).toEqual([{ count: 2, writesPerItem: 2 }]);
+    expect(store.writes).toEqual([
+      { type: 'update', name: 'transactions', id: 'groceries', data: { category: 'Household', updatedAt: 'now' } },
+      {
+        type: 'set',
+        name: HISTORY_COLLECTION,
+        id: `${HISTORY_COLLECTION}-1`,
+        data: {
+          transactionId: 'groceries',
+          action: 'updated',
+          changes: [{ field: 'category', from: 'Groceries', to: 'Household' }],
+          changedBy: 'bob',
+          createdAt: 'now',
+        },
+      },
+      { type: 'update', name: 'transactions', id: 'groceries', data: { deletedAt: 'now', deletedBy: 'bob', updatedAt: 'now' } },
+      {
+        type: 'set',
+        name: HISTORY_COLLECTION,
+        id: `${HISTORY_COLLECTION}-2`,
+        data: { transactionId: 'groceries', action: 'deleted', changes: [], changedBy: 'bob', createdAt: 'now' },
+      },
+    ]);
+  });
+
+  test('leaves edits that change nothing out of the history', async () => {
+    const store = recordingStore();
+    await recordTransactionChanges(store, 'bob', [{ transaction: groceries, data: { category: 'Groceries' } }]);
+    expect(store.writes.map(w => w.name)).toEqual(['transactions']);
+  });
+});
+
+describe('receiptChange', () => {
+  const receipt = { name: 'till.pdf', path: 'receipts/groceries/till.pdf' };
+  const photo = { name: 'photo.jpg', path: 'receipts/groceries/photo.jpg' };
+
+  test('only adds or removes the receipts, but records the whole list', async () => {
+    const store = recordingStore();
+    await recordTransactionChanges(store, 'bob', [
+      receiptChange(store, groceries, { added: [receipt] }),
+      receiptChange(store, { ...groceries, attachments: [receipt, photo] }, { removed: [receipt] }),
+    ]);
+
+    expect(store.writes.filter(w => w.name === 'transactions').map(w => w.data.attachments))
+      .toEqual([{ union: [receipt] }, { remove: [receipt] }]);
+    expect(store.writes.filter(w => w.name === HISTORY_COLLECTION).map(w => w.data.changes)).toEqual([
+      [{ field: 'attachments', from: null, to: [receipt] }],
+      [{ field: 'attachments', from: [receipt, photo], to: [photo] }],
+    ]);
+  });
+
+  test('is undone by putting back the list as it was', () => {
+    const [revert] = revertChanges([receiptChange(recordingStore(), { ...groceries, attachments: [receipt] }, { removed: [receipt] })]);
+    expect(revert.data).toEqual({ attachments: [receipt] });
+    expect(revert.write).toBeUndefined();
+  });
+});
+
+describe('revertChanges', () => {
+  test('puts back the earlier values, including fields that were missing', () => {
+    const [revert] = revertChanges([{ transaction: groceries, data: { category: 'Household', notes: 'Paint' } }]);
+    expect(revert.transaction).toMatchObject({ id: 'groceries', category: 'Household', notes: 'Paint' });
+    expect(revert.data).toEqual({ category: 'Groceries', notes: null });
+    expect(revert.action).toBe('updated');
+  });
+
+  test('restores what was moved to the trash', () => {
+    const [revert] = revertChanges([{ transaction: groceries, data: { deletedAt: 'now', deletedBy: 'bob' }, action: 'deleted' }]);
+    expect(revert.data).toEqual({ deletedAt: null, deletedBy: null });
+    expect(revert.action).toBe('restored');
+  });
+});
+
+describe('describeChanges', () => {
+  const lookups = { accounts: [{ id: 'checking', name: 'Checking' }], goals: [] };
+
+  test('shows values the way the list does', () => {
+    const entry = {
+      changes: [
+        { field: 'amountMinor', from: 4250, to: 4500 },
+        { field: 'accountId', from: 'checking', to: 'closed' },
+        { field: 'tags', from: ['weekly'], to: null },
+        { field: 'splits', from: null, to: [{ category: 'Food', amountMinor: 4000 }, { category: 'Soap', amountMinor: 500 }] },
+      ],
+    };
+    expect(describeChanges(entry, groceries, lookups)).toEqual([
+      { field: 'amountMinor', label: 'Amount', from: '$42.50', to: '$45.00' },
+      { field: 'accountId', label: 'Account', from: 'Checking', to: 'a deleted account' },
+      { field: 'tags', label: 'Tags', from: 'weekly', to: 'none' },
+      { field: 'splits', label: 'Split', from: 'none', to: 'Food $40.00, Soap $5.00' },
+    ]);
+  });
+
+  test('shows amounts in the currency on each side of a currency change', () => {
+    const entry = {
+      changes: [
+        { field: 'amountMinor', from: 4250, to: 4000 },
+        { field: 'currency', from: 'USD', to: 'JPY' },
+      ],
+    };
+    const [amount] = describeChanges(entry, { ...groceries, currency: 'JPY' }, lookups);
+    expect(amount.from).toBe('$42.50');
+    expect(amount.to).toBe('¥4,000');
+  });
+});
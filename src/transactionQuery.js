@@ -0,0 +1,136 @@
+import { where, orderBy, Timestamp } from 'firebase/firestore';
+import { parseDateInput } from './dateUtils';
+import { hasCategory, transactionCategories } from './splits';
+import { hasTag, transactionTags } from './tags';
+import { isTrashed } from './transactionHistory';
+import { parseMoney } from './money';
+import { DEFAULT_CURRENCY_SETTINGS, baseAmountMinorOf } from './currency';
+
+// How many transactions each page of the list query fetches
+export const TRANSACTION_PAGE_SIZE = 25;
+
+export const SORT_OPTIONS = [
+  { value: 'createdAt-desc', label: 'Recently Added' },
+  { value: 'date-desc', label: 'Date (Newest First)' },
+  { value: 'date-asc', label: 'Date (Oldest First)' },
+  { value: 'amount-desc', label: 'Amount (Highest First)' },
+  { value: 'amount-asc', label: 'Amount (Lowest First)' },
+];
+
+export const EMPTY_FILTERS = {
+  search: '',
+  type: '',
+  status: '',
+  category: '',
+  tag: '',
+  member: '', // uid of the member who added the transaction, shared workspaces only
+  dateFrom: '',
+  dateTo: '',
+  minAmount: '',
+  maxAmount: '',
+};
+
+const dayStart = (value) => {
+  const date = parseDateInput(value);
+  if (date) date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const dayEnd = (value) => {
+  const date = parseDateInput(value);
+  if (date) date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+// A minimum or maximum amount typed into the filters, in minor units of the base currency. null when it is blank or
+// isn't an amount; TransactionFilters flags the latter.
+export const parseAmountBound = (value, baseCurrency) => (value === '' ? null : parseMoney(value, baseCurrency));
+
+// Builds the Firestore where/orderBy clauses for the list. Equality filters (type, status, member) always run
+// on the server. The category and tag filters run in the browser, since a split transaction matches any of its lines
+// and a tag filter would need an index for every sort order. Firestore only allows a range filter on the field being
+// ordered by, so the date range is server-side when sorting by date; matchesClientFilters does the rest. The amount
+// range always runs in the browser: it is in the base currency, and each stored amount is in its own currency.
+export const buildTransactionConstraints = (filters, sort) => {
+  const [field, direction] = sort.split('-');
+  const constraints = [];
+  if (filters.type) constraints.push(where('type', '==', filters.type));
+  if (filters.status) constraints.push(where('status', '==', filters.status));
+  if (filters.member) constraints.push(where('createdBy', '==', filters.member));
+
+  if (field === 'date') {
+    const from = dayStart(filters.dateFrom);
+    const to = dayEnd(filters.dateTo);
+    if (from) constraints.push(where('date', '>=', Timestamp.fromDate(from)));
+    if (to) constraints.push(where('date', '<=', Timestamp.fromDate(to)));
+  }
+  constraints.push(orderBy(field, direction));
+  return constraints;
+};
+
+// Filters Firestore can't apply for this sort order: text search, category, tag, amount, plus the date range unless it
+// is server-side. Amounts are compared after conversion to the base currency of currencySettings; transactions in a
+// currency without a rate can't be, so an amount range leaves them out.
+// With serverFiltered false every filter is applied, for lists that don't come from the query: recurring forecasts,
+// the local store, and the batch selection. Transactions in the trash are never listed; the query can't leave them
+// out, since documents without deletedAt don't match a filter on it.
+export const matchesClientFilters = (t, filters, sort, { serverFiltered = true, currencySettings = DEFAULT_CURRENCY_SETTINGS } = {}) => {
+  const field = serverFiltered ? sort.split('-')[0] : null;
+
+  if (isTrashed(t)) return false;
+
+  if (!serverFiltered) {
+    if (filters.type && t.type !== filters.type) return false;
+    if (filters.status && t.status !== filters.status) return false;
+    if (filters.member && t.createdBy !== filters.member) return false;
+  }
+
+  if (filters.category && !hasCategory(t, filters.category)) return false;
+  if (filters.tag && !hasTag(t, filters.tag)) return false;
+
+  const search = filters.search.trim().toLowerCase();
+  if (search) {
+    const haystack = [...transactionCategories(t), ...transactionTags(t), t.payee, t.description, t.notes].filter(Boolean).join(' ').toLowerCase();
+    if (!haystack.includes(search)) return false;
+  }
+
+  if (field !== 'date') {
+    const from = dayStart(filters.dateFrom);
+    const to = dayEnd(filters.dateTo);
+    const date = t.date && t.date.toDate ? t.date.toDate() : null;
+    if ((from || to) && !date) return false;
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+  }
+
+  const min = parseAmountBound(filters.minAmount, currencySettings.baseCurrency);
+  const max = parseAmountBound(filters.maxAmount, currencySettings.baseCurrency);
+  if (min !== null || max !== null) {
+    const amountMinor = baseAmountMinorOf(t, currencySettings);
+    if (amountMinor === null) return false;
+    if (min !== null && amountMinor < min) return false;
+    if (max !== null && amountMinor > max) return false;
+  }
+
+  return true;
+};
+
+// The list order for a sort option, for lists sorted in the browser rather than by the query (the local store).
+// Documents missing the field go last, as Firestore leaves them out of an orderBy altogether.
+export const compareTransactions = (sort) => {
+  const [field, direction] = sort.split('-');
+  const valueOf = (t) => {
+    const value = t[field];
+    if (value === undefined || value === null) return null;
+    return value.toMillis ? value.toMillis() : value;
+  };
+  return (a, b) => {
+    const first = valueOf(a);
+    const second = valueOf(b);
+    if (first === null || second === null) return (first === null) - (second === null);
+    return direction === 'asc' ? first - second : second - first;
+  };
+};
+
+// True when any filter is set
+export const hasActiveFilters = (filters) => Object.values(filters).some(value => value !== '');
@@ -0,0 +1,40 @@
+import { moneyFields } from './money';
+import { EMPTY_FILTERS, matchesClientFilters, buildTransactionConstraints } from './transactionQuery';
+
+const lunch = { id: 'lunch', ...moneyFields(1250, 'USD'), currency: 'USD', category: 'Food', type: 'expense' };
+const ramen = { id: 'ramen', ...moneyFields(1500, 'JPY'), currency: 'JPY', category: 'Food', type: 'expense' };
+
+const settings = { baseCurrency: 'USD', rates: { JPY: 150 } };
+
+const matches = (t, range, currencySettings = settings) =>
+  matchesClientFilters(t, { ...EMPTY_FILTERS, ...range }, 'amount-desc', { currencySettings });
+
+describe('the amount range', () => {
+  test('is inclusive and reads the bounds like the amount fields do', () => {
+    expect(matches(lunch, { minAmount: '12.50', maxAmount: '12,50' })).toBe(true);
+    expect(matches(lunch, { minAmount: '12.51' })).toBe(false);
+    expect(matches({ ...lunch, ...moneyFields(123456, 'USD') }, { minAmount: '1,234.56' })).toBe(true);
+  });
+
+  test('compares other currencies after converting them to the base currency', () => {
+    // ¥1,500 is $10.00 at 150 yen to the dollar
+    expect(matches(ramen, { minAmount: '10', maxAmount: '10' })).toBe(true);
+    expect(matches(ramen, { minAmount: '10.01' })).toBe(false);
+    expect(matches(ramen, { maxAmount: '1500' })).toBe(true);
+  });
+
+  test('leaves out transactions in a currency without a rate', () => {
+    expect(matches(ramen, { maxAmount: '100000' }, { baseCurrency: 'USD', rates: {} })).toBe(false);
+    expect(matches(ramen, {}, { baseCurrency: 'USD', rates: {} })).toBe(true);
+  });
+
+  test('ignores a bound that isn\'t an amount', () => {
+    expect(matches(lunch, { minAmount: '1e5' })).toBe(true);
+    expect(matches(lunch, { maxAmount: '12.505' })).toBe(true);
+  });
+
+  test('is never part of the query', () => {
+    const constraints = buildTransactionConstraints({ ...EMPTY_FILTERS, minAmount: '10', maxAmount: '20' }, 'amount-asc');
+    expect(constraints).toHaveLength(1);
+  });
+});
@@ -0,0 +1,25 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Subscribes to one collection of a budget store (see budgetStore.js) and returns its documents, newest first.
+// Pass a null store while no budget is open; the list is then cleared. Given a field, only documents whose field
+// equals value are returned.
+const useBudgetCollection = (store, name, onError, { field, value } = {}) => {
+  const [documents, setDocuments] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    if (!store) {
+      setDocuments([]);
+      return;
+    }
+    return store.subscribe(name, setDocuments, (err) => {
+      console.error(`Error fetching ${name}:`, err);
+      if (onErrorRef.current) onErrorRef.current(err);
+    }, field ? { field, value } : undefined);
+  }, [store, name, field, value]);
+
+  return documents;
+};
+
+export default useBudgetCollection;
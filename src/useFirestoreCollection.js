@@ -0,0 +1,38 @@
+import { useState, useEffect, useRef } from 'react';
+import { collection, query, onSnapshot, orderBy } from 'firebase/firestore';
+
+// Maps snapshot documents to plain objects. Server timestamps that haven't been confirmed yet (offline writes) get a
+// local estimate instead of null, and pendingSync marks documents with local changes the server hasn't seen.
+export const snapshotToItems = (snapshot) => snapshot.docs.map(doc => ({
+  id: doc.id,
+  ...doc.data({ serverTimestamps: 'estimate' }),
+  pendingSync: doc.metadata.hasPendingWrites,
+}));
+
+// Subscribes to a Firestore collection (newest first) and returns its documents.
+// Pass a null path while the user is signed out; the list is then cleared.
+const useFirestoreCollection = (db, path, onError) => {
+  const [documents, setDocuments] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    if (!db || !path) {
+      setDocuments([]);
+      return;
+    }
+    const q = query(collection(db, path), orderBy('createdAt', 'desc'));
+    // Metadata changes are included so pendingSync clears once the server acknowledges a write
+    const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+      setDocuments(snapshotToItems(snapshot));
+    }, (err) => {
+      console.error(`Error fetching ${path}:`, err);
+      if (onErrorRef.current) onErrorRef.current(err);
+    });
+    return () => unsubscribe();
+  }, [db, path]);
+
+  return documents;
+};
+
+export default useFirestoreCollection;
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { collection, query, onSnapshot, startAfter, limit } from 'firebase/firestore';
+import { snapshotToItems } from './useFirestoreCollection';
+
+// Cursor-paginated live view of a Firestore collection. Each page is its own onSnapshot listener that starts after
+// the last document of the previous page, so edits on any loaded page show up immediately.
+// constraints are the where/orderBy clauses; constraintsKey must change whenever they do (it resets to page one).
+const usePaginatedCollection = (db, path, constraints, constraintsKey, pageSize, onError) => {
+  const [pages, setPages] = useState([]); // [{ docs: DocumentSnapshot[], items, loading }]
+  const unsubscribesRef = useRef([]);
+  const constraintsRef = useRef(constraints);
+  constraintsRef.current = constraints;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const subscribePage = useCallback((index, cursor) => {
+    const clauses = [...constraintsRef.current, ...(cursor ? [startAfter(cursor)] : []), limit(pageSize)];
+    const pageQuery = query(collection(db, path), ...clauses);
+    unsubscribesRef.current[index] = onSnapshot(pageQuery, { includeMetadataChanges: true }, (snapshot) => {
+      setPages(prev => {
+        const next = [...prev];
+        next[index] = { docs: snapshot.docs, items: snapshotToItems(snapshot), loading: false };
+        return next;
+      });
+    }, (err) => {
+      console.error(`Error fetching ${path}:`, err);
+      setPages(prev => {
+        const next = [...prev];
+        next[index] = { docs: [], items: [], loading: false };
+        return next;
+      });
+      if (onErrorRef.current) onErrorRef.current(err);
+    });
+  }, [db, path, pageSize]);
+
+  useEffect(() => {
+    if (!db || !path) {
+      setPages([]);
+      return;
+    }
+    setPages([{ docs: [], items: [], loading: true }]);
+    subscribePage(0, null);
+    return () => {
+      unsubscribesRef.current.forEach(unsubscribe => unsubscribe && unsubscribe());
+      unsubscribesRef.current = [];
+    };
+  }, [db, path, constraintsKey, subscribePage]);
+
+  const lastPage = pages[pages.length - 1];
+  const loading = !!lastPage && lastPage.loading;
+  const hasMore = !!lastPage && !lastPage.loading && lastPage.docs.length === pageSize;
+
+  const loadMore = () => {
+    if (!hasMore) return;
+    const index = pages.length;
+    setPages(prev => [...prev, { docs: [], items: [], loading: true }]);
+    subscribePage(index, lastPage.docs[lastPage.docs.length - 1]);
+  };
+
+  // A document edited so that it moves between pages can briefly appear on both; keep the first copy
+  const seen = new Set();
+  const items = [];
+  pages.forEach(page => page.items.forEach(item => {
+    if (seen.has(item.id)) return;
+    seen.add(item.id);
+    items.push(item);
+  }));
+
+  return { items, loading, hasMore, loadMore };
+};
+
+export default usePaginatedCollection;
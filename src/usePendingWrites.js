@@ -0,0 +1,29 @@
+import { useState, useRef, useCallback } from 'react';
+
+// Counts Firestore writes the server hasn't acknowledged yet. With offline persistence a write is applied to the
+// local cache straight away but its promise only settles once the server confirms it, which can be much later when
+// offline, so callers hand the promise to trackWrite instead of awaiting it. size is how many changes the write
+// makes, for batches. Rejections are reported through onError with failureMessage, or with failureMessage(err) when
+// the message depends on the error, say on how much of a batch was written; null leaves reporting to the caller.
+const usePendingWrites = (onError) => {
+  const [pendingCount, setPendingCount] = useState(0);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const trackWrite = useCallback((write, failureMessage, size = 1) => {
+    setPendingCount(count => count + size);
+    write
+      .catch((err) => {
+        const message = typeof failureMessage === 'function' ? failureMessage(err) : failureMessage;
+        if (!message) return;
+        console.error(message, err);
+        if (onErrorRef.current) onErrorRef.current(message);
+      })
+      .finally(() => setPendingCount(count => count - size));
+    return write;
+  }, []);
+
+  return { pendingCount, trackWrite };
+};
+
+export default usePendingWrites;
@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef } from 'react';
+import { collection, collectionGroup, query, where, onSnapshot } from 'firebase/firestore';
+import { snapshotToItems } from './useFirestoreCollection';
+import { normalizeEmail } from './workspaceRoles';
+
+// Subscribes to the shared workspaces the user belongs to and the invitations waiting for their email address.
+// Invitations are found with a collection group query, limited to this app's workspaces.
+const useWorkspaces = (db, appId, userId, email, onError) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    if (!db || !userId) {
+      setWorkspaces([]);
+      return;
+    }
+    const q = query(collection(db, `/artifacts/${appId}/workspaces`), where('memberIds', 'array-contains', userId));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      setWorkspaces(snapshotToItems(snapshot).sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+    }, (err) => {
+      console.error("Error fetching workspaces:", err);
+      if (onErrorRef.current) onErrorRef.current(err);
+    });
+    return () => unsubscribe();
+  }, [db, appId, userId]);
+
+  const inviteEmail = normalizeEmail(email);
+  useEffect(() => {
+    // Anonymous users have no email address to be invited by, and unverified addresses are left out until verified
+    if (!db || !inviteEmail) {
+      setInvites([]);
+      return;
+    }
+    const q = query(collectionGroup(db, 'invites'), where('email', '==', inviteEmail));
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const prefix = `artifacts/${appId}/workspaces/`;
+      setInvites(snapshot.docs
+        .filter(d => d.ref.path.startsWith(prefix))
+        .map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+      console.error("Error fetching workspace invitations:", err);
+      if (onErrorRef.current) onErrorRef.current(err);
+    });
+    return () => unsubscribe();
+  }, [db, appId, inviteEmail]);
+
+  return { workspaces, invites };
+};
+
+export default useWorkspaces;
@@ -0,0 +1,40 @@
+// Shared budget workspaces. A workspace document holds its members as { <uid>: { role, email } } plus a memberIds
+// array mirroring the keys, which is what "workspaces I belong to" queries on. firestore.rules enforces the roles.
+export const WORKSPACE_ROLES = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'viewer', label: 'Viewer' },
+];
+
+// Roles an owner can hand out; there is only ever one owner
+export const INVITABLE_ROLES = WORKSPACE_ROLES.filter(r => r.value !== 'owner');
+
+export const roleLabel = (role) => {
+  const match = WORKSPACE_ROLES.find(r => r.value === role);
+  return match ? match.label : role;
+};
+
+// Invitations are keyed by email address, so addresses are compared in lowercase everywhere
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+export const isEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// The signed-in user's role in the workspace, or null if they aren't a member
+export const roleOf = (workspace, uid) => {
+  const member = workspace && workspace.members && workspace.members[uid];
+  return member ? member.role : null;
+};
+
+// Owners and editors change data; viewers only read it
+export const canEdit = (role) => role === 'owner' || role === 'editor';
+
+// Members as a list, owner first, then by email
+export const workspaceMembers = (workspace) => Object.entries((workspace && workspace.members) || {})
+  .map(([uid, member]) => ({ uid, role: member.role, email: member.email || '' }))
+  .sort((a, b) => (a.role === 'owner' ? -1 : b.role === 'owner' ? 1 : a.email.localeCompare(b.email)));
+
+// Short label for the member who added a transaction
+export const memberLabel = (members, uid) => {
+  const member = members.find(m => m.uid === uid);
+  return member ? member.email || 'Member' : 'Former member';
+};